@@ -0,0 +1,479 @@
+// ============================================================================
+// MAP EDITOR - Design maps in the browser, validated and saved by the server
+// ============================================================================
+// Uses the same drawBase/drawObstacle as the game (mapRenderer.js), so what
+// you see here is what players see once the fog lifts.
+//
+// Tools:
+// - Select: click to select, drag to move, drag the corner handle to resize
+// - Obstacle: drag out a rectangle
+// - Base: click to place a base (one base = one player slot)
+// - Spawn: click to place a relic spawn point
+// Delete/Backspace removes the selection. Every edit is re-validated by the
+// server (POST /api/maps/validate), including base -> spawn reachability.
+
+const CANVAS_SIZE = 800;
+const GRID_SNAP = 10;          // Positions and sizes snap to this many pixels
+const MIN_RECT_SIZE = 20;      // Smaller obstacles/bases are discarded
+const HANDLE_SIZE = 10;        // Resize handle, in screen pixels
+const SPAWN_RADIUS = 15;       // Click radius for relic spawns
+const VALIDATE_DELAY = 300;    // Debounce between an edit and re-validation
+const BASE_COLORS = ['#3498db', '#2ecc71', '#e74c3c', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#ecf0f1'];
+const BASE_NAMES = ['BLUE BASE', 'GREEN BASE', 'RED BASE', 'YELLOW BASE', 'PURPLE BASE', 'TEAL BASE', 'ORANGE BASE', 'WHITE BASE'];
+
+let editedMap;           // Map being edited, in the map JSON format
+let tool = 'select';
+let selection = null;    // { kind: 'base' | 'obstacle' | 'spawn', key: base id or array index }
+let drag = null;         // { mode: 'move' | 'resize' | 'create', anchorX, anchorY, offsetX, offsetY }
+let viewScale = 1;       // Map pixels -> canvas pixels (maps are scaled to fit)
+let validateTimer = null;
+
+function setup() {
+    let canvas = createCanvas(CANVAS_SIZE, CANVAS_SIZE);
+    canvas.parent('canvasContainer');
+
+    setupControls();
+    loadMapList();
+    newMap();
+}
+
+function draw() {
+    background(10, 10, 15);
+
+    push();
+    scale(viewScale);
+
+    // Map area with its exploration tile grid
+    noStroke();
+    fill(25, 35, 45);
+    rect(0, 0, editedMap.width, editedMap.height);
+    stroke(255, 255, 255, 15);
+    strokeWeight(1 / viewScale);
+    for (let x = editedMap.tileSize; x < editedMap.width; x += editedMap.tileSize) line(x, 0, x, editedMap.height);
+    for (let y = editedMap.tileSize; y < editedMap.height; y += editedMap.tileSize) line(0, y, editedMap.width, y);
+
+    editedMap.obstacles.forEach(obs => drawObstacle(obs));
+    Object.values(editedMap.bases).forEach(base => drawBase(base));
+    editedMap.relicSpawns.forEach(spawn => drawSpawn(spawn));
+
+    drawSelection();
+    pop();
+
+    // Cursor position in map coordinates
+    const pos = getMousePosition();
+    if (pos) {
+        fill(149, 165, 166);
+        noStroke();
+        textSize(12);
+        textAlign(RIGHT, BOTTOM);
+        text(`${pos.x}, ${pos.y}`, width - 8, height - 6);
+    }
+}
+
+function drawSpawn(spawn) {
+    push();
+    translate(spawn.x, spawn.y);
+    noStroke();
+    fill(255, 215, 0, 60);
+    ellipse(0, 0, 50, 50);
+    rotate(QUARTER_PI);
+    fill(255, 215, 0);
+    stroke(255, 165, 0);
+    strokeWeight(3);
+    rectMode(CENTER);
+    rect(0, 0, 20, 20);
+    pop();
+}
+
+function drawSelection() {
+    const item = getSelectedItem();
+    if (!item) return;
+
+    push();
+    noFill();
+    stroke(255);
+    strokeWeight(2 / viewScale);
+    drawingContext.setLineDash([6 / viewScale, 4 / viewScale]);
+    if (selection.kind === 'spawn') {
+        ellipse(item.x, item.y, SPAWN_RADIUS * 4, SPAWN_RADIUS * 4);
+    } else {
+        rectMode(CENTER);
+        rect(item.x, item.y, item.w + 8, item.h + 8);
+
+        // Resize handle on the bottom-right corner
+        drawingContext.setLineDash([]);
+        fill(255);
+        const handle = HANDLE_SIZE / viewScale;
+        rect(item.x + item.w / 2, item.y + item.h / 2, handle, handle);
+    }
+    pop();
+}
+
+// --- EDITING ---
+
+function mousePressed() {
+    const pos = getMousePosition();
+    if (!pos) return;
+
+    if (tool === 'obstacle') {
+        editedMap.obstacles.push({ x: pos.x, y: pos.y, w: 0, h: 0 });
+        select_('obstacle', editedMap.obstacles.length - 1);
+        drag = { mode: 'create', anchorX: pos.x, anchorY: pos.y };
+    } else if (tool === 'base') {
+        addBase(pos);
+    } else if (tool === 'spawn') {
+        editedMap.relicSpawns.push({ x: pos.x, y: pos.y });
+        select_('spawn', editedMap.relicSpawns.length - 1);
+        mapChanged();
+    } else {
+        pickAt(pos);
+    }
+}
+
+function mouseDragged() {
+    const pos = getMousePosition(true);
+    const item = getSelectedItem();
+    if (!drag || !pos || !item) return;
+
+    if (drag.mode === 'move') {
+        item.x = snap(pos.x - drag.offsetX);
+        item.y = snap(pos.y - drag.offsetY);
+    } else if (drag.mode === 'resize') {
+        // Keep the top-left corner where it is
+        const left = item.x - item.w / 2;
+        const top = item.y - item.h / 2;
+        item.w = max(MIN_RECT_SIZE, snap(pos.x - left));
+        item.h = max(MIN_RECT_SIZE, snap(pos.y - top));
+        item.x = left + item.w / 2;
+        item.y = top + item.h / 2;
+    } else if (drag.mode === 'create') {
+        item.w = abs(pos.x - drag.anchorX);
+        item.h = abs(pos.y - drag.anchorY);
+        item.x = (pos.x + drag.anchorX) / 2;
+        item.y = (pos.y + drag.anchorY) / 2;
+    }
+    renderProperties();
+}
+
+function mouseReleased() {
+    if (!drag) return;
+
+    if (drag.mode === 'create') {
+        const obs = getSelectedItem();
+        if (obs.w < MIN_RECT_SIZE || obs.h < MIN_RECT_SIZE) {
+            deleteSelection();
+        }
+    }
+    drag = null;
+    mapChanged();
+}
+
+function keyPressed() {
+    // Typing in the side panel is not an editor shortcut
+    if (document.activeElement && ['INPUT', 'SELECT'].includes(document.activeElement.tagName)) return;
+
+    if (keyCode === DELETE || keyCode === BACKSPACE) {
+        deleteSelection();
+        mapChanged();
+        return false;
+    }
+}
+
+/**
+ * Select whatever is under the cursor (spawns, then bases, then obstacles)
+ * and start moving it, or resizing it if the handle was grabbed
+ */
+function pickAt(pos) {
+    const item = getSelectedItem();
+    if (item && selection.kind !== 'spawn') {
+        const handle = HANDLE_SIZE / viewScale;
+        if (abs(pos.x - (item.x + item.w / 2)) <= handle && abs(pos.y - (item.y + item.h / 2)) <= handle) {
+            drag = { mode: 'resize' };
+            return;
+        }
+    }
+
+    const spawnIndex = editedMap.relicSpawns.findIndex(spawn => dist(pos.x, pos.y, spawn.x, spawn.y) <= SPAWN_RADIUS / viewScale + 5);
+    const baseId = Object.keys(editedMap.bases).find(id => containsPoint(editedMap.bases[id], pos));
+    const obstacleIndex = editedMap.obstacles.findLastIndex(obs => containsPoint(obs, pos));
+
+    if (spawnIndex !== -1) select_('spawn', spawnIndex);
+    else if (baseId !== undefined) select_('base', baseId);
+    else if (obstacleIndex !== -1) select_('obstacle', obstacleIndex);
+    else select_(null);
+
+    const picked = getSelectedItem();
+    if (picked) {
+        drag = { mode: 'move', offsetX: pos.x - picked.x, offsetY: pos.y - picked.y };
+    }
+}
+
+function addBase(pos) {
+    // Reuse the first free playerN id so slots stay in order
+    let n = 1;
+    while (editedMap.bases[`player${n}`]) n++;
+    const id = `player${n}`;
+    editedMap.bases[id] = {
+        x: pos.x,
+        y: pos.y,
+        w: 100,
+        h: 100,
+        color: BASE_COLORS[(n - 1) % BASE_COLORS.length],
+        name: BASE_NAMES[(n - 1) % BASE_NAMES.length]
+    };
+    select_('base', id);
+    mapChanged();
+}
+
+function deleteSelection() {
+    if (!selection) return;
+
+    if (selection.kind === 'base') delete editedMap.bases[selection.key];
+    else if (selection.kind === 'obstacle') editedMap.obstacles.splice(selection.key, 1);
+    else editedMap.relicSpawns.splice(selection.key, 1);
+    select_(null);
+}
+
+// Trailing underscore: p5 already defines a global select()
+function select_(kind, key) {
+    selection = kind ? { kind: kind, key: key } : null;
+    renderProperties();
+}
+
+function getSelectedItem() {
+    if (!selection) return null;
+    if (selection.kind === 'base') return editedMap.bases[selection.key] || null;
+    if (selection.kind === 'obstacle') return editedMap.obstacles[selection.key] || null;
+    return editedMap.relicSpawns[selection.key] || null;
+}
+
+function containsPoint(rectangle, pos) {
+    return abs(pos.x - rectangle.x) <= rectangle.w / 2 && abs(pos.y - rectangle.y) <= rectangle.h / 2;
+}
+
+function snap(value) {
+    return round(value / GRID_SNAP) * GRID_SNAP;
+}
+
+/**
+ * Cursor in map coordinates (snapped), or null when it is off the map
+ * While dragging, positions are clamped to the map instead
+ */
+function getMousePosition(clamp = false) {
+    let x = mouseX / viewScale;
+    let y = mouseY / viewScale;
+    if (clamp) {
+        x = constrain(x, 0, editedMap.width);
+        y = constrain(y, 0, editedMap.height);
+    } else if (x < 0 || y < 0 || x > editedMap.width || y > editedMap.height) {
+        return null;
+    }
+    return { x: snap(x), y: snap(y) };
+}
+
+// --- SIDE PANEL ---
+
+function setupControls() {
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.addEventListener('click', () => setTool(button.dataset.tool));
+    });
+    setTool('select');
+
+    select('#newMapButton').mousePressed(newMap);
+    select('#loadMapButton').mousePressed(() => loadMap(select('#mapList').value()));
+    select('#saveMapButton').mousePressed(saveMap);
+    select('#deleteButton').mousePressed(() => {
+        deleteSelection();
+        mapChanged();
+    });
+    select('#editorKey').input(mapChanged);
+
+    // Map-wide settings
+    ['mapName', 'mapWidth', 'mapHeight', 'mapTileSize'].forEach(id => {
+        select(`#${id}`).input(() => {
+            editedMap.name = select('#mapName').value();
+            editedMap.width = Number(select('#mapWidth').value());
+            editedMap.height = Number(select('#mapHeight').value());
+            editedMap.tileSize = Number(select('#mapTileSize').value());
+            updateViewScale();
+            mapChanged();
+        });
+    });
+}
+
+function setTool(name) {
+    tool = name;
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === name);
+    });
+}
+
+/**
+ * Show editable fields for the selected object
+ */
+function renderProperties() {
+    const panel = select('#properties');
+    const item = getSelectedItem();
+    if (!item) {
+        panel.html('<p class="hint">Nothing selected</p>');
+        return;
+    }
+
+    const fields = selection.kind === 'spawn' ? ['x', 'y'] : ['x', 'y', 'w', 'h'];
+    let html = `<p class="hint">${selection.kind === 'base' ? `Base ${selection.key}` : `${selection.kind} #${selection.key}`}</p>`;
+    html += fields.map(field => `<label>${field}<input type="number" data-field="${field}"></label>`).join('');
+    if (selection.kind === 'base') {
+        html += '<label>name<input type="text" data-field="name" maxlength="24"></label>';
+        html += '<label>color<input type="color" data-field="color"></label>';
+    }
+    panel.html(html);
+
+    panel.elt.querySelectorAll('[data-field]').forEach(input => {
+        input.value = item[input.dataset.field]; // Set here so names are never parsed as HTML
+        input.addEventListener('input', () => {
+            const field = input.dataset.field;
+            item[field] = input.type === 'number' ? Number(input.value) : input.value;
+            mapChanged();
+        });
+    });
+}
+
+function renderMapSettings() {
+    select('#mapName').value(editedMap.name);
+    select('#mapWidth').value(editedMap.width);
+    select('#mapHeight').value(editedMap.height);
+    select('#mapTileSize').value(editedMap.tileSize);
+}
+
+function renderValidation(errors) {
+    const panel = select('#validation');
+    if (errors.length === 0) {
+        panel.html('<p class="valid">✅ Map is valid</p>');
+        return;
+    }
+    panel.html(errors.map(error => {
+        const div = createDiv();
+        div.elt.textContent = `⚠️ ${error}`;
+        return div.elt.outerHTML;
+    }).join(''));
+}
+
+function updateViewScale() {
+    viewScale = min(CANVAS_SIZE / (editedMap.width || 1), CANVAS_SIZE / (editedMap.height || 1));
+}
+
+// --- SERVER ---
+
+/**
+ * JSON headers, plus the editor key when one was entered (validating and
+ * saving both need it from another machine)
+ */
+function getRequestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const editorKey = select('#editorKey').value();
+    if (editorKey) headers['X-Map-Editor-Key'] = editorKey;
+    return headers;
+}
+
+/**
+ * Re-validate shortly after the last edit
+ */
+function mapChanged() {
+    clearTimeout(validateTimer);
+    validateTimer = setTimeout(() => {
+        fetch('/api/maps/validate', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(editedMap)
+        })
+            .then(res => res.json())
+            .then(result => renderValidation(result.errors))
+            .catch(() => renderValidation(['could not reach the server']));
+    }, VALIDATE_DELAY);
+}
+
+function newMap() {
+    editedMap = {
+        name: 'New Map',
+        width: 1000,
+        height: 1000,
+        tileSize: 50,
+        bases: {},
+        obstacles: [],
+        relicSpawns: [{ x: 500, y: 500 }]
+    };
+    addBase({ x: 100, y: 100 });
+    addBase({ x: 900, y: 900 });
+    select('#mapId').value('');
+    select_(null);
+    loadedMapChanged();
+}
+
+function loadMapList(selectedId) {
+    fetch('/api/maps')
+        .then(res => res.json())
+        .then(maps => {
+            const mapList = select('#mapList');
+            mapList.html('');
+            maps.forEach(m => {
+                const option = createElement('option');
+                option.elt.value = m.id;
+                option.elt.textContent = `🗺️ ${m.name} (${m.maxPlayers}P)`;
+                option.parent(mapList);
+            });
+            if (selectedId) select('#mapList').value(selectedId);
+        });
+}
+
+function loadMap(mapId) {
+    if (!mapId) return;
+
+    fetch(`/api/maps/${encodeURIComponent(mapId)}`)
+        .then(res => res.json())
+        .then(loaded => {
+            editedMap = loaded;
+            select('#mapId').value(mapId);
+            select_(null);
+            loadedMapChanged();
+            showNotification(`Loaded ${editedMap.name}`, '#3498db');
+        });
+}
+
+function loadedMapChanged() {
+    updateViewScale();
+    renderMapSettings();
+    mapChanged();
+}
+
+function saveMap() {
+    const mapId = select('#mapId').value().trim().toLowerCase();
+    if (!mapId) {
+        showNotification('Enter a map id to save as', '#e74c3c');
+        return;
+    }
+
+    fetch(`/api/maps/${encodeURIComponent(mapId)}`, {
+        method: 'PUT',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(editedMap)
+    })
+        .then(res => res.json())
+        .then(result => {
+            renderValidation(result.errors);
+            if (result.errors.length > 0) {
+                showNotification('Map not saved - fix the problems listed', '#e74c3c');
+                return;
+            }
+            showNotification(`Saved as maps/${result.id}.json`, '#2ecc71');
+            loadMapList(result.id);
+        })
+        .catch(() => showNotification('Could not reach the server', '#e74c3c'));
+}
+
+function showNotification(message, bgColor) {
+    const notification = select('#notification');
+    notification.html(message);
+    notification.style('background-color', bgColor);
+    notification.style('display', 'block');
+    setTimeout(() => notification.style('display', 'none'), 2500);
+}
@@ -0,0 +1,173 @@
+// ============================================================================
+// MAP RENDERER - Shared by the game (sketch.js), the map editor (editor.js)
+// and the replay viewer (replay.js)
+// ============================================================================
+
+const PICKUP_STYLES = {
+    speed: { name: 'Speed Boost', icon: '⚡', color: [241, 196, 15] },
+    vision: { name: 'Far Sight', icon: '👁️', color: [52, 152, 219] },
+    pulse: { name: 'Relic Pulse', icon: '🔔', color: [255, 215, 0] },
+    shield: { name: 'Shield', icon: '🛡️', color: [46, 204, 113] }
+};
+
+/**
+ * Draw one base: soft glow, outlined square and its name
+ * Rectangles are center point + size, like in the map JSON
+ */
+function drawBase(base) {
+    push();
+    rectMode(CENTER);
+    
+    // Convert hex color to p5 color object
+    let baseColor = color(base.color);
+    
+    noStroke();
+    fill(red(baseColor), green(baseColor), blue(baseColor), 32); // 20 in hex is ~32 in alpha
+    for (let i = 3; i > 0; i--) {
+        rect(base.x, base.y, base.w + i * 15, base.h + i * 15);
+    }
+    
+    stroke(baseColor);
+    strokeWeight(4);
+    fill(red(baseColor), green(baseColor), blue(baseColor), 48); // 30 in hex is ~48 in alpha
+    rect(base.x, base.y, base.w, base.h);
+    
+    fill(baseColor);
+    noStroke();
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    textStyle(BOLD);
+    text(base.name, base.x, base.y);
+    
+    pop();
+}
+
+function drawObstacle(obs) {
+    push();
+    fill(30, 30, 40);
+    stroke(60, 60, 80);
+    strokeWeight(2);
+    rectMode(CENTER);
+    rect(obs.x, obs.y, obs.w, obs.h);
+    pop();
+}
+
+/**
+ * Draw a player: body in its base colour, a gold glow while carrying a
+ * relic, its name above and a 💫 while stunned
+ */
+function drawPlayerToken(p, label, stunned) {
+    push();
+    
+    if (p.hasRelic) {
+        noStroke();
+        let glowAlpha = 150 + sin(frameCount * 0.15) * 100;
+        fill(255, 215, 0, glowAlpha);
+        ellipse(p.x, p.y, 60, 60);
+    }
+    
+    // Convert hex color to p5 color
+    let playerColor = color(p.color || '#ffffff');
+    fill(playerColor);
+    stroke(255);
+    strokeWeight(3);
+    ellipse(p.x, p.y, 35, 35);
+    
+    noStroke();
+    fill(255);
+    ellipse(p.x, p.y - 10, 6, 6);
+    
+    fill(255);
+    stroke(0);
+    strokeWeight(3);
+    textAlign(CENTER, CENTER);
+    textSize(13);
+    textStyle(BOLD);
+    text(label, p.x, p.y - 35);
+    
+    if (stunned) {
+        noStroke();
+        textSize(18);
+        text('💫', p.x, p.y - 55);
+    }
+    
+    pop();
+}
+
+/**
+ * Draw a relic lying on the ground; label (its value) is optional
+ */
+function drawRelicItem(x, y, label) {
+    push();
+    
+    noStroke();
+    let glowSize = 70 + sin(frameCount * 0.1) * 20;
+    fill(255, 215, 0, 150);
+    ellipse(x, y, glowSize, glowSize);
+    
+    fill(255, 215, 0, 80);
+    ellipse(x, y, glowSize * 1.5, glowSize * 1.5);
+    
+    fill(255, 215, 0);
+    stroke(255, 165, 0);
+    strokeWeight(4);
+    rectMode(CENTER);
+    
+    push();
+    translate(x, y);
+    rotate(frameCount * 0.02);
+    rect(0, 0, 30, 30);
+    
+    rotate(frameCount * -0.04);
+    stroke(255, 215, 0);
+    strokeWeight(2);
+    noFill();
+    rect(0, 0, 20, 20);
+    pop();
+    
+    fill(255, 165, 0);
+    noStroke();
+    ellipse(x, y, 10, 10);
+    
+    for (let i = 0; i < 3; i++) {
+        let angle = frameCount * 0.05 + (i * TWO_PI / 3);
+        let px = x + cos(angle) * 25;
+        let py = y + sin(angle) * 25;
+        fill(255, 215, 0, 200);
+        ellipse(px, py, 5, 5);
+    }
+    
+    if (label !== null && label !== undefined) {
+        fill(0);
+        textAlign(CENTER, CENTER);
+        textSize(14);
+        textStyle(BOLD);
+        text(label, x, y);
+    }
+    
+    pop();
+}
+
+/**
+ * Draw a power-up { id, type, x, y }, bobbing gently
+ */
+function drawPickupItem(pickup) {
+    const style = PICKUP_STYLES[pickup.type];
+    if (!style) return;
+    const bob = sin(frameCount * 0.08 + pickup.id) * 3;
+    
+    push();
+    noStroke();
+    fill(...style.color, 70);
+    ellipse(pickup.x, pickup.y, 44 + bob, 44 + bob);
+    fill(20, 20, 30);
+    stroke(...style.color);
+    strokeWeight(2);
+    ellipse(pickup.x, pickup.y + bob, 26, 26);
+    
+    noStroke();
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    text(style.icon, pickup.x, pickup.y + bob);
+    pop();
+}
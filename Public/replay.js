@@ -0,0 +1,541 @@
+// ============================================================================
+// REPLAY VIEWER - Watch recorded matches again (GET /api/replays)
+// ============================================================================
+// Plays back the match logs written by the server (see recorder.js for the
+// format) with the game's own renderers (mapRenderer.js).
+//
+// The log is turned into one complete state per recorded frame when it is
+// loaded, so seeking is instant; players are interpolated between frames.
+// The view menu switches between the full map and any player's fogged
+// view: what that player's client was allowed to see, with their grab
+// range drawn around them. The log lists every action with the distance
+// that decided it - click an entry to jump there.
+//
+// Keys: Space play/pause, ←/→ one second, 0 full map, 1-9 a player's view
+
+const CANVAS_SIZE = 800;
+const SEEK_STEP = 1000;          // ms per ←/→ press
+const LOG_LIMIT = 200;           // Log entries shown (the newest ones)
+const REPLAY_VERSION = 2;        // Log format this viewer reads (RECORDING_VERSION)
+const POSITION_PRECISION = 10;   // Recorded positions are x * 10 (as on the wire)
+
+// Must match recorder.js
+const PLAYER_FLAGS = { hasRelic: 1, away: 2, stunned: 4, revealed: 8 };
+const EFFECT_FLAG_SHIFT = 4;
+const PICKUP_TYPE_IDS = ['speed', 'vision', 'pulse', 'shield'];
+const RELIC_STATES = { spawn: 0, held: 1, respawning: 2, loose: 3 };
+
+let replay = null;      // { header, states, duration, roster, log } (see loadReplay)
+let playhead = 0;       // ms into the match
+let playing = false;
+let speed = 1;
+let viewerId = null;    // player.id whose fogged view is shown, null = full map
+let viewScale = 1;      // Map pixels -> canvas pixels (maps are scaled to fit)
+let fogLayer;
+let shownLogCount = -1; // Log entries currently rendered (re-render on change)
+
+function setup() {
+    let canvas = createCanvas(CANVAS_SIZE, CANVAS_SIZE);
+    canvas.parent('canvasContainer');
+    fogLayer = createGraphics(CANVAS_SIZE, CANVAS_SIZE);
+
+    setupControls();
+    const requested = new URLSearchParams(window.location.search).get('id');
+    loadReplayList(requested);
+    if (requested) loadReplay(requested);
+}
+
+function draw() {
+    background(10, 10, 15);
+
+    if (!replay) {
+        fill(149, 165, 166);
+        noStroke();
+        textAlign(CENTER, CENTER);
+        textSize(18);
+        text('Pick a recorded match and press Load', width / 2, height / 2);
+        return;
+    }
+
+    if (playing) {
+        playhead = min(replay.duration, playhead + deltaTime * speed);
+        if (playhead >= replay.duration) setPlaying(false);
+        updatePlaybackControls();
+    }
+
+    const index = findStateIndex(playhead);
+    const state = replay.states[index];
+    const players = getPlayersAt(index, playhead);
+    const viewer = players.find(p => p.id === viewerId) || null;
+    const sources = viewer ? players.filter(p => p.baseId === viewer.baseId) : [];
+    const isVisible = (point) => !viewer || sources.some(source => dist(point.x, point.y, source.x, source.y) < source.range);
+    const map = replay.header.map;
+
+    push();
+    scale(viewScale);
+
+    noStroke();
+    fill(25, 35, 45);
+    rect(0, 0, map.width, map.height);
+    map.obstacles.forEach(obs => drawObstacle(obs));
+    Object.values(map.bases).forEach(base => drawBase(base));
+
+    state.pickups.filter(isVisible).forEach(drawPickupItem);
+    state.relics.forEach(relic => {
+        if (relic.state === RELIC_STATES.held || relic.state === RELIC_STATES.respawning) return;
+        const pulse = viewer && hasFlag(viewer, 1 << (EFFECT_FLAG_SHIFT + PICKUP_TYPE_IDS.indexOf('pulse')));
+        if (relic.state === RELIC_STATES.spawn || pulse || isVisible(relic)) {
+            drawRelicItem(relic.x, relic.y, state.relics.length > 1 ? relic.value : null);
+        }
+    });
+    players.forEach(p => {
+        if (!viewer || p.baseId === viewer.baseId || isVisible(p)) {
+            drawPlayerToken(p, getPlayerLabel(p), hasFlag(p, PLAYER_FLAGS.stunned));
+        } else if (hasFlag(p, PLAYER_FLAGS.revealed)) {
+            drawRevealedCarrier(p);
+        }
+    });
+    if (viewer) drawGrabRange(viewer);
+    pop();
+
+    if (viewer) drawFog(sources);
+    drawHud(state, viewer);
+    renderLog();
+}
+
+// --- PLAYBACK STATE ---
+
+/**
+ * Turn the log into a full state per frame (players, relics, pickups,
+ * scores) plus the roster of everyone who played and a readable log
+ */
+function buildReplay(lines) {
+    const header = lines[0];
+    const roster = new Map(); // player.id -> { id, name, baseId, color, isBot }
+    const states = [];
+    const log = [];
+    let players = new Map();  // netId -> player at this frame
+    let relics = [];
+    let pickups = [];
+    let scores = {};
+    let duration = 0;
+
+    lines.slice(1).forEach(frame => {
+        duration = max(duration, frame.t);
+        if (frame.end) return;
+
+        const previous = states.length > 0 ? states[states.length - 1] : null;
+        players = new Map(players);
+        (frame.l || []).forEach(netId => {
+            const player = players.get(netId);
+            if (player) log.push({ t: frame.t, text: `➖ ${player.name} left` });
+            players.delete(netId);
+        });
+        (frame.j || []).forEach(([netId, id, name, baseId, color, isBot]) => {
+            const player = { netId, id, name, baseId, color, isBot, x: 0, y: 0, flags: 0, range: 0, hasRelic: false };
+            players.set(netId, player);
+            if (!roster.has(id)) roster.set(id, { id, name, baseId, color, isBot });
+            log.push({ t: frame.t, text: `➕ ${getPlayerLabel(player)} joined` });
+        });
+        (frame.p || []).forEach(([netId, x, y, flags, range]) => {
+            const player = players.get(netId);
+            if (!player) return;
+            players.set(netId, {
+                ...player,
+                x: x / POSITION_PRECISION,
+                y: y / POSITION_PRECISION,
+                flags: flags,
+                range: range,
+                hasRelic: (flags & PLAYER_FLAGS.hasRelic) !== 0
+            });
+        });
+        if (frame.r) {
+            relics = frame.r.map(([x, y, holderNetId, relicState], id) => ({
+                id: id,
+                value: id + 1,
+                x: x / POSITION_PRECISION,
+                y: y / POSITION_PRECISION,
+                holderNetId: holderNetId,
+                state: relicState
+            }));
+        }
+        if (frame.u) pickups = frame.u.map(([id, type, x, y]) => ({ id, type, x, y }));
+        if (frame.s) scores = frame.s;
+
+        const state = { t: frame.t, tick: frame.k, players, relics, pickups, scores };
+        (frame.i || []).forEach(action => {
+            const text = describeAction(action, previous || state, state, header);
+            if (text) log.push({ t: frame.t, text: text });
+        });
+        (frame.e || []).forEach(event => {
+            const text = describeEvent(event, roster, header);
+            if (text) log.push({ t: frame.t, text: text });
+        });
+        states.push(state);
+    });
+
+    if (states.length === 0) {
+        states.push({ t: 0, tick: 0, players: new Map(), relics: [], pickups: [], scores: {} });
+    }
+    return { header, states, duration, roster, log };
+}
+
+/**
+ * Last state at or before time t (binary search, states are in time order)
+ */
+function findStateIndex(t) {
+    let low = 0;
+    let high = replay.states.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (replay.states[mid].t <= t) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * Players at time t, moving smoothly towards the next frame
+ * Frames are only written when something changes, so a player holds
+ * still until the tick before the next frame, then moves within that tick
+ */
+function getPlayersAt(index, t) {
+    const state = replay.states[index];
+    const next = replay.states[index + 1];
+    const tickMs = 1000 / replay.header.tickRate;
+    const amount = next ? constrain((t - (next.t - tickMs)) / tickMs, 0, 1) : 0;
+
+    return Array.from(state.players.values()).map(p => {
+        const target = next && next.players.get(p.netId);
+        if (!target || target.id !== p.id || amount === 0) return p;
+        return { ...p, x: lerp(p.x, target.x, amount), y: lerp(p.y, target.y, amount) };
+    });
+}
+
+function hasFlag(player, flag) {
+    return (player.flags & flag) !== 0;
+}
+
+function getPlayerLabel(player) {
+    const name = player.isBot ? `🤖 ${player.name}` : player.name;
+    return hasFlag(player, PLAYER_FLAGS.away) ? `${name} (away)` : name;
+}
+
+// --- LOG ---
+
+function formatTime(ms) {
+    const seconds = Math.max(0, ms) / 1000;
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function getDistance(p1, p2) {
+    return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+}
+
+/**
+ * One recorded input, with the distance the server judged it by and
+ * whether it was accepted (✅) or turned down (❌)
+ * The actor's position is exact; relics are taken from the frame before,
+ * where they lay when it ran. Carriers may have moved earlier in the same
+ * tick, so tackle distances are approximate (~)
+ * Accepted moves show in the position track and are left out (null)
+ */
+function describeAction([netId, type, x, y, accepted], before, state, header) {
+    if (type === 'move' && accepted) return null;
+    const text = describeInput(netId, type, x, y, before, state, header);
+    return `${text} ${accepted ? '✅' : '❌'}`;
+}
+
+function describeInput(netId, type, x, y, before, state, header) {
+    const player = state.players.get(netId);
+    const players = before.players;
+    const relics = before.relics;
+    const name = player ? getPlayerLabel(player) : `Player ${netId}`;
+    const at = { x: x / POSITION_PRECISION, y: y / POSITION_PRECISION };
+    const rules = header.rules;
+
+    if (type === 'relic') {
+        const lying = relics.filter(r => r.state === RELIC_STATES.spawn || r.state === RELIC_STATES.loose);
+        if (lying.length === 0) return `🎯 ${name} pressed grab - no relic lying around`;
+        const nearest = Math.min(...lying.map(r => getDistance(at, r)));
+        return `🎯 ${name} pressed grab: nearest relic ${Math.floor(nearest)}px (range ${rules.grabRange})`;
+    }
+    if (type === 'base') {
+        const base = player && header.map.bases[player.baseId];
+        if (!base) return `🏠 ${name} pressed score`;
+        return `🏠 ${name} pressed score: base ${Math.floor(getDistance(at, base))}px (range ${rules.captureRange})`;
+    }
+    if (type === 'tackle') {
+        const carriers = Array.from(players.values())
+            .filter(p => hasFlag(p, PLAYER_FLAGS.hasRelic) && (!player || p.baseId !== player.baseId));
+        if (carriers.length === 0) return `💨 ${name} tackled - no carrier to hit`;
+        const nearest = Math.min(...carriers.map(p => getDistance(at, p)));
+        return `💨 ${name} tackled: nearest carrier ~${Math.floor(nearest)}px (range ${rules.tackleRange})`;
+    }
+    if (type === 'drop') return `🤾 ${name} pressed throw`;
+    if (type === 'move') return `🚶 ${name} tried to move`;
+    return `${name}: ${type}`;
+}
+
+/**
+ * One public game event (the same events clients get in snapshots)
+ */
+function describeEvent(event, roster, header) {
+    const nameOf = (id) => {
+        const player = roster.get(id);
+        return player ? getPlayerLabel(player) : 'Someone';
+    };
+    const relicName = (relicId) => header.rules.relicCount > 1 ? `relic ${relicId + 1}` : 'the relic';
+
+    switch (event.type) {
+        case 'relicGrabbed': return `✨ ${nameOf(event.playerId)} grabbed ${relicName(event.relicId)}`;
+        case 'relicDropped': return `📍 ${nameOf(event.playerId)} dropped ${relicName(event.relicId)}`;
+        case 'relicRespawned': return `🔄 ${relicName(event.relicId)} respawned`;
+        case 'score':
+            return event.winningPlayer
+                ? `🏆 ${nameOf(event.scoringPlayer)} scored ${event.value} and WINS`
+                : `⭐ ${nameOf(event.scoringPlayer)} scored ${event.value}`;
+        case 'tackle': return `💥 ${nameOf(event.playerId)} tackled ${nameOf(event.targetId)}`;
+        case 'tackleBlocked': return `🛡️ ${nameOf(event.targetId)}'s shield blocked ${nameOf(event.playerId)}`;
+        case 'carrierRevealed': return `📡 ${nameOf(event.playerId)} revealed as carrier`;
+        case 'playerAway': return `📶 ${nameOf(event.playerId)} lost connection`;
+        case 'playerReturned': return `🔁 ${nameOf(event.playerId)} is back`;
+        case 'hostChanged': return `👑 ${nameOf(event.playerId)} is now host`;
+        case 'overtime': return '⚡ Sudden-death overtime';
+        case 'timeUp': return '⏰ Time up';
+        default: return null;
+    }
+}
+
+/**
+ * Log entries up to the playhead, newest at the bottom (the latest
+ * moment's entries highlighted), and the scores at the playhead
+ * Only re-rendered when the playhead crosses an entry
+ */
+function renderLog() {
+    let count = 0;
+    while (count < replay.log.length && replay.log[count].t <= playhead) count++;
+    if (count === shownLogCount) return;
+    shownLogCount = count;
+
+    const panel = select('#log');
+    const entries = replay.log.slice(Math.max(0, count - LOG_LIMIT), count);
+    const latest = entries.length > 0 ? entries[entries.length - 1].t : null;
+    panel.html('');
+    entries.forEach(entry => {
+        const div = createDiv();
+        div.elt.textContent = `${formatTime(entry.t)} ${entry.text}`; // Names are never parsed as HTML
+        div.elt.dataset.t = entry.t;
+        div.elt.style.cursor = 'pointer';
+        if (entry.t === latest) div.addClass('recent');
+        div.parent(panel);
+    });
+    panel.elt.scrollTop = panel.elt.scrollHeight;
+    renderScores(replay.states[findStateIndex(playhead)]);
+}
+
+function renderScores(state) {
+    const teamMode = replay.header.rules.teamSize > 1;
+    const panel = select('#scores');
+    panel.html('');
+    Object.entries(state.scores)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([key, score]) => {
+            const base = replay.header.map.bases[key];
+            const player = replay.roster.get(key);
+            const div = createDiv();
+            div.elt.textContent = `${teamMode && base ? base.name : player ? getPlayerLabel(player) : key}: ${score}`;
+            div.style('color', (teamMode && base ? base.color : player?.color) || '#ecf0f1');
+            div.parent(panel);
+        });
+}
+
+// --- DRAWING ---
+
+/**
+ * Darken everything outside the vision of the viewed player's team
+ * (drawn in canvas pixels, so huge maps don't need a huge buffer)
+ */
+function drawFog(sources) {
+    fogLayer.clear();
+    fogLayer.noStroke();
+    fogLayer.fill(0, 0, 0, 230);
+    fogLayer.rect(0, 0, replay.header.map.width * viewScale, replay.header.map.height * viewScale);
+    fogLayer.erase(180, 0);
+    sources.forEach(source => fogLayer.ellipse(source.x * viewScale, source.y * viewScale, source.range * 2.1 * viewScale));
+    fogLayer.erase(255, 0);
+    sources.forEach(source => fogLayer.ellipse(source.x * viewScale, source.y * viewScale, source.range * 2 * viewScale));
+    fogLayer.noErase();
+    image(fogLayer, 0, 0);
+}
+
+/**
+ * Dashed ring showing how close the viewed player has to be to grab
+ */
+function drawGrabRange(viewer) {
+    push();
+    noFill();
+    stroke(255, 215, 0, 120);
+    strokeWeight(2 / viewScale);
+    drawingContext.setLineDash([6 / viewScale, 6 / viewScale]);
+    ellipse(viewer.x, viewer.y, replay.header.rules.grabRange * 2);
+    pop();
+}
+
+/**
+ * Carriers revealed to everyone but outside the viewer's vision
+ * (the game shows these on the minimap only)
+ */
+function drawRevealedCarrier(p) {
+    push();
+    noFill();
+    stroke(255, 215, 0, 150 + sin(frameCount * 0.15) * 100);
+    strokeWeight(3 / viewScale);
+    ellipse(p.x, p.y, 40);
+    noStroke();
+    fill(255, 215, 0);
+    textAlign(CENTER, CENTER);
+    textSize(16);
+    text('📡', p.x, p.y - 30);
+    pop();
+}
+
+function drawHud(state, viewer) {
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rect(0, 0, width, 28);
+    fill(255);
+    textSize(13);
+    textAlign(LEFT, CENTER);
+    text(`${formatTime(playhead)}  |  tick ${state.tick}  |  ${speed}x${playing ? '' : '  |  paused'}`, 10, 14);
+    textAlign(RIGHT, CENTER);
+    text(viewer ? `👁️ ${getPlayerLabel(viewer)}'s view` : viewerId ? '👁️ Not in the match right now' : '🗺️ Full map', width - 10, 14);
+    pop();
+}
+
+// --- CONTROLS ---
+
+function keyPressed() {
+    // Typing in the side panel is not a playback shortcut
+    if (document.activeElement && ['INPUT', 'SELECT'].includes(document.activeElement.tagName)) return;
+    if (!replay) return;
+
+    if (key === ' ') {
+        setPlaying(!playing);
+        return false;
+    }
+    if (keyCode === LEFT_ARROW) seek(playhead - SEEK_STEP);
+    if (keyCode === RIGHT_ARROW) seek(playhead + SEEK_STEP);
+    if (key >= '0' && key <= '9') {
+        const choice = Number(key);
+        const ids = Array.from(replay.roster.keys());
+        if (choice === 0) setViewer(null);
+        else if (choice <= ids.length) setViewer(ids[choice - 1]);
+    }
+}
+
+function setupControls() {
+    select('#loadReplayButton').mousePressed(() => loadReplay(select('#replayList').value()));
+    select('#playButton').mousePressed(() => setPlaying(!playing));
+    select('#backButton').mousePressed(() => seek(playhead - SEEK_STEP));
+    select('#forwardButton').mousePressed(() => seek(playhead + SEEK_STEP));
+    select('#seekBar').input(() => seek(Number(select('#seekBar').value())));
+    select('#speedSelect').changed(() => { speed = Number(select('#speedSelect').value()); });
+    select('#viewSelect').changed(() => setViewer(select('#viewSelect').value() || null));
+
+    // Clicking a log entry jumps to it
+    select('#log').elt.addEventListener('click', (event) => {
+        const t = event.target.dataset.t;
+        if (t === undefined) return;
+        setPlaying(false);
+        seek(Number(t));
+    });
+}
+
+function setPlaying(value) {
+    if (value && playhead >= replay.duration) playhead = 0; // Play again from the start
+    playing = value;
+    select('#playButton').html(playing ? '⏸ Pause' : '▶ Play');
+}
+
+function seek(t) {
+    playhead = constrain(t, 0, replay.duration);
+    updatePlaybackControls();
+}
+
+function setViewer(id) {
+    viewerId = id;
+    select('#viewSelect').value(id || '');
+}
+
+function updatePlaybackControls() {
+    select('#seekBar').value(Math.round(playhead));
+    select('#timeLabel').html(`${formatTime(playhead)} / ${formatTime(replay.duration)}`);
+}
+
+function renderViewOptions() {
+    const view = select('#viewSelect');
+    view.html('<option value="">🗺️ Full map</option>');
+    Array.from(replay.roster.values()).forEach((player, index) => {
+        const option = createElement('option');
+        option.elt.value = player.id;
+        option.elt.textContent = `${index + 1}: ${getPlayerLabel(player)}'s view`;
+        option.parent(view);
+    });
+}
+
+// --- SERVER ---
+
+function loadReplayList(selectedId) {
+    fetch('/api/replays')
+        .then(res => res.json())
+        .then(replays => {
+            const list = select('#replayList');
+            list.html('');
+            replays.forEach(entry => {
+                const option = createElement('option');
+                option.elt.value = entry.id;
+                option.elt.textContent = `${new Date(entry.startedAt).toLocaleString()} - ${entry.room} (${entry.map}, ${formatTime(entry.duration)})`;
+                option.parent(list);
+            });
+            if (replays.length === 0) list.html('<option value="">No recorded matches yet</option>');
+            if (selectedId) list.value(selectedId);
+        })
+        .catch(() => showNotification('Could not reach the server', '#e74c3c'));
+}
+
+function loadReplay(id) {
+    if (!id) return;
+
+    fetch(`/api/replays/${encodeURIComponent(id)}`)
+        .then(res => {
+            if (!res.ok) throw new Error('unknown replay');
+            return res.text();
+        })
+        .then(text => {
+            const lines = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+            if (lines.length === 0 || lines[0].version !== REPLAY_VERSION) throw new Error('unsupported replay');
+            replay = buildReplay(lines);
+            viewScale = min(CANVAS_SIZE / replay.header.map.width, CANVAS_SIZE / replay.header.map.height);
+            playhead = 0;
+            shownLogCount = -1;
+            select('#seekBar').attribute('max', Math.round(replay.duration));
+            select('#replayInfo').html('');
+            select('#replayInfo').elt.textContent = `${replay.header.room} on ${replay.header.map.name} (${replay.header.rules.mode}), ${replay.roster.size} players`;
+            renderViewOptions();
+            setViewer(null);
+            setPlaying(false);
+            updatePlaybackControls();
+            showNotification('Replay loaded', '#3498db');
+        })
+        .catch(() => showNotification('Could not load that replay', '#e74c3c'));
+}
+
+function showNotification(message, bgColor) {
+    const notification = select('#notification');
+    notification.html(message);
+    notification.style('background-color', bgColor);
+    notification.style('display', 'block');
+    setTimeout(() => notification.style('display', 'none'), 2500);
+}
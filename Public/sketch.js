@@ -3,8 +3,20 @@
 // --- GLOBAL CLIENT STATE ---
 let socket;
 let myPlayerId;
+let currentRoomId = null; // Room we are playing in, null while in the lobby
+const SESSION_STORAGE_KEY = 'relicSession'; // Per-tab resume token
+const ACCOUNT_STORAGE_KEY = 'relicAccount'; // Login token, kept across visits
+let account = null; // { name, rating, stats } while logged in, null for guests
+const LEADERBOARD_SIZE = 10;
+let leaderboard = []; // [{ rank, name, rating, ratedMatches, matchesPlayed, wins }] from /api/leaderboard
+
+// --- SPECTATOR MODE ---
+let spectating = false; // Watching a room without a slot (unfogged snapshots)
+let spectatorCamera = { followId: null, x: 500, y: 500 }; // followId null = free camera
+const SPECTATOR_CAMERA_SPEED = 12;
 let players = new Map(); 
-let relic;
+let relics = []; // Indexed by relic id: { id, value, isHeld, holderId, visible, x, y, lastSeenAt }
+let pickups = []; // Power-ups inside our vision: [{ id, type, x, y }]
 let scores = {};
 
 let exploredTiles = new Set(); 
@@ -12,7 +24,35 @@ let exploredTiles = new Set();
 let lastClientMoveTime = 0;
 const MOVEMENT_UPDATE_INTERVAL = 16; 
 
+// --- PREDICTION / RECONCILIATION ---
+let inputSequence = 0;  // Sequence number of the last input we sent
+let pendingInputs = []; // Sent inputs the server has not acknowledged yet
+
 let networkLag = 0; 
+let lastServerTick = 0; // Tick number of the newest snapshot received
+let serverClockOffset = null; // Estimated (client clock - server clock) in ms
+
+// --- BINARY SNAPSHOTS (format constants must match snapshot.js) ---
+const SNAPSHOT_VERSION = 3;
+const PLAYER_REMOVED = 1;
+const PLAYER_X = 2;
+const PLAYER_Y = 4;
+const PLAYER_HAS_RELIC = 8;
+const PLAYER_REVEALED = 16;
+const RELIC_CHANGED = 1;
+const RELIC_HELD = 2;
+const RELIC_KNOWN = 4;
+const PICKUPS_CHANGED = 1;
+const PICKUP_TYPE_IDS = ['speed', 'vision', 'pulse', 'shield']; // Wire ids, order matches engine.js
+let playerIdsByNetId = new Map(); // One-byte entity id -> socket id
+let decodedSnapshots = new Map(); // tick -> decoded state, baselines for deltas
+let totalSnapshotBytes = 0;
+let snapshotByteLog = [];         // Recent { t, bytes } for the bandwidth meter
+
+// --- INTERPOLATION BUFFER ---
+const INTERPOLATION_DELAY = 100; // Render remote players this far in the past (~3 ticks)
+const MAX_EXTRAPOLATION = 250;   // Keep moving on packet loss for at most this long
+const SNAPSHOT_BUFFER_SIZE = 30; // Snapshots kept per remote player (~1s at 30 Hz)
 
 // DEBUG: Visual key press indicator
 let debugKeys = { w: false, a: false, s: false, d: false };
@@ -20,25 +60,42 @@ let debugMoveCount = 0;
 
 // --- FOG OF WAR CONSTANTS AND BUFFERS ---
 let mapGraphics;
-const VISUAL_RANGE_NORMAL = 150;
-const VISUAL_RANGE_RELIC = 400;
-const TILE_SIZE = 50; 
 const MAX_PLAYER_SPEED = 5; 
+const PLAYER_RADIUS = 17;      // Collision size (must match server)
+const POSITION_PRECISION = 10; // Server keeps positions on a 0.1px grid
+const LAST_SEEN_FADE_MS = 10000; // Mini-map last-known markers fade over this time
+
+// --- MAP (sent by the server in gameStart, format documented in server.js) ---
+// { name, width, height, tileSize, bases: { baseId: { x, y, w, h, color, name } },
+//   obstacles: [{ x, y, w, h }], relicSpawns: [{ x, y }] }
+let currentMap = null;
+
+// --- MATCH RULES (chosen by the room host, sent in gameStart) ---
+// { mode, scoreLimit, timeLimit, relicRespawnDelay, relicCount, relicSpawn,
+//   resetDelay, grabRange, captureRange, visualRange, visualRangeRelic,
+//   carrierSpeed, carrierRevealDelay, throwDistance, tackleRange,
+//   tackleCooldown, stunDuration, teamSize }
+let rules = null;
+let hostId = null;   // Player allowed to change the rules
+let roomCapacity = 0; // Player slots in the room (bases x team size)
+let gameModes = [];  // [{ id, name, description, rules }] from lobbyInfo
+// Match clock from matchTimer: remaining ms (null = no clock) at receivedAt
+let matchClock = { remaining: null, overtime: false, receivedAt: 0 };
+
+// --- TACKLING (server validates; these only drive input gating and the HUD) ---
+let tackleReadyAt = 0;  // millis() when our next tackle is allowed
+let stunnedUntil = 0;   // millis() until we can move again
+let lastMoveDirection = { dx: 0, dy: 0 }; // G throws the relic this way
+let carryStartedAt = 0; // millis() we picked up our relic (reveal countdown)
 
-// --- HARDCODED BASE POSITIONS (Must match server) ---
-const BASE_POSITIONS = {
-    player1: { x: 100, y: 100, color: '#3498db', name: 'BLUE BASE' },
-    player2: { x: 900, y: 900, color: '#2ecc71', name: 'GREEN BASE' },
-    player3: { x: 900, y: 100, color: '#e74c3c', name: 'RED BASE' },
-    player4: { x: 100, y: 900, color: '#f39c12', name: 'YELLOW BASE' }
-};
-const BASE_SIZE = 100;
+// --- PICKUPS (effects live in player.effects: type -> millis() it wears off) ---
+const SPEED_BOOST = 1.4;  // Must match server.js
+const VISION_BOOST = 1.5;
+// PICKUP_STYLES (names, icons, colours) live in mapRenderer.js
 
 // --- PARTICLES FOR RELIC TRAIL ---
 let particles = [];
 
-const MAX_SCORE = 3; 
-
 function preload() {
     // Load assets here if needed
 }
@@ -52,129 +109,249 @@ function setup() {
 
     socket = io(); 
     
+    setupLobby();
+    
     socket.on('connect', () => {
-        myPlayerId = socket.id; 
-        console.log('Connected with ID:', myPlayerId);
+        console.log('Connected with socket ID:', socket.id);
         
-        players.set(myPlayerId, {
-            id: myPlayerId,
-            x: 500, 
-            y: 500,
-            targetX: 500,
-            targetY: 500,
-            hasRelic: false,
-            name: 'Connecting...',
-            color: '#ffffff',
-            baseColor: '#ffffff'
-        });
-
-        socket.emit('joinGame', { name: 'Player' });
+        // A fresh socket starts in the lobby unless the server still holds our slot
+        currentRoomId = null;
+        resetClientState();
+        showLobby();
+        fetchLeaderboard();
+        
+        const accountToken = localStorage.getItem(ACCOUNT_STORAGE_KEY);
+        if (accountToken) {
+            socket.emit('login', { token: accountToken });
+        }
+        
+        const token = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (token) {
+            socket.emit('resumeSession', { token: token });
+        }
+    });
+    
+    // Issued on every join/resume; our player id outlives socket ids
+    socket.on('session', (data) => {
+        myPlayerId = data.playerId;
+        sessionStorage.setItem(SESSION_STORAGE_KEY, data.token);
+    });
+    
+    socket.on('sessionExpired', () => {
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        showNotification('Your previous game slot expired', '#95a5a6', 3000);
+    });
+    
+    // --- ACCOUNTS (the account name replaces the typed name on the next join) ---
+    socket.on('account', (data) => {
+        localStorage.setItem(ACCOUNT_STORAGE_KEY, data.token);
+        account = { name: data.name, rating: data.rating, stats: data.stats };
+        if (data.created) {
+            showNotification(`Account ${data.name} registered`, '#2ecc71', 3000);
+        }
+        renderAccount();
+        fetchLeaderboard();
+    });
+    
+    // Totals and rating after every match we finish (or walk out of)
+    socket.on('accountStats', (profile) => {
+        if (!account) return;
+        const change = Math.round(profile.rating - account.rating);
+        if (change !== 0) {
+            showNotification(`Rating ${change > 0 ? '+' : ''}${change} (${Math.round(profile.rating)})`,
+                change > 0 ? '#2ecc71' : '#e74c3c', 3000);
+        }
+        account = { name: profile.name, rating: profile.rating, stats: profile.stats };
+        renderAccount();
+        fetchLeaderboard();
     });
     
-    socket.on('playerUpdate', (serverPlayers) => {
-        const serverTime = serverPlayers[0]?.timestamp || Date.now();
-        networkLag = Date.now() - serverTime; 
+    socket.on('loginFailed', (data) => {
+        localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+        showNotification(data.reason, '#e74c3c', 3000);
+    });
+    
+    socket.on('loggedOut', () => {
+        account = null;
+        renderAccount();
+        renderLeaderboard();
+    });
+    
+    // Rooms available to join, pushed whenever a room's player count changes
+    socket.on('roomList', (rooms) => {
+        renderRoomList(rooms);
+    });
+    
+    // Base catalogue for the preferred-colour picker
+    socket.on('lobbyInfo', (info) => {
+        renderBaseOptions(info.bases);
+        renderMapOptions(info.maps);
+        gameModes = info.modes;
+        renderModeOptions();
+    });
+    
+    socket.on('roomClosed', () => {
+        currentRoomId = null;
+        resetClientState();
+        showLobby();
+        showNotification('The room you were watching closed', '#95a5a6', 3000);
+    });
+    
+    socket.on('error', (data) => {
+        showNotification(data.message, '#e74c3c', 3000);
+    });
+    
+    // One binary delta snapshot per server tick: visible players, our view
+    // of the relic and any public game events raised during that tick
+    socket.on('snapshot', (data) => {
+        recordSnapshotBytes(data.byteLength);
+        const snapshot = decodeSnapshot(data);
+        if (!snapshot) return;
+        
+        // Acknowledge so the server can use this tick as the next delta baseline
+        socket.emit('snapshotAck', { tick: snapshot.tick });
+        
+        lastServerTick = snapshot.tick;
+        networkLag = Date.now() - snapshot.serverTime; 
         updatePingIndicator(networkLag);
 
-        serverPlayers.forEach(pData => {
-            if (players.has(pData.id)) {
-                let player = players.get(pData.id);
-                if (pData.id !== myPlayerId) {
-                    player.targetX = pData.x;
-                    player.targetY = pData.y;
-                    player.hasRelic = pData.hasRelic;
-                } else {
-                    player.x = pData.x;
-                    player.y = pData.y;
-                    player.targetX = pData.x;
-                    player.targetY = pData.y;
-                    player.hasRelic = pData.hasRelic;
-                }
-            }
-        });
+        updateClockOffset(snapshot.serverTime);
+        applyPlayerStates(snapshot.players, snapshot.ack, snapshot.serverTime);
+        applyRelicStatuses(snapshot.relics);
+        pickups = snapshot.pickups;
+        snapshot.events.forEach(handleGameEvent);
     });
 
-    socket.on('relicStatus', (status) => {
-        relic = status;
-        if (!relic.isHeld) {
-            relic.x = status.position.x; 
-            relic.y = status.position.y;
+    // Server dropped or adjusted one of our moves. The next snapshot's ack
+    // reconciles our position, so these are only worth surfacing when abnormal
+    socket.on('moveRejected', (data) => {
+        if (data.reason === 'rateLimit' || data.reason === 'invalidInput') {
+            console.warn(`Move ${data.seq} rejected by server: ${data.reason}`);
         }
-        
-        if (status.isHeld && status.holderId === myPlayerId) {
-            showNotification('You grabbed the relic!', '#f39c12');
-        } else if (status.isHeld) {
-            let holderName = players.get(status.holderId)?.name || 'Someone';
-            showNotification(`${holderName} grabbed the relic!`, '#e74c3c');
+    });
+
+    // Our team picked up a power-up (teammates' effects matter for shared vision)
+    socket.on('effectStarted', (data) => {
+        const player = players.get(data.playerId);
+        if (!player) return;
+        player.effects = { ...player.effects, [data.type]: millis() + data.duration };
+        const style = PICKUP_STYLES[data.type];
+        if (data.playerId === myPlayerId) {
+            showNotification(`${style.icon} ${style.name}!`, `rgb(${style.color.join(', ')})`, 2000);
         } else {
-            showNotification('Relic dropped!', '#95a5a6');
+            showNotification(`${style.icon} ${player.name} got ${style.name}`, '#95a5a6', 2000);
         }
     });
 
-    socket.on('scoreUpdate', (update) => {
-        scores = update.scoreMap;
-        updateScoreboard();
-        
-        if (update.winningPlayer) {
-            let winnerName = players.get(update.winningPlayer)?.name || 'Unknown';
-            showNotification(`🏆 ${winnerName} WINS! 🏆`, '#f1c40f', 10000);
-        } else if (update.scoringPlayer) {
-            let scorerName = players.get(update.scoringPlayer)?.name || 'Someone';
-            showNotification(`${scorerName} scored!`, '#2ecc71');
-        }
+    socket.on('correction', (data) => {
+        console.warn(`Move ${data.seq} corrected by server: ${data.reason}`);
     });
 
     socket.on('newPlayer', (pData) => {
+        playerIdsByNetId.set(pData.netId, pData.id);
         if (!players.has(pData.id)) {
             players.set(pData.id, {
                 id: pData.id,
+                netId: pData.netId,
                 name: pData.name,
                 x: pData.x,
                 y: pData.y,
-                targetX: pData.x, 
-                targetY: pData.y,
                 hasRelic: false,
+                baseId: pData.baseId,
                 color: pData.color,
-                baseColor: pData.baseColor
+                baseColor: pData.baseColor,
+                isBot: pData.isBot,
+                // Spawn base is public knowledge, but the player is not in our vision
+                visible: false,
+                lastSeenX: pData.x,
+                lastSeenY: pData.y,
+                lastSeenAt: Date.now()
             });
             showNotification(`${pData.name} joined`, '#3498db', 2000);
         }
+        showLobby();
     });
 
     socket.on('gameStart', (state) => {
         console.log('Game started with state:', state);
+        // Joining a different room: forget everything from the previous one
+        if (state.roomId !== currentRoomId) {
+            resetClientState();
+            currentRoomId = state.roomId;
+        }
+        spectating = !!state.spectating;
+        if (spectating) myPlayerId = null;
         state.allPlayers.forEach(pData => {
-            players.set(pData.id, { 
+            // Players outside our vision arrive without coordinates
+            const visible = pData.x !== null;
+            const previous = players.get(pData.id);
+            const player = { 
                 ...pData, 
-                targetX: pData.x, 
-                targetY: pData.y
-            });
+                x: visible ? pData.x : (previous?.x ?? 0),
+                y: visible ? pData.y : (previous?.y ?? 0),
+                visible: visible,
+                lastSeenX: previous?.lastSeenX ?? null,
+                lastSeenY: previous?.lastSeenY ?? null,
+                lastSeenAt: previous?.lastSeenAt ?? null
+            };
+            if (visible) markPlayerSeen(player, pData.x, pData.y);
+            players.set(pData.id, player);
+            playerIdsByNetId.set(pData.netId, pData.id);
         });
-        relic = state.relicState;
+        applyMap(state.map);
+        rules = state.rules;
+        hostId = state.hostId;
+        stunnedUntil = 0;  // A new match (or a reset) clears stuns and cooldowns
+        tackleReadyAt = 0;
+        roomCapacity = state.capacity;
+        updateObjective();
+        relics = [];
+        applyRelicStatuses(state.relics);
+        pickups = state.pickups;
         scores = state.scoreMap;
         state.exploredTiles.forEach(tile => exploredTiles.add(tile));
         updateScoreboard();
+        fetchLeaderboard();
+        showLobby();
+    });
+
+    // Team mode: tiles our teammates discovered
+    socket.on('teamExplored', (data) => {
+        data.tiles.forEach(tile => exploredTiles.add(`x:${tile.x},y:${tile.y}`));
+    });
+
+    socket.on('matchTimer', (data) => {
+        matchClock = { remaining: data.remaining, overtime: data.overtime, receivedAt: millis() };
     });
 
     socket.on('playerDisconnected', (data) => {
         let playerName = players.get(data.id)?.name || 'Player';
+        const netId = players.get(data.id)?.netId;
+        if (playerIdsByNetId.get(netId) === data.id) playerIdsByNetId.delete(netId);
         players.delete(data.id);
+        if (spectatorCamera.followId === data.id) spectatorCamera.followId = null;
         showNotification(`${playerName} left`, '#95a5a6', 2000);
+        showLobby();
     });
     
     socket.on('playerChat', (data) => {
-        appendChat(data.id, data.message);
+        appendChat(data.id, data.message, data.spectator ? `${data.name} (spectator)` : data.name);
     });
 }
 
 function draw() {
     background(5, 5, 10);
     
+    if (spectating) {
+        drawSpectatorView();
+        return;
+    }
+    
     if (!players.has(myPlayerId)) {
         fill(255);
         textAlign(CENTER, CENTER);
         textSize(32);
-        text('Connecting to Server...', width/2, height/2);
+        text(socket.connected ? 'Pick a room in the lobby' : 'Connecting to Server...', width/2, height/2);
         textSize(16);
         text('Shadows of the Forgotten Relic', width/2, height/2 + 40);
         return; 
@@ -203,71 +380,162 @@ function draw() {
     }
     
     drawMiniMap(localPlayer);
+    drawMatchClock();
+    drawTackleStatus(localPlayer);
+    drawCarrierStatus(localPlayer);
+    drawEffectStatus(localPlayer);
     drawDebugInfo(localPlayer); // NEW: Show debug info
 }
 
+// --- SPECTATOR VIEW ---
+
+/**
+ * Unfogged view of the whole room for spectators
+ * Same renderers as the player view, minus fog, exploration and input
+ */
+function drawSpectatorView() {
+    const camera = updateSpectatorCamera();
+    
+    push();
+    translate(width/2 - camera.x, height/2 - camera.y);
+    
+    fill(25, 35, 45);
+    noStroke();
+    rect(0, 0, currentMap.width, currentMap.height);
+    
+    drawMapObjects(camera);
+    drawRelics();
+    drawPickups();
+    drawParticles();
+    drawPlayers(camera);
+    updateParticles();
+    
+    pop();
+    
+    drawMiniMap(camera);
+    drawMatchClock();
+    drawSpectatorHud();
+}
+
+/**
+ * Follow camera tracks the chosen player; free camera pans with WASD/arrows
+ * (panning while following switches to the free camera)
+ */
+function updateSpectatorCamera() {
+    let dx = 0;
+    let dy = 0;
+    if (keyIsDown(UP_ARROW) || keyIsDown(87)) dy -= SPECTATOR_CAMERA_SPEED;
+    if (keyIsDown(DOWN_ARROW) || keyIsDown(83)) dy += SPECTATOR_CAMERA_SPEED;
+    if (keyIsDown(LEFT_ARROW) || keyIsDown(65)) dx -= SPECTATOR_CAMERA_SPEED;
+    if (keyIsDown(RIGHT_ARROW) || keyIsDown(68)) dx += SPECTATOR_CAMERA_SPEED;
+    
+    const chatOpen = select('#chatInput').style('display') === 'block';
+    if ((dx !== 0 || dy !== 0) && !chatOpen) {
+        spectatorCamera.followId = null;
+        spectatorCamera.x = constrain(spectatorCamera.x + dx, 0, currentMap.width);
+        spectatorCamera.y = constrain(spectatorCamera.y + dy, 0, currentMap.height);
+    }
+    
+    const target = players.get(spectatorCamera.followId);
+    if (target) {
+        spectatorCamera.x = target.x;
+        spectatorCamera.y = target.y;
+    }
+    return spectatorCamera;
+}
+
+function drawSpectatorHud() {
+    const target = players.get(spectatorCamera.followId);
+    
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rectMode(CENTER);
+    rect(width/2, 40, 600, 60, 10);
+    
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(16);
+    textStyle(BOLD);
+    text(`👁️ SPECTATING - ${target ? 'Following ' + target.name : 'Free camera'}`, width/2, 30);
+    textSize(12);
+    textStyle(NORMAL);
+    text(`1-${Math.max(players.size, 1)}: Follow player  |  0 / WASD: Free camera  |  T: Chat`, width/2, 55);
+    pop();
+}
+
 function drawMapObjects(localPlayer) {
-    for (const id in BASE_POSITIONS) {
-        const base = BASE_POSITIONS[id];
-        
+    for (const id in currentMap.bases) {
+        const base = currentMap.bases[id];
         if (checkVisibility({x: base.x, y: base.y}, localPlayer)) {
-            push();
-            rectMode(CENTER);
-            
-            // Convert hex color to p5 color object
-            let baseColor = color(base.color);
-            
-            noStroke();
-            fill(red(baseColor), green(baseColor), blue(baseColor), 32); // 20 in hex is ~32 in alpha
-            for (let i = 3; i > 0; i--) {
-                rect(base.x, base.y, BASE_SIZE + i * 15, BASE_SIZE + i * 15);
-            }
-            
-            stroke(baseColor);
-            strokeWeight(4);
-            fill(red(baseColor), green(baseColor), blue(baseColor), 48); // 30 in hex is ~48 in alpha
-            rect(base.x, base.y, BASE_SIZE, BASE_SIZE);
-            
-            fill(baseColor);
-            noStroke();
-            textAlign(CENTER, CENTER);
-            textSize(14);
-            textStyle(BOLD);
-            text(base.name, base.x, base.y);
-            
-            pop();
+            drawBase(base);
         }
     }
 
-    const obstacles = [
-        { x: 300, y: 300, w: 80, h: 80 },
-        { x: 700, y: 700, w: 120, h: 60 },
-        { x: 500, y: 200, w: 60, h: 100 },
-        { x: 200, y: 700, w: 100, h: 50 }
-    ];
-    
-    obstacles.forEach(obs => {
+    currentMap.obstacles.forEach(obs => {
         if (checkVisibility(obs, localPlayer)) {
-            push();
-            fill(30, 30, 40);
-            stroke(60, 60, 80);
-            strokeWeight(2);
-            rectMode(CENTER);
-            rect(obs.x, obs.y, obs.w, obs.h);
-            pop();
+            drawObstacle(obs);
         }
     });
 }
 
+/**
+ * Switch to the map the server sent (resizes the exploration buffer)
+ */
+function applyMap(map) {
+    if (currentMap === null) {
+        spectatorCamera.x = map.width / 2;
+        spectatorCamera.y = map.height / 2;
+    }
+    currentMap = map;
+    if (mapGraphics.width !== map.width || mapGraphics.height !== map.height) {
+        mapGraphics = createGraphics(map.width, map.height);
+    }
+    mapGraphics.background(15, 15, 20);
+}
+
+/**
+ * Vision radius under the current rules (same rule as the server)
+ */
+function getVisualRange(player) {
+    const range = player.hasRelic ? rules.visualRangeRelic : rules.visualRange;
+    return hasEffect(player, 'vision') ? range * VISION_BOOST : range;
+}
+
+// --- TEAMS (rules.teamSize > 1: teammates share a base, score and vision) ---
+
+function isTeamMode() {
+    return rules !== null && rules.teamSize > 1;
+}
+
+/**
+ * Players whose vision we share: ourselves, plus teammates in team mode
+ * (the server always sends teammates' positions)
+ */
+function getVisionSources(localPlayer) {
+    if (!isTeamMode()) return [localPlayer];
+    return Array.from(players.values())
+        .filter(p => p.baseId === localPlayer.baseId && (p.id === myPlayerId || p.visible));
+}
+
+/**
+ * Scores are keyed by player id, or by team base id in team mode
+ */
+function getScoreOwnerName(scoreKey) {
+    if (isTeamMode()) return currentMap.bases[scoreKey]?.name || 'Unknown team';
+    return players.get(scoreKey)?.name || 'Unknown';
+}
+
 function checkVisibility(obj, localPlayer) {
-    const currentVisualRange = localPlayer.hasRelic ? VISUAL_RANGE_RELIC : VISUAL_RANGE_NORMAL;
-    return getDistance(obj, localPlayer) < currentVisualRange;
+    if (spectating) return true;
+    return getVisionSources(localPlayer).some(source => getDistance(obj, source) < getVisualRange(source));
 }
 
 function drawMap(localPlayer) {
+    const tileSize = currentMap.tileSize;
     fill(15, 15, 20); 
     noStroke();
-    rect(0, 0, width, height);
+    rect(0, 0, currentMap.width, currentMap.height);
     
     image(mapGraphics, 0, 0); 
     
@@ -276,148 +544,150 @@ function drawMap(localPlayer) {
     
     exploredTiles.forEach(tileKey => {
         const parts = tileKey.split(',');
-        const x = parseInt(parts[0].split(':')[1]) * TILE_SIZE;
-        const y = parseInt(parts[1].split(':')[1]) * TILE_SIZE;
-        mapGraphics.rect(x, y, TILE_SIZE, TILE_SIZE);
+        const x = parseInt(parts[0].split(':')[1]) * tileSize;
+        const y = parseInt(parts[1].split(':')[1]) * tileSize;
+        mapGraphics.rect(x, y, tileSize, tileSize);
     });
     
-    const currentVisualRange = localPlayer.hasRelic ? VISUAL_RANGE_RELIC : VISUAL_RANGE_NORMAL;
     mapGraphics.fill(25, 35, 45);
-    mapGraphics.ellipse(localPlayer.x, localPlayer.y, currentVisualRange * 2, currentVisualRange * 2); 
+    getVisionSources(localPlayer).forEach(source => {
+        const currentVisualRange = getVisualRange(source);
+        mapGraphics.ellipse(source.x, source.y, currentVisualRange * 2, currentVisualRange * 2);
+    });
 }
 
 function drawFogOfWarAndObjects(localPlayer) {
     push();
     fill(0, 0, 0, 230);
     noStroke();
-    rect(0, 0, width, height); 
+    rect(0, 0, currentMap.width, currentMap.height); 
     
     blendMode(REMOVE);
-    const currentVisualRange = localPlayer.hasRelic ? VISUAL_RANGE_RELIC : VISUAL_RANGE_NORMAL;
-    
-    fill(0, 0, 0, 255);
-    ellipse(localPlayer.x, localPlayer.y, currentVisualRange * 2, currentVisualRange * 2);
-    
-    fill(0, 0, 0, 180);
-    ellipse(localPlayer.x, localPlayer.y, currentVisualRange * 2.1, currentVisualRange * 2.1);
+    // Shared team vision: every teammate lights up the fog around them
+    getVisionSources(localPlayer).forEach(source => {
+        const currentVisualRange = getVisualRange(source);
+        
+        fill(0, 0, 0, 255);
+        ellipse(source.x, source.y, currentVisualRange * 2, currentVisualRange * 2);
+        
+        fill(0, 0, 0, 180);
+        ellipse(source.x, source.y, currentVisualRange * 2.1, currentVisualRange * 2.1);
+    });
     
     pop();
     
-    drawRelic();
+    drawRelics();
+    drawPickups();
     drawParticles();
     drawPlayers(localPlayer); 
 }
 
 function drawPlayers(localPlayer) {
+    const renderTime = getRenderTime();
     players.forEach(p => {
-        if (p.id !== myPlayerId) {
-            p.x = lerp(p.x, p.targetX, 0.3); 
-            p.y = lerp(p.y, p.targetY, 0.3);
+        if (p.id !== myPlayerId && p.visible) {
+            updateRemotePlayer(p, renderTime);
         }
         
-        if (p.id === myPlayerId || checkVisibility(p, localPlayer)) {
-            push();
-            
-            if (p.hasRelic) {
-                noStroke();
-                let glowAlpha = 150 + sin(frameCount * 0.15) * 100;
-                fill(255, 215, 0, glowAlpha);
-                ellipse(p.x, p.y, 60, 60);
-                
-                if (frameCount % 3 === 0) {
-                    particles.push({
-                        x: p.x + random(-15, 15),
-                        y: p.y + random(-15, 15),
-                        vx: random(-1, 1),
-                        vy: random(-2, 0),
-                        life: 255,
-                        size: random(3, 8)
-                    });
-                }
+        // Server decides who is visible; never render stale positions
+        // (revealed carriers outside our vision only show on the minimap)
+        if (p.id === myPlayerId || (p.visible && !p.revealed)) {
+            if (p.hasRelic && frameCount % 3 === 0) {
+                particles.push({
+                    x: p.x + random(-15, 15),
+                    y: p.y + random(-15, 15),
+                    vx: random(-1, 1),
+                    vy: random(-2, 0),
+                    life: 255,
+                    size: random(3, 8)
+                });
             }
             
-            // Convert hex color to p5 color
-            let playerColor = color(p.color || '#ffffff');
-            fill(playerColor);
-            stroke(255);
-            strokeWeight(3);
-            ellipse(p.x, p.y, 35, 35);
-            
-            noStroke();
-            fill(255);
-            ellipse(p.x, p.y - 10, 6, 6);
-            
-            fill(255);
-            stroke(0);
-            strokeWeight(3);
-            textAlign(CENTER, CENTER);
-            textSize(13);
-            textStyle(BOLD);
-            text(p.name, p.x, p.y - 35);
-            
-            pop();
+            drawPlayerToken(p, p.away ? `${p.name} (away)` : getDisplayName(p), millis() < p.stunnedUntil);
         }
     });
 }
 
-function drawRelic() {
-    if (!relic) return;
-    
-    if (relic.isHeld && players.has(relic.holderId)) {
+function drawRelics() {
+    relics.forEach(drawRelic);
+}
+
+/**
+ * Power-ups: the server only sends the ones inside our vision
+ */
+function drawPickups() {
+    pickups.forEach(drawPickupItem);
+}
+
+function drawRelic(relic) {
+    if (relic.isHeld) {
         let holder = players.get(relic.holderId);
-        relic.x = holder.x;
-        relic.y = holder.y;
+        if (holder && (holder.visible || holder.id === myPlayerId)) {
+            relic.x = holder.x;
+            relic.y = holder.y;
+            markRelicSeen(relic);
+        }
         return;
     }
 
     let localPlayer = players.get(myPlayerId);
-    if (localPlayer && checkVisibility(relic, localPlayer)) {
-        push();
-        
-        noStroke();
-        let glowSize = 70 + sin(frameCount * 0.1) * 20;
-        fill(255, 215, 0, 150);
-        ellipse(relic.x, relic.y, glowSize, glowSize);
-        
-        fill(255, 215, 0, 80);
-        ellipse(relic.x, relic.y, glowSize * 1.5, glowSize * 1.5);
-        
-        fill(255, 215, 0);
-        stroke(255, 165, 0);
-        strokeWeight(4);
-        rectMode(CENTER);
-        
-        push();
-        translate(relic.x, relic.y);
-        rotate(frameCount * 0.02);
-        rect(0, 0, 30, 30);
-        
-        rotate(frameCount * -0.04);
-        stroke(255, 215, 0);
-        strokeWeight(2);
-        noFill();
-        rect(0, 0, 20, 20);
-        pop();
-        
-        fill(255, 165, 0);
-        noStroke();
-        ellipse(relic.x, relic.y, 10, 10);
-        
-        for (let i = 0; i < 3; i++) {
-            let angle = frameCount * 0.05 + (i * TWO_PI / 3);
-            let px = relic.x + cos(angle) * 25;
-            let py = relic.y + sin(angle) * 25;
-            fill(255, 215, 0, 200);
-            ellipse(px, py, 5, 5);
-        }
-        
-        pop();
-    } else if (localPlayer && !relic.isHeld) {
-        drawRelicIndicator(localPlayer);
+    if ((spectating || localPlayer) && relic.visible && checkVisibility(relic, localPlayer)) {
+        // With several relics in play, show what each one is worth
+        drawRelicItem(relic.x, relic.y, relics.length > 1 ? relic.value : null);
+    } else if (localPlayer && !relic.isHeld && relic.lastSeenAt !== null) {
+        drawRelicIndicator(localPlayer, relic);
     }
 }
 
-function drawRelicIndicator(localPlayer) {
+/**
+ * Apply (fogged) relic statuses from the server, one per relic id
+ * A null position means we cannot see it: keep our last known position
+ */
+function applyRelicStatuses(statuses) {
+    relics = statuses.map((status, id) => {
+        const previous = relics[id];
+        const relic = {
+            id: id,
+            value: status.value ?? previous?.value ?? id + 1,
+            isHeld: status.isHeld,
+            holderId: status.holderId,
+            visible: status.position !== null,
+            x: previous ? previous.x : null,
+            y: previous ? previous.y : null,
+            lastSeenAt: previous ? previous.lastSeenAt : null
+        };
+        if (relic.visible) {
+            relic.x = status.position.x;
+            relic.y = status.position.y;
+            markRelicSeen(relic);
+        }
+        return relic;
+    });
+}
+
+function markRelicSeen(relic) {
+    relic.lastSeenAt = Date.now();
+}
+
+/**
+ * "the relic", or which one when several are in play
+ */
+function describeRelic(relicId) {
+    const relic = relics[relicId];
+    return relic && relics.length > 1 ? `the ${relic.value}-point relic` : 'the relic';
+}
+
+/**
+ * Record a sighting of a player for the mini-map's last-known markers
+ */
+function markPlayerSeen(player, x, y) {
+    player.visible = true;
+    player.lastSeenX = x;
+    player.lastSeenY = y;
+    player.lastSeenAt = Date.now();
+}
+
+function drawRelicIndicator(localPlayer, relic) {
     push();
     
     let angle = atan2(relic.y - localPlayer.y, relic.x - localPlayer.x);
@@ -472,19 +742,20 @@ function drawParticles() {
 
 function reportExploration(localPlayer) {
     const newlyExplored = [];
-    const radius = (localPlayer.hasRelic ? VISUAL_RANGE_RELIC : VISUAL_RANGE_NORMAL);
+    const radius = getVisualRange(localPlayer);
+    const tileSize = currentMap.tileSize;
     
-    const minTileX = floor((localPlayer.x - radius) / TILE_SIZE);
-    const maxTileX = floor((localPlayer.x + radius) / TILE_SIZE);
-    const minTileY = floor((localPlayer.y - radius) / TILE_SIZE);
-    const maxTileY = floor((localPlayer.y + radius) / TILE_SIZE);
+    const minTileX = floor((localPlayer.x - radius) / tileSize);
+    const maxTileX = floor((localPlayer.x + radius) / tileSize);
+    const minTileY = floor((localPlayer.y - radius) / tileSize);
+    const maxTileY = floor((localPlayer.y + radius) / tileSize);
 
     for (let x = minTileX; x <= maxTileX; x++) {
         for (let y = minTileY; y <= maxTileY; y++) {
-            if (x >= 0 && y >= 0 && x * TILE_SIZE < width && y * TILE_SIZE < height) {
+            if (x >= 0 && y >= 0 && x * tileSize < currentMap.width && y * tileSize < currentMap.height) {
                 const tileKey = `x:${x},y:${y}`;
-                const tileCenterX = x * TILE_SIZE + TILE_SIZE / 2;
-                const tileCenterY = y * TILE_SIZE + TILE_SIZE / 2;
+                const tileCenterX = x * tileSize + tileSize / 2;
+                const tileCenterY = y * tileSize + tileSize / 2;
                 
                 if (getDistance({x: localPlayer.x, y: localPlayer.y}, {x: tileCenterX, y: tileCenterY}) <= radius) {
                     if (!exploredTiles.has(tileKey)) {
@@ -505,9 +776,12 @@ function reportExploration(localPlayer) {
 }
 
 function handleLocalMovement(player) {
+    // Stunned moves would only be rejected and rolled back
+    if (millis() < stunnedUntil) return;
+    
     let dx = 0;
     let dy = 0;
-    const speed = MAX_PLAYER_SPEED;
+    const speed = getMaxSpeed(player);
 
     // Check vertical movement
     if (keyIsDown(UP_ARROW) || keyIsDown(87)) { // W
@@ -547,15 +821,16 @@ function handleLocalMovement(player) {
     
     // Only send update if actually moving
     if (dx !== 0 || dy !== 0) {
+        lastMoveDirection = { dx: dx, dy: dy };
         if (millis() - lastClientMoveTime > MOVEMENT_UPDATE_INTERVAL) {
             lastClientMoveTime = millis();
             debugMoveCount++; // Count moves sent
             
-            // CLIENT-SIDE PREDICTION: Update immediately for responsive feel
-            player.x += dx;
-            player.y += dy;
-            player.targetX = player.x;
-            player.targetY = player.y;
+            // CLIENT-SIDE PREDICTION: Apply immediately with the server's rules,
+            // keep the input until the server acknowledges its sequence number
+            const input = { seq: ++inputSequence, dx: dx, dy: dy };
+            applyMovementInput(player, input);
+            pendingInputs.push(input);
             
             // Determine primary direction for server
             let dir = 'N'; // Default
@@ -567,7 +842,7 @@ function handleLocalMovement(player) {
             
             // Send to server
             socket.emit('playerMove', { 
-                id: myPlayerId, 
+                seq: input.seq,
                 dir: dir,
                 dx: dx,
                 dy: dy,
@@ -577,15 +852,461 @@ function handleLocalMovement(player) {
     }
 }
 
+/**
+ * Apply the visible player list from a snapshot
+ * Server only sends the players we can see (interest management)
+ * `ack` is the sequence number of our last input the server processed
+ * Remote players are not moved here: positions go into their snapshot
+ * buffer and are interpolated at render time (see updateRemotePlayer)
+ */
+function applyPlayerStates(serverPlayers, ack, serverTime) {
+    const seenIds = new Set();
+    serverPlayers.forEach(pData => {
+        if (players.has(pData.id)) {
+            let player = players.get(pData.id);
+            seenIds.add(pData.id);
+            if (pData.id !== myPlayerId) {
+                // Re-entering vision: appear in place instead of sliding from last sighting
+                if (!player.visible) {
+                    player.snapshots = [];
+                    player.x = pData.x;
+                    player.y = pData.y;
+                }
+                bufferRemoteSnapshot(player, serverTime, pData.x, pData.y);
+                player.hasRelic = pData.hasRelic;
+                player.revealed = pData.revealed;
+            } else {
+                player.hasRelic = pData.hasRelic;
+                reconcileLocalPlayer(player, pData.x, pData.y, ack);
+            }
+            markPlayerSeen(player, pData.x, pData.y);
+        }
+    });
+
+    // Anyone missing from the snapshot has left our vision
+    players.forEach(p => {
+        if (p.id !== myPlayerId && !seenIds.has(p.id)) {
+            p.visible = false;
+        }
+    });
+}
+
+// --- BINARY SNAPSHOT DECODING ---
+
+/**
+ * Decode a binary delta snapshot (layout documented in snapshot.js)
+ * Deltas are applied on top of the decoded state of their baseline tick.
+ * Returns the same shape the rest of the client works with:
+ * { tick, serverTime, ack, players: [{id, x, y, hasRelic, revealed}], relics, pickups, events }
+ */
+function decodeSnapshot(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+    
+    const version = view.getUint8(offset); offset += 1;
+    if (version !== SNAPSHOT_VERSION) {
+        console.warn(`Unknown snapshot version ${version}`);
+        return null;
+    }
+    const tick = view.getUint32(offset, true); offset += 4;
+    const baselineTick = view.getUint32(offset, true); offset += 4;
+    const serverTime = view.getFloat64(offset, true); offset += 8;
+    const ack = view.getUint32(offset, true); offset += 4;
+    
+    const baseline = baselineTick ? decodedSnapshots.get(baselineTick) : null;
+    if (baselineTick && !baseline) {
+        console.warn(`Snapshot ${tick} references unknown baseline ${baselineTick}`);
+        return null;
+    }
+    
+    // Players: start from the baseline, apply changed/removed entries
+    const state = {
+        players: new Map(baseline ? baseline.players : []),
+        relics: [],
+        pickups: baseline ? baseline.pickups : []
+    };
+    const entryCount = view.getUint8(offset); offset += 1;
+    for (let i = 0; i < entryCount; i++) {
+        const netId = view.getUint8(offset); offset += 1;
+        const flags = view.getUint8(offset); offset += 1;
+        if (flags & PLAYER_REMOVED) {
+            state.players.delete(netId);
+            continue;
+        }
+        const entry = { ...state.players.get(netId) };
+        if (flags & PLAYER_X) { entry.x = view.getUint16(offset, true) / POSITION_PRECISION; offset += 2; }
+        if (flags & PLAYER_Y) { entry.y = view.getUint16(offset, true) / POSITION_PRECISION; offset += 2; }
+        entry.hasRelic = (flags & PLAYER_HAS_RELIC) !== 0;
+        entry.revealed = (flags & PLAYER_REVEALED) !== 0;
+        state.players.set(netId, entry);
+    }
+    
+    // Relics: each one is only written when it changed
+    const relicCount = view.getUint8(offset); offset += 1;
+    for (let id = 0; id < relicCount; id++) {
+        const relicFlags = view.getUint8(offset); offset += 1;
+        if (!(relicFlags & RELIC_CHANGED)) {
+            state.relics.push(baseline.relics[id]);
+            continue;
+        }
+        const relicState = {
+            isHeld: (relicFlags & RELIC_HELD) !== 0,
+            holderNetId: view.getUint8(offset),
+            position: null
+        };
+        offset += 1;
+        if (relicFlags & RELIC_KNOWN) {
+            relicState.position = {
+                x: view.getUint16(offset, true) / POSITION_PRECISION,
+                y: view.getUint16(offset + 2, true) / POSITION_PRECISION
+            };
+            offset += 4;
+        }
+        state.relics.push(relicState);
+    }
+    
+    // Pickups: the whole visible list, only written when it changed
+    const pickupFlags = view.getUint8(offset); offset += 1;
+    if (pickupFlags & PICKUPS_CHANGED) {
+        const pickupCount = view.getUint8(offset); offset += 1;
+        state.pickups = [];
+        for (let i = 0; i < pickupCount; i++) {
+            state.pickups.push({
+                id: view.getUint8(offset),
+                type: PICKUP_TYPE_IDS[view.getUint8(offset + 1)],
+                x: view.getUint16(offset + 2, true) / POSITION_PRECISION,
+                y: view.getUint16(offset + 4, true) / POSITION_PRECISION
+            });
+            offset += 6;
+        }
+    }
+    
+    // Events: rare, so carried as a JSON tail
+    let events = [];
+    const eventLength = view.getUint16(offset, true); offset += 2;
+    if (eventLength > 0) {
+        const bytes = new Uint8Array(buffer, offset, eventLength);
+        events = JSON.parse(new TextDecoder().decode(bytes));
+    }
+    
+    // Keep this tick as a possible baseline; the server never goes back
+    // further than the baseline it just used, so older ticks can go
+    decodedSnapshots.set(tick, state);
+    for (const knownTick of decodedSnapshots.keys()) {
+        if (knownTick < baselineTick) decodedSnapshots.delete(knownTick);
+    }
+    
+    const playerList = [];
+    state.players.forEach((entry, netId) => {
+        const id = playerIdsByNetId.get(netId);
+        if (id) playerList.push({ id: id, x: entry.x, y: entry.y, hasRelic: entry.hasRelic, revealed: entry.revealed });
+    });
+    
+    return {
+        tick: tick,
+        serverTime: serverTime,
+        ack: ack,
+        players: playerList,
+        relics: state.relics.map(relic => ({
+            isHeld: relic.isHeld,
+            holderId: playerIdsByNetId.get(relic.holderNetId) || null,
+            position: relic.position
+        })),
+        pickups: state.pickups,
+        events: events
+    };
+}
+
+/**
+ * Bandwidth meter for the debug panel (bytes of snapshots per second)
+ */
+function recordSnapshotBytes(bytes) {
+    const now = Date.now();
+    totalSnapshotBytes += bytes;
+    snapshotByteLog.push({ t: now, bytes: bytes });
+    while (snapshotByteLog.length > 0 && now - snapshotByteLog[0].t > 1000) {
+        snapshotByteLog.shift();
+    }
+}
+
+function getSnapshotBytesPerSecond() {
+    return snapshotByteLog.reduce((sum, entry) => sum + entry.bytes, 0);
+}
+
+// --- SNAPSHOT INTERPOLATION ---
+
+/**
+ * Track the offset between our clock and the server's
+ * Follows the smallest observed (now - serverTime) quickly and drifts up
+ * slowly, so one delayed packet does not shift the whole timeline
+ */
+function updateClockOffset(serverTime) {
+    const sample = Date.now() - serverTime;
+    if (serverClockOffset === null || sample < serverClockOffset) {
+        serverClockOffset = sample;
+    } else {
+        serverClockOffset += (sample - serverClockOffset) * 0.05;
+    }
+}
+
+/**
+ * Remote players are drawn INTERPOLATION_DELAY in the past (server time)
+ * so there is normally a snapshot on either side to blend between
+ */
+function getRenderTime() {
+    return Date.now() - (serverClockOffset || 0) - INTERPOLATION_DELAY;
+}
+
+function bufferRemoteSnapshot(player, serverTime, x, y) {
+    if (!player.snapshots) player.snapshots = [];
+    player.snapshots.push({ t: serverTime, x: x, y: y });
+    if (player.snapshots.length > SNAPSHOT_BUFFER_SIZE) {
+        player.snapshots.shift();
+    }
+}
+
+/**
+ * Position a remote player for this frame
+ * - Between two buffered snapshots: linear interpolation
+ * - Past the newest snapshot (packet loss): extrapolate along the last
+ *   velocity for at most MAX_EXTRAPOLATION ms, then hold
+ */
+function updateRemotePlayer(player, renderTime) {
+    const buffer = player.snapshots;
+    if (!buffer || buffer.length === 0) return;
+    
+    const newest = buffer[buffer.length - 1];
+    if (renderTime <= buffer[0].t) {
+        player.x = buffer[0].x;
+        player.y = buffer[0].y;
+        return;
+    }
+    
+    if (renderTime >= newest.t) {
+        const previous = buffer[buffer.length - 2];
+        if (!previous || newest.t === previous.t) {
+            player.x = newest.x;
+            player.y = newest.y;
+            return;
+        }
+        const ahead = Math.min(renderTime - newest.t, MAX_EXTRAPOLATION);
+        const vx = (newest.x - previous.x) / (newest.t - previous.t);
+        const vy = (newest.y - previous.y) / (newest.t - previous.t);
+        player.x = newest.x + vx * ahead;
+        player.y = newest.y + vy * ahead;
+        return;
+    }
+    
+    for (let i = buffer.length - 1; i > 0; i--) {
+        const from = buffer[i - 1];
+        const to = buffer[i];
+        if (renderTime >= from.t) {
+            const amount = (renderTime - from.t) / (to.t - from.t);
+            player.x = from.x + (to.x - from.x) * amount;
+            player.y = from.y + (to.y - from.y) * amount;
+            return;
+        }
+    }
+}
+
+/**
+ * How many buffered snapshots are still ahead of the render time
+ * Reported as the minimum across visible remote players (the one
+ * closest to starving); null when nobody else is in view
+ */
+function getBufferDepth() {
+    const renderTime = getRenderTime();
+    let depth = null;
+    players.forEach(p => {
+        if (p.id === myPlayerId || !p.visible || !p.snapshots) return;
+        const ahead = p.snapshots.filter(snap => snap.t > renderTime).length;
+        depth = depth === null ? ahead : Math.min(depth, ahead);
+    });
+    return depth;
+}
+
+/**
+ * Public game events carried by snapshots - drive notifications and score
+ */
+function handleGameEvent(event) {
+    if (event.type === 'relicGrabbed') {
+        if (event.playerId === myPlayerId) {
+            carryStartedAt = millis();
+            showNotification(`You grabbed ${describeRelic(event.relicId)}!`, '#f39c12');
+        } else {
+            let holderName = players.get(event.playerId)?.name || 'Someone';
+            showNotification(`${holderName} grabbed ${describeRelic(event.relicId)}!`, '#e74c3c');
+        }
+    } else if (event.type === 'tackle') {
+        const tackler = players.get(event.playerId);
+        const target = players.get(event.targetId);
+        if (target) target.stunnedUntil = millis() + event.stunDuration;
+        if (event.targetId === myPlayerId) {
+            stunnedUntil = millis() + event.stunDuration;
+            showNotification(`💥 ${tackler?.name || 'Someone'} knocked your relic loose!`, '#e74c3c');
+        } else {
+            showNotification(`💥 ${tackler?.name || 'Someone'} tackled ${target?.name || 'the holder'}!`, '#e67e22');
+        }
+    } else if (event.type === 'tackleBlocked') {
+        const target = players.get(event.targetId);
+        if (target && target.effects) target.effects.shield = 0;
+        showNotification(`🛡️ ${target?.name || 'Someone'}'s shield blocked ${players.get(event.playerId)?.name || 'a'} tackle!`, '#2ecc71');
+    } else if (event.type === 'carrierRevealed') {
+        if (event.playerId === myPlayerId) {
+            showNotification('📡 You carried it too long - everyone can see you!', '#e74c3c');
+        } else {
+            let holderName = players.get(event.playerId)?.name || 'Someone';
+            showNotification(`📡 ${holderName} is revealed on the map!`, '#f39c12');
+        }
+    } else if (event.type === 'relicDropped') {
+        const relicName = describeRelic(event.relicId);
+        showNotification(`${relicName[0].toUpperCase()}${relicName.slice(1)} was dropped!`, '#95a5a6');
+    } else if (event.type === 'playerAway' || event.type === 'playerReturned') {
+        const player = players.get(event.playerId);
+        if (!player) return;
+        player.away = event.type === 'playerAway';
+        showNotification(`${player.name} ${player.away ? 'lost connection' : 'is back'}`, '#95a5a6', 2000);
+    } else if (event.type === 'hostChanged') {
+        hostId = event.playerId;
+        if (hostId === myPlayerId) showNotification('You are now the host', '#3498db', 2000);
+        showLobby();
+    } else if (event.type === 'timeUp') {
+        scores = event.scoreMap;
+        updateScoreboard();
+        if (event.winningPlayer || event.winningTeam) {
+            let winnerName = getScoreOwnerName(event.winningTeam || event.winningPlayer);
+            showNotification(`⏰ Time! ${winnerName} WINS! 🏆`, '#f1c40f', 10000);
+        } else {
+            showNotification('⏰ Time! It\'s a draw', '#95a5a6', 10000);
+        }
+    } else if (event.type === 'overtime') {
+        const names = (isTeamMode() ? event.teamIds : event.playerIds).map(getScoreOwnerName).join(' vs ');
+        showNotification(`⚡ Tied at the buzzer! Sudden death: ${names}`, '#e74c3c', 5000);
+    } else if (event.type === 'relicRespawned') {
+        const relicName = describeRelic(event.relicId);
+        showNotification(`${relicName[0].toUpperCase()}${relicName.slice(1)} respawned!`, '#f39c12');
+    } else if (event.type === 'score') {
+        // The captured relic is gone until it respawns
+        if (relics[event.relicId]) relics[event.relicId].lastSeenAt = null;
+        scores = event.scoreMap;
+        updateScoreboard();
+        
+        if (event.winningPlayer) {
+            let winnerName = getScoreOwnerName(event.winningTeam || event.winningPlayer);
+            showNotification(`🏆 ${winnerName} WINS! 🏆`, '#f1c40f', 10000);
+        } else if (event.scoringPlayer) {
+            let scorerName = players.get(event.scoringPlayer)?.name || 'Someone';
+            showNotification(event.value > 1 ? `${scorerName} scored ${event.value} points!` : `${scorerName} scored!`, '#2ecc71');
+        }
+    }
+}
+
+/**
+ * SERVER RECONCILIATION
+ * Start from the authoritative position, forget inputs the server has
+ * already processed, then replay the rest so prediction stays smooth
+ */
+function reconcileLocalPlayer(player, serverX, serverY, ack) {
+    pendingInputs = pendingInputs.filter(input => input.seq > ack);
+    
+    player.x = serverX;
+    player.y = serverY;
+    pendingInputs.forEach(input => applyMovementInput(player, input));
+}
+
+/**
+ * Apply one movement input using the same rules as the server's
+ * handlePlayerMove: speed clamp, 0.1px grid, reject on collision
+ */
+function applyMovementInput(player, input) {
+    let dx = input.dx;
+    let dy = input.dy;
+    const maxSpeed = getMaxSpeed(player);
+    const length = Math.hypot(dx, dy);
+    if (length > maxSpeed) {
+        dx *= maxSpeed / length;
+        dy *= maxSpeed / length;
+    }
+    
+    const newX = quantizePosition(player.x + dx);
+    const newY = quantizePosition(player.y + dy);
+    if (checkCollision(newX, newY)) return;
+    
+    player.x = newX;
+    player.y = newY;
+}
+
+/**
+ * Same rule as the server: carrying a relic slows you to carrierSpeed %
+ */
+function getMaxSpeed(player) {
+    let speed = player.hasRelic ? MAX_PLAYER_SPEED * rules.carrierSpeed / 100 : MAX_PLAYER_SPEED;
+    if (hasEffect(player, 'speed')) speed *= SPEED_BOOST;
+    return speed;
+}
+
+function hasEffect(player, type) {
+    return !!player.effects && millis() < (player.effects[type] || 0);
+}
+
+function quantizePosition(value) {
+    return Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+}
+
+/**
+ * Client copy of the server's collision check (map bounds + obstacle AABB)
+ * Lets prediction stop at walls instead of drifting into them
+ */
+function checkCollision(newX, newY) {
+    if (newX < PLAYER_RADIUS || newX > currentMap.width - PLAYER_RADIUS || 
+        newY < PLAYER_RADIUS || newY > currentMap.height - PLAYER_RADIUS) {
+        return true;
+    }
+    
+    return currentMap.obstacles.some(obs =>
+        newX + PLAYER_RADIUS > obs.x - obs.w / 2 &&
+        newX - PLAYER_RADIUS < obs.x + obs.w / 2 &&
+        newY + PLAYER_RADIUS > obs.y - obs.h / 2 &&
+        newY - PLAYER_RADIUS < obs.y + obs.h / 2
+    );
+}
+
 function keyPressed() {
+    // Typing a name in the lobby should not trigger game keys
+    if (document.activeElement && document.activeElement.closest('#lobby')) return;
+    
+    // Spectators: number keys pick a player to follow, 0 frees the camera
+    if (spectating && document.activeElement !== select('#chatInput').elt) {
+        if (key === '0') {
+            spectatorCamera.followId = null;
+        } else if (key >= '1' && key <= '9') {
+            const target = Array.from(players.values())[parseInt(key) - 1];
+            if (target) spectatorCamera.followId = target.id;
+        }
+    }
+    
     if (keyCode === 69) {
         let localPlayer = players.get(myPlayerId);
         if (!localPlayer) return;
         
         if (localPlayer.hasRelic) {
-            socket.emit('baseAttempt', { id: myPlayerId, timestamp: Date.now() });
+            socket.emit('baseAttempt', { timestamp: Date.now() });
         } else {
-            socket.emit('relicAttempt', { id: myPlayerId, timestamp: Date.now() });
+            socket.emit('relicAttempt', { timestamp: Date.now() });
+        }
+    }
+    
+    if (keyCode === 71) { // G
+        let localPlayer = players.get(myPlayerId);
+        if (localPlayer && localPlayer.hasRelic) {
+            socket.emit('dropAttempt', { dx: lastMoveDirection.dx, dy: lastMoveDirection.dy, timestamp: Date.now() });
+        }
+    }
+    
+    if (keyCode === 81) { // Q
+        if (canTackle()) {
+            tackleReadyAt = millis() + rules.tackleCooldown;
+            socket.emit('tackleAttempt', { timestamp: Date.now() });
         }
     }
     
@@ -598,7 +1319,6 @@ function keyPressed() {
             } else {
                 if (chatInput.value().trim() !== '') {
                     socket.emit('playerChat', {
-                        id: myPlayerId,
                         message: chatInput.value(),
                         timestamp: Date.now()
                     });
@@ -614,7 +1334,6 @@ function keyPressed() {
     if (keyCode === ENTER && chatInput && chatInput.style('display') === 'block') {
         if (chatInput.value().trim() !== '') {
             socket.emit('playerChat', {
-                id: myPlayerId,
                 message: chatInput.value(),
                 timestamp: Date.now()
             });
@@ -631,38 +1350,49 @@ function drawMiniMap(localPlayer) {
     let mmSize = 150;
     let mmX = 20;
     let mmY = 20;
-    let scale = mmSize / 1000;
+    let scale = mmSize / Math.max(currentMap.width, currentMap.height);
+    let mmW = currentMap.width * scale;
+    let mmH = currentMap.height * scale;
     
     fill(0, 0, 0, 180);
     stroke(52, 152, 219);
     strokeWeight(2);
-    rect(mmX, mmY, mmSize, mmSize);
+    rect(mmX, mmY, mmW, mmH);
     
     noStroke();
     fill(25, 35, 45, 150);
-    rect(mmX, mmY, mmSize, mmSize);
+    rect(mmX, mmY, mmW, mmH);
     
-    for (const id in BASE_POSITIONS) {
-        const base = BASE_POSITIONS[id];
+    for (const id in currentMap.bases) {
+        const base = currentMap.bases[id];
         fill(base.color);
         let bx = mmX + base.x * scale;
         let by = mmY + base.y * scale;
         rect(bx - 5, by - 5, 10, 10);
     }
     
-    if (relic && !relic.isHeld) {
-        fill(255, 215, 0);
-        noStroke();
+    // Relics: live when visible, otherwise a dim marker at the last known spot
+    relics.forEach(relic => {
+        if (relic.isHeld || relic.lastSeenAt === null) return;
         let rx = mmX + relic.x * scale;
         let ry = mmY + relic.y * scale;
-        ellipse(rx, ry, 8, 8);
-        
-        noFill();
-        stroke(255, 215, 0, 150);
-        strokeWeight(2);
-        let pulseSize = 10 + sin(frameCount * 0.15) * 5;
-        ellipse(rx, ry, pulseSize, pulseSize);
-    }
+        if (relic.visible) {
+            fill(255, 215, 0);
+            noStroke();
+            ellipse(rx, ry, 8, 8);
+            
+            noFill();
+            stroke(255, 215, 0, 150);
+            strokeWeight(2);
+            let pulseSize = 10 + sin(frameCount * 0.15) * 5;
+            ellipse(rx, ry, pulseSize, pulseSize);
+        } else {
+            noFill();
+            stroke(255, 215, 0, 120);
+            strokeWeight(1);
+            ellipse(rx, ry, 8, 8);
+        }
+    });
     
     players.forEach(p => {
         // Convert hex color to RGB
@@ -673,24 +1403,53 @@ function drawMiniMap(localPlayer) {
         let px = mmX + p.x * scale;
         let py = mmY + p.y * scale;
         
-        if (p.id === myPlayerId) {
-            ellipse(px, py, 8, 8);
+        // Out of sight: hollow marker at last known position, fading with age
+        if (p.id !== myPlayerId && !p.visible) {
+            if (p.lastSeenX === null || p.lastSeenX === undefined) return;
+            let age = Date.now() - p.lastSeenAt;
+            let alpha = map(age, 0, LAST_SEEN_FADE_MS, 200, 40, true);
+            noFill();
+            stroke(red(c), green(c), blue(c), alpha);
+            strokeWeight(1);
+            ellipse(mmX + p.lastSeenX * scale, mmY + p.lastSeenY * scale, 6, 6);
+            return;
+        }
+        
+        const isTeammate = isTeamMode() && !spectating && p.baseId === localPlayer.baseId;
+        if (p.id === myPlayerId || isTeammate) {
+            ellipse(px, py, p.id === myPlayerId ? 8 : 7, p.id === myPlayerId ? 8 : 7);
             
+            // Our vision, and in team mode the vision we share with teammates
             noFill();
             stroke(c);
             strokeOpacity = 100;
-            let viewRange = p.hasRelic ? VISUAL_RANGE_RELIC : VISUAL_RANGE_NORMAL;
+            let viewRange = getVisualRange(p);
             ellipse(px, py, viewRange * scale * 2, viewRange * scale * 2);
         } else {
             ellipse(px, py, 6, 6);
         }
+        
+        // Carried a relic too long: everyone can see them
+        if (p.revealed) {
+            noFill();
+            stroke(231, 76, 60);
+            strokeWeight(2);
+            let pulseSize = 12 + sin(frameCount * 0.2) * 4;
+            ellipse(px, py, pulseSize, pulseSize);
+        }
     });
     
     noStroke();
     fill(52, 152, 219);
     textAlign(LEFT, TOP);
     textSize(10);
-    text('MAP', mmX + 5, mmY + mmSize + 5);
+    text('MAP', mmX + 5, mmY + mmH + 5);
+    
+    // Procedural maps can be replayed from their seed
+    if (currentMap.seed !== undefined) {
+        fill(149, 165, 166);
+        text(`SEED ${currentMap.seed}${currentMap.symmetric ? ' (symmetric)' : ''}`, mmX + 5, mmY + mmH + 18);
+    }
     
     pop();
 }
@@ -709,11 +1468,448 @@ function drawInstructions() {
     text('Grab the RELIC and return it to your BASE!', width/2, 30);
     textSize(12);
     textStyle(NORMAL);
-    text('WASD/Arrows: Move  |  E: Pickup/Score  |  T: Chat', width/2, 55);
-    text('First to 3 captures wins!', width/2, 75);
+    text(`WASD/Arrows: Move  |  E: Pickup/Score  |  G: Throw  |  ${rules.tackleRange > 0 ? 'Q: Tackle  |  ' : ''}T: Chat`, width/2, 55);
+    const unit = rules.relicCount > 1 ? 'points' : 'captures';
+    text(`First to ${rules.scoreLimit} ${unit} wins!${rules.timeLimit > 0 ? ` Most ${unit} after ${formatDuration(rules.timeLimit)} wins.` : ''}`, width/2, 75);
+    pop();
+}
+
+/**
+ * Countdown at the bottom of the screen, counting down locally between
+ * matchTimer messages; replaced by a sudden-death banner in overtime
+ */
+function drawMatchClock() {
+    if (matchClock.remaining === null && !matchClock.overtime) return;
+    
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rectMode(CENTER);
+    rect(width/2, height - 35, matchClock.overtime ? 360 : 140, 40, 10);
+    
+    textAlign(CENTER, CENTER);
+    textStyle(BOLD);
+    if (matchClock.overtime) {
+        fill(231, 76, 60, 180 + sin(frameCount * 0.15) * 75);
+        textSize(18);
+        text('⚡ SUDDEN DEATH - next lead wins', width/2, height - 35);
+    } else {
+        const remaining = max(0, matchClock.remaining - (millis() - matchClock.receivedAt));
+        const seconds = ceil(remaining / 1000);
+        fill(seconds <= 30 ? color(231, 76, 60) : color(255));
+        textSize(22);
+        text(`⏱️ ${formatDuration(seconds)}`, width/2, height - 35);
+    }
+    pop();
+}
+
+/**
+ * Opponents carrying a relic, nearest first
+ */
+function getOpposingHolders(localPlayer) {
+    return relics
+        .filter(relic => relic.isHeld)
+        .map(relic => players.get(relic.holderId))
+        .filter(holder => holder && holder.baseId !== localPlayer.baseId)
+        .sort((a, b) => getDistance(localPlayer, a) - getDistance(localPlayer, b));
+}
+
+/**
+ * A tackle only counts against an opponent holding a relic; the server
+ * re-checks range and cooldown, this just avoids wasting the cooldown
+ */
+function canTackle() {
+    if (spectating || !rules || rules.tackleRange === 0) return false;
+    const localPlayer = players.get(myPlayerId);
+    if (!localPlayer || getOpposingHolders(localPlayer).length === 0) return false;
+    return millis() >= tackleReadyAt && millis() >= stunnedUntil;
+}
+
+/**
+ * Tackle readiness above the match clock while a visible opponent has a relic
+ */
+function drawTackleStatus(localPlayer) {
+    if (!rules || rules.tackleRange === 0) return;
+    const stunned = millis() < stunnedUntil;
+    const holder = getOpposingHolders(localPlayer).find(p => p.visible);
+    if (!stunned && !holder) return;
+    
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rectMode(CENTER);
+    rect(width/2, height - 80, 220, 30, 10);
+    
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    textStyle(BOLD);
+    if (stunned) {
+        fill(241, 196, 15);
+        text(`💫 Stunned ${((stunnedUntil - millis()) / 1000).toFixed(1)}s`, width/2, height - 80);
+    } else if (millis() < tackleReadyAt) {
+        fill(149, 165, 166);
+        text(`Tackle in ${((tackleReadyAt - millis()) / 1000).toFixed(1)}s`, width/2, height - 80);
+    } else {
+        const inRange = dist(localPlayer.x, localPlayer.y, holder.x, holder.y) <= rules.tackleRange;
+        fill(inRange ? color(46, 204, 113) : color(255));
+        text(inRange ? '💥 Q: TACKLE!' : 'Q: Tackle (get closer)', width/2, height - 80);
+    }
     pop();
 }
 
+/**
+ * While carrying: countdown to being revealed (or a warning once we are)
+ */
+function drawCarrierStatus(localPlayer) {
+    if (!localPlayer.hasRelic || rules.carrierRevealDelay === 0) return;
+    const remaining = rules.carrierRevealDelay - (millis() - carryStartedAt);
+    
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rectMode(CENTER);
+    rect(width/2, height - 115, 260, 30, 10);
+    
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    textStyle(BOLD);
+    if (remaining > 0) {
+        fill(remaining < 5000 ? color(243, 156, 18) : color(255));
+        text(`Revealed in ${ceil(remaining / 1000)}s  |  G: Throw`, width/2, height - 115);
+    } else {
+        fill(231, 76, 60, 180 + sin(frameCount * 0.15) * 75);
+        text('📡 REVEALED  |  G: Throw', width/2, height - 115);
+    }
+    pop();
+}
+
+/**
+ * Active power-ups with their time left, bottom left
+ */
+function drawEffectStatus(localPlayer) {
+    const active = Object.keys(PICKUP_STYLES).filter(type => hasEffect(localPlayer, type));
+    if (active.length === 0) return;
+    
+    push();
+    textAlign(LEFT, CENTER);
+    textSize(14);
+    textStyle(BOLD);
+    active.forEach((type, i) => {
+        const style = PICKUP_STYLES[type];
+        const y = height - 30 - i * 34;
+        fill(0, 0, 0, 150);
+        noStroke();
+        rect(20, y - 14, 190, 28, 10);
+        fill(...style.color);
+        const label = type === 'shield' ? 'blocks 1 tackle' : `${ceil((localPlayer.effects[type] - millis()) / 1000)}s`;
+        text(`${style.icon} ${style.name} ${label}`, 30, y);
+    });
+    pop();
+}
+
+// --- LOBBY ---
+
+function setupLobby() {
+    select('#loginButton').mousePressed(() => {
+        socket.emit('login', {
+            name: select('#playerNameInput').value().trim(),
+            password: select('#passwordInput').value()
+        });
+        select('#passwordInput').value('');
+    });
+    select('#logoutButton').mousePressed(() => {
+        socket.emit('logout', { token: localStorage.getItem(ACCOUNT_STORAGE_KEY) });
+        localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+    });
+    select('#quickPlayButton').mousePressed(() => {
+        socket.emit('joinGame', { name: getLobbyName(), baseId: getPreferredBase() });
+    });
+    select('#createRoomButton').mousePressed(() => {
+        socket.emit('createRoom', {
+            roomName: select('#roomNameInput').value(),
+            name: getLobbyName(),
+            baseId: getPreferredBase(),
+            mapId: select('#mapSelect').value(),
+            // Only used for procedural maps; empty seed = random
+            seed: select('#seedInput').value().trim(),
+            symmetric: select('#symmetricInput').checked(),
+            mode: select('#modeSelect').value(),
+            rules: readRulesForm()
+        });
+    });
+    select('#mapSelect').changed(updateSeedOptions);
+    select('#modeSelect').changed(() => {
+        const mode = gameModes.find(m => m.id === select('#modeSelect').value());
+        if (mode) fillRulesForm(mode.rules);
+    });
+    select('#applyRulesButton').mousePressed(() => {
+        socket.emit('setRules', { mode: select('#modeSelect').value(), rules: readRulesForm() });
+    });
+    select('#takeSlotButton').mousePressed(() => {
+        socket.emit('takeSlot', { baseId: getPreferredBase() });
+    });
+    select('#leaveRoomButton').mousePressed(() => {
+        socket.emit('leaveRoom');
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
+        currentRoomId = null;
+        resetClientState();
+        showLobby();
+    });
+}
+
+/**
+ * Login form for guests; name (locked) and career stats once logged in
+ */
+function renderAccount() {
+    const nameInput = select('#playerNameInput');
+    select('#loginForm').style('display', account ? 'none' : 'block');
+    select('#accountInfo').style('display', account ? 'block' : 'none');
+    if (!account) {
+        nameInput.removeAttribute('disabled');
+        return;
+    }
+    
+    nameInput.value(account.name);
+    nameInput.attribute('disabled', '');
+    const stats = account.stats;
+    select('#accountStats').html(
+        `👤 <strong>${account.name}</strong> (rating ${Math.round(account.rating)})<br>` +
+        `${stats.wins} wins / ${stats.matchesPlayed} matches<br>` +
+        `${stats.captures} captures, ${stats.steals} steals<br>` +
+        `Relic carried ${formatDuration(floor(stats.carryTime / 1000))}`
+    );
+}
+
+/**
+ * LEADERBOARD
+ * Fetched on connect, whenever a match starts (ratings change when one
+ * ends) and after our own results
+ */
+function fetchLeaderboard() {
+    fetch(`/api/leaderboard?limit=${LEADERBOARD_SIZE}`)
+        .then(res => res.json())
+        .then(entries => {
+            leaderboard = entries;
+            renderLeaderboard();
+        })
+        .catch(err => console.log('Leaderboard unavailable:', err.message));
+}
+
+function renderLeaderboard() {
+    const list = select('#leaderboardList');
+    if (!list) return;
+    
+    if (leaderboard.length === 0) {
+        list.html('<p style="color: #95a5a6;">No rated players yet</p>');
+        return;
+    }
+    list.html('');
+    leaderboard.forEach(entry => {
+        const isMe = account !== null && entry.name === account.name;
+        const row = createElement('p');
+        row.parent(list);
+        if (isMe) row.addClass('mine');
+        const name = createSpan();
+        name.elt.textContent = `#${entry.rank} ${entry.name}${isMe ? ' 👤' : ''}`;
+        name.parent(row);
+        row.elt.insertAdjacentHTML('beforeend',
+            `<span><strong>${entry.rating}</strong> <small>${entry.wins}W / ${entry.matchesPlayed}</small></span>`);
+    });
+}
+
+function getLobbyName() {
+    return select('#playerNameInput').value().trim() || 'Player';
+}
+
+// Empty string = no preference; the server falls back to any free base
+function getPreferredBase() {
+    return select('#baseSelect').value() || null;
+}
+
+function renderBaseOptions(baseList) {
+    const baseSelect = select('#baseSelect');
+    if (!baseSelect) return;
+    
+    let optionsHtml = '<option value="">Any base</option>';
+    baseList.forEach(base => {
+        optionsHtml += `<option value="${base.id}" style="color: ${base.color};">⬤ ${base.name}</option>`;
+    });
+    baseSelect.html(optionsHtml);
+}
+
+function renderModeOptions() {
+    const modeSelect = select('#modeSelect');
+    if (!modeSelect || gameModes.length === 0) return;
+    
+    modeSelect.html(gameModes
+        .map(mode => `<option value="${mode.id}">📜 ${mode.name} - ${mode.description}</option>`)
+        .join(''));
+    fillRulesForm(rules || gameModes[0].rules);
+}
+
+/**
+ * Rule inputs carry data-rule="<key>"; data-scale converts the
+ * seconds shown in the form to the milliseconds used by the server
+ */
+function fillRulesForm(values) {
+    select('#modeSelect').value(values.mode);
+    selectAll('[data-rule]').forEach(input => {
+        const value = values[input.attribute('data-rule')];
+        const scale = Number(input.attribute('data-scale')) || 1;
+        input.value(typeof value === 'number' ? value / scale : value);
+    });
+}
+
+function readRulesForm() {
+    const values = {};
+    selectAll('[data-rule]').forEach(input => {
+        const scale = Number(input.attribute('data-scale')) || 1;
+        // Choice rules (selects) are sent as-is
+        values[input.attribute('data-rule')] = input.elt.tagName === 'SELECT'
+            ? input.value()
+            : Number(input.value()) * scale;
+    });
+    return values;
+}
+
+/**
+ * Objective box under the controls follows the room's rules
+ */
+function updateObjective() {
+    let objective = `First to capture the relic<br>${rules.scoreLimit} time${rules.scoreLimit === 1 ? '' : 's'} wins!`;
+    if (rules.relicCount > 1) {
+        objective = `${rules.relicCount} relics worth 1-${rules.relicCount} points<br>First to ${rules.scoreLimit} points wins!`;
+    }
+    if (rules.timeLimit > 0) {
+        objective += `<br>Time limit: ${formatDuration(rules.timeLimit)}`;
+    }
+    select('#objectiveText').html(objective);
+    if (gameModes.length > 0) fillRulesForm(rules);
+}
+
+function formatDuration(seconds) {
+    return `${floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderMapOptions(maps) {
+    const mapSelect = select('#mapSelect');
+    if (!mapSelect) return;
+    
+    // Map names come from the map editor: set as text, never as HTML
+    mapSelect.html('');
+    maps.forEach(map => {
+        const option = createElement('option');
+        option.elt.value = map.id;
+        option.elt.textContent = `🗺️ ${map.name} (${map.maxPlayers}P)`;
+        option.parent(mapSelect);
+    });
+    updateSeedOptions();
+}
+
+/**
+ * Seed controls only apply to the procedural generator
+ */
+function updateSeedOptions() {
+    const generated = select('#mapSelect').value() === 'generated';
+    select('.seed-options').style('display', generated ? 'flex' : 'none');
+}
+
+/**
+ * Toggle the lobby controls between "browsing" and "in a room"
+ */
+function showLobby() {
+    const inRoom = currentRoomId !== null;
+    const isHost = inRoom && !spectating && hostId === myPlayerId;
+    const slotOpen = currentMap !== null && players.size < roomCapacity;
+    select('#roomBrowser').style('display', inRoom ? 'none' : 'block');
+    // Rules are picked before creating a room; afterwards only the host edits them
+    select('#rulesEditor').style('display', !inRoom || isHost ? 'block' : 'none');
+    select('#applyRulesButton').style('display', isHost ? 'block' : 'none');
+    // Teams are formed when players join, so team size cannot change mid-room
+    if (inRoom) {
+        select('[data-rule="teamSize"]').attribute('disabled', '');
+    } else {
+        select('[data-rule="teamSize"]').removeAttribute('disabled');
+    }
+    select('#leaveRoomButton').style('display', inRoom ? 'block' : 'none');
+    select('#takeSlotButton').style('display', spectating && slotOpen ? 'block' : 'none');
+}
+
+function renderRoomList(rooms) {
+    const roomList = select('#roomList');
+    if (!roomList) return;
+    
+    if (rooms.length === 0) {
+        roomList.html('<p style="color: #95a5a6;">No open rooms - create one!</p>');
+        return;
+    }
+    
+    roomList.html('');
+    rooms.forEach(room => {
+        const full = room.players >= room.maxPlayers;
+        const freeDots = room.freeBases
+            .map(base => `<span style="color: ${base.color};">⬤</span>`)
+            .join('');
+        const bots = room.bots > 0 ? ` <small>+${room.bots} 🤖</small>` : '';
+        const row = createDiv();
+        row.parent(roomList);
+        row.addClass('room-row');
+        
+        // Room names are typed by players: set as text, never as HTML
+        const label = createSpan();
+        label.addClass('room-name');
+        label.elt.textContent = room.name;
+        const details = createElement('small');
+        details.elt.textContent = `${room.mapName} · ${room.modeName}`;
+        label.elt.append(document.createElement('br'), details.elt);
+        label.parent(row);
+        row.elt.insertAdjacentHTML('beforeend', ` ${freeDots} <strong>${room.players}/${room.maxPlayers}</strong>${bots}`);
+        
+        const joinButton = createButton(full ? 'Full' : 'Join');
+        joinButton.parent(row);
+        if (full) {
+            joinButton.attribute('disabled', '');
+        } else {
+            joinButton.mousePressed(() => {
+                socket.emit('joinRoom', { roomId: room.id, name: getLobbyName(), baseId: getPreferredBase() });
+            });
+        }
+        
+        const watchButton = createButton('Watch');
+        watchButton.parent(row);
+        watchButton.mousePressed(() => {
+            socket.emit('spectateRoom', { roomId: room.id, name: getLobbyName() });
+        });
+    });
+}
+
+/**
+ * Forget all per-room state (leaving a room or switching to another)
+ */
+function resetClientState() {
+    spectating = false;
+    spectatorCamera = { followId: null, x: 500, y: 500 };
+    currentMap = null;
+    players.clear();
+    playerIdsByNetId.clear();
+    decodedSnapshots.clear();
+    relics = [];
+    pickups = [];
+    scores = {};
+    matchClock = { remaining: null, overtime: false, receivedAt: 0 };
+    tackleReadyAt = 0;
+    stunnedUntil = 0;
+    lastMoveDirection = { dx: 0, dy: 0 };
+    exploredTiles.clear();
+    mapGraphics.background(15, 15, 20);
+    particles = [];
+    inputSequence = 0;
+    pendingInputs = [];
+    lastServerTick = 0;
+    select('#chat-window').html('');
+    updateScoreboard();
+}
+
 function updatePingIndicator(lag) {
     const indicator = select('#pingIndicator');
     const value = select('#pingValue');
@@ -734,30 +1930,53 @@ function updateScoreboard() {
     const scoreBoard = select('#scoreBoard');
     if (!scoreBoard) return;
     
-    let scoreHtml = '<h3>📊 Scoreboard</h3>';
+    scoreBoard.html('<h3>📊 Scoreboard</h3>');
     
     const sortedScores = Object.entries(scores).sort(([, a], [, b]) => b - a);
     
     if (sortedScores.length === 0) {
-        scoreHtml += '<p style="color: #95a5a6;">Waiting for players...</p>';
-    } else {
-        sortedScores.forEach(([id, score]) => {
-            const player = players.get(id);
-            const name = player?.name || id.substring(0, 8);
-            const color = player?.color || '#ffffff';
-            const isMe = id === myPlayerId ? ' 👤' : '';
-            scoreHtml += `<p><span style="color: ${color};">⬤</span> ${name}${isMe}: <strong>${score}/${MAX_SCORE}</strong></p>`;
-        });
+        scoreBoard.elt.insertAdjacentHTML('beforeend', '<p style="color: #95a5a6;">Waiting for players...</p>');
+        return;
     }
 
-    scoreBoard.html(scoreHtml);
+    // Player names are typed by players: added as text, never as HTML
+    sortedScores.forEach(([id, score]) => {
+        const row = createElement('p');
+        row.parent(scoreBoard);
+        const dot = createSpan('⬤');
+        const total = createElement('strong', `${score}/${rules.scoreLimit}`);
+
+        if (isTeamMode()) {
+            // Team rows: base name and its members
+            const base = currentMap?.bases[id];
+            const members = Array.from(players.values()).filter(p => p.baseId === id);
+            const isMine = members.some(p => p.id === myPlayerId) ? ' 👤' : '';
+            const memberNames = createElement('small');
+            memberNames.elt.textContent = members.map(getDisplayName).join(', ');
+            dot.style('color', base?.color || '#ffffff');
+            row.elt.append(dot.elt, ` ${base?.name || id}${isMine}`, document.createElement('br'), memberNames.elt, ' ', total.elt);
+            return;
+        }
+        const player = players.get(id);
+        const name = player ? getDisplayName(player) : id.substring(0, 8);
+        const isMe = id === myPlayerId ? ' 👤' : '';
+        dot.style('color', player?.color || '#ffffff');
+        row.elt.append(dot.elt, ` ${name}${isMe}: `, total.elt);
+    });
+}
+
+/**
+ * Player name with a marker for server-controlled bots
+ */
+function getDisplayName(player) {
+    return player.isBot ? `🤖 ${player.name}` : player.name;
 }
 
 function showNotification(message, color = '#ffffff', duration = 3000) {
     const notifDiv = select('#notification');
     if (!notifDiv) return;
     
-    notifDiv.html(message);
+    notifDiv.elt.textContent = message; // Messages carry player names: never parsed as HTML
     notifDiv.style('background-color', color + 'dd');
     notifDiv.style('display', 'block');
     
@@ -766,19 +1985,22 @@ function showNotification(message, color = '#ffffff', duration = 3000) {
     }, duration);
 }
 
-function appendChat(id, message) {
+function appendChat(id, message, senderName) {
     const chatWindow = select('#chat-window');
     if (!chatWindow) return;
     
     const player = players.get(id);
-    const name = player?.name || id.substring(0, 8);
+    const name = player?.name || senderName || id.substring(0, 8);
     const color = player?.color || '#ffffff';
     
-    chatWindow.html(
-        chatWindow.html() + 
-        `<div><span style="color: ${color}; font-weight: bold;">${name}:</span> ${message}</div>`, 
-        true
-    );
+    // Names and messages are typed by players: added as text, never as HTML
+    const line = createDiv();
+    line.parent(chatWindow);
+    const sender = createSpan();
+    sender.elt.textContent = `${name}:`;
+    sender.style('color', color);
+    sender.style('font-weight', 'bold');
+    line.elt.append(sender.elt, ` ${message}`);
     chatWindow.elt.scrollTop = chatWindow.elt.scrollHeight;
 }
 
@@ -794,7 +2016,7 @@ function drawDebugInfo(localPlayer) {
     fill(0, 0, 0, 200);
     stroke(255, 255, 0);
     strokeWeight(2);
-    rect(width - 210, 10, 200, 180);
+    rect(width - 210, 10, 200, 300);
     
     // Title
     fill(255, 255, 0);
@@ -836,6 +2058,19 @@ function drawDebugInfo(localPlayer) {
     // Move count
     fill(255);
     text(`Moves Sent: ${debugMoveCount}`, width - 200, 170);
+    text(`Server Tick: ${lastServerTick}`, width - 200, 190);
+    text(`Unacked Inputs: ${pendingInputs.length}`, width - 200, 210);
+    
+    // Interpolation buffer health (0 ahead = extrapolating)
+    const depth = getBufferDepth();
+    fill(depth === null || depth > 0 ? 255 : '#e74c3c');
+    text(`Interp Buffer: ${depth === null ? '-' : depth + ' ahead'}`, width - 200, 230);
+    fill(255);
+    text(`Interp Delay: ${INTERPOLATION_DELAY} ms`, width - 200, 250);
+    
+    // Snapshot bandwidth
+    text(`Snapshots: ${(getSnapshotBytesPerSecond() / 1024).toFixed(2)} KB/s`, width - 200, 270);
+    text(`Total Received: ${(totalSnapshotBytes / 1024).toFixed(1)} KB`, width - 200, 290);
     
     pop();
 }
\ No newline at end of file
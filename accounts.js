@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * ACCOUNTS.JS - PLAYER ACCOUNTS AND CAREER STATS
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Lightweight local accounts: a name and a password, nothing else.
+ * Logging in with a name nobody owns yet registers it; afterwards the
+ * client keeps a login token so it does not have to ask again.
+ *
+ * Storage is one JSON file (ACCOUNTS_FILE in server.js), loaded at startup
+ * and rewritten shortly after every change (<file>.bak keeps a copy of the
+ * last good write, in case the file itself gets damaged):
+ *   { version, accounts: { <lowercased name>: account } }
+ *   account: { name, salt, passwordHash, tokens, createdAt, stats,
+ *              rating, ratedMatches }
+ * - passwordHash: scrypt of the password with the account's random salt
+ * - tokens: sha256 of each login token handed out (newest last, at most
+ *   MAX_TOKENS - one per device); the tokens themselves are never stored
+ * - stats: see createStats
+ * - rating: skill rating (see rating.js), ratedMatches: matches that
+ *   changed it
+ *
+ * Accounts are only for humans; bots and guests play without one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_RATING } = require('./rating');
+
+const ACCOUNTS_VERSION = 1;
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]{3,16}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_TOKENS = 5;           // Oldest login is forgotten beyond this
+const SAVE_DELAY = 1000;        // ms; changes within this window share one write
+const SCRYPT_KEY_LENGTH = 64;
+const MAX_LEADERBOARD_SIZE = 100;
+
+/**
+ * Career stats, summed over every finished match:
+ * - matchesPlayed: matches finished or walked out of mid-match
+ * - wins: matches the player (or their team) won
+ * - captures, steals (successful tackles)
+ * - carryTime: ms spent holding a relic
+ */
+function createStats() {
+    return { matchesPlayed: 0, wins: 0, captures: 0, steals: 0, carryTime: 0 };
+}
+
+// ============================================================================
+// STORAGE - One JSON File
+// ============================================================================
+
+function readAccountsFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data.accounts !== 'object' || data.accounts === null) {
+        throw new Error('no accounts in it');
+    }
+    return data;
+}
+
+/**
+ * Load the accounts file (a missing file is an empty store)
+ * Returns the store every other function takes
+ *
+ * A file that can't be read or parsed falls back to the temp file of an
+ * interrupted save, then to the backup; with neither this throws rather
+ * than start empty and overwrite everyone's accounts on the next save
+ */
+function loadAccounts(file) {
+    const store = { file: file, accounts: new Map(), saveTimer: null };
+    if (!fs.existsSync(file)) return store;
+
+    let data = null;
+    try {
+        data = readAccountsFile(file);
+    } catch (err) {
+        for (const fallback of [`${file}.tmp`, `${file}.bak`]) {
+            try {
+                data = readAccountsFile(fallback);
+            } catch (fallbackErr) {
+                continue;
+            }
+            console.log(`⚠️  Accounts file ${file} is damaged (${err.message}), loaded ${fallback} instead`);
+            break;
+        }
+        if (!data) {
+            throw new Error(`Accounts file ${file} is damaged (${err.message}) and has no usable backup; ` +
+                'repair it or move it away to start without accounts');
+        }
+    }
+
+    Object.entries(data.accounts).forEach(([key, account]) => {
+        account.stats = { ...createStats(), ...account.stats };
+        if (account.rating === undefined) account.rating = DEFAULT_RATING;
+        if (account.ratedMatches === undefined) account.ratedMatches = 0;
+        store.accounts.set(key, account);
+    });
+    console.log(`👤 Loaded ${store.accounts.size} account(s) from ${file}`);
+    return store;
+}
+
+/**
+ * Write the store now; through a temp file so a crash mid-write never
+ * leaves a half-written file behind, then copied to the backup
+ */
+function saveAccounts(store) {
+    clearTimeout(store.saveTimer);
+    store.saveTimer = null;
+    const data = { version: ACCOUNTS_VERSION, accounts: Object.fromEntries(store.accounts) };
+    try {
+        fs.mkdirSync(path.dirname(store.file), { recursive: true });
+        fs.writeFileSync(`${store.file}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${store.file}.tmp`, store.file);
+        fs.copyFileSync(store.file, `${store.file}.bak`);
+    } catch (err) {
+        console.log(`⚠️  Could not save accounts: ${err.message}`);
+    }
+}
+
+function scheduleSave(store) {
+    if (store.saveTimer) return;
+    store.saveTimer = setTimeout(() => saveAccounts(store), SAVE_DELAY);
+}
+
+// ============================================================================
+// LOGIN - Passwords and Tokens
+// ============================================================================
+
+function getAccountKey(name) {
+    return String(name).toLowerCase();
+}
+
+function getAccount(store, name) {
+    return store.accounts.get(getAccountKey(name)) || null;
+}
+
+function hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => err ? reject(err) : resolve(key));
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * LOGIN / REGISTER
+ * Resolves { account, created } or { error } with a message for the player
+ * An unknown name is registered with this password on the spot
+ */
+async function login(store, name, password) {
+    if (typeof name !== 'string' || !ACCOUNT_NAME_PATTERN.test(name)) {
+        return { error: 'Account names are 3-16 letters, digits, _ or -' };
+    }
+    if (typeof password !== 'string' ||
+        password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return { error: `Passwords are ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` };
+    }
+
+    const existing = getAccount(store, name);
+    if (existing) {
+        const hash = await hashPassword(password, Buffer.from(existing.salt, 'hex'));
+        if (!crypto.timingSafeEqual(hash, Buffer.from(existing.passwordHash, 'hex'))) {
+            return { error: 'Wrong password' };
+        }
+        return { account: existing, created: false };
+    }
+
+    const salt = crypto.randomBytes(16);
+    const hash = await hashPassword(password, salt);
+    // Someone may have taken the name while we were hashing
+    if (getAccount(store, name)) return { error: 'That name was just taken' };
+
+    const account = {
+        name: name,
+        salt: salt.toString('hex'),
+        passwordHash: hash.toString('hex'),
+        tokens: [],
+        createdAt: Date.now(),
+        stats: createStats(),
+        rating: DEFAULT_RATING,
+        ratedMatches: 0
+    };
+    store.accounts.set(getAccountKey(name), account);
+    scheduleSave(store);
+    console.log(`👤 Registered account ${name}`);
+    return { account: account, created: true };
+}
+
+/**
+ * New login token for an account (what the client keeps instead of the
+ * password)
+ */
+function issueToken(store, account) {
+    const token = crypto.randomBytes(24).toString('hex');
+    account.tokens.push(hashToken(token));
+    account.tokens = account.tokens.slice(-MAX_TOKENS);
+    scheduleSave(store);
+    return token;
+}
+
+/**
+ * Account a login token belongs to, or null
+ */
+function findAccountByToken(store, token) {
+    if (typeof token !== 'string') return null;
+    const hash = hashToken(token);
+    for (const account of store.accounts.values()) {
+        if (account.tokens.includes(hash)) return account;
+    }
+    return null;
+}
+
+/**
+ * Forget a token (logging out on one device leaves the others signed in)
+ */
+function revokeToken(store, account, token) {
+    if (typeof token !== 'string') return;
+    const hash = hashToken(token);
+    account.tokens = account.tokens.filter(stored => stored !== hash);
+    scheduleSave(store);
+}
+
+// ============================================================================
+// STATS - Career Totals, Rating and Leaderboard
+// ============================================================================
+
+/**
+ * Add one match to an account's stats
+ * result: { won, stats: { captures, steals, carryTime } } - one entry of
+ * the engine's matchEnded result (see reportMatchEnd in engine.js)
+ */
+function recordMatch(store, account, result) {
+    const stats = account.stats;
+    stats.matchesPlayed++;
+    if (result.won) stats.wins++;
+    stats.captures += result.stats.captures;
+    stats.steals += result.stats.steals;
+    stats.carryTime += Math.round(result.stats.carryTime);
+    scheduleSave(store);
+}
+
+/**
+ * Apply one match's rating change (see getRatingChanges in rating.js)
+ * countMatch false: a change during a match that is rated again when it
+ * ends (an opponent walking out), so it is not a rated match of its own
+ */
+function recordRating(store, account, change, countMatch = true) {
+    account.rating = Math.round((account.rating + change) * 10) / 10;
+    if (countMatch) account.ratedMatches++;
+    scheduleSave(store);
+}
+
+/**
+ * What other players may see of an account
+ */
+function getPublicProfile(account) {
+    return { name: account.name, rating: account.rating, stats: { ...account.stats } };
+}
+
+/**
+ * LEADERBOARD
+ * Rated accounts, best first (ties: more wins, then fewer matches):
+ *   [{ rank, name, rating, ratedMatches, matchesPlayed, wins }]
+ * Accounts that never played a rated match are not listed
+ */
+function getLeaderboard(store, limit = 20) {
+    const size = Math.max(1, Math.min(MAX_LEADERBOARD_SIZE, Math.floor(Number(limit)) || 20));
+    return Array.from(store.accounts.values())
+        .filter(account => account.ratedMatches > 0)
+        .sort((a, b) => b.rating - a.rating ||
+            b.stats.wins - a.stats.wins ||
+            a.stats.matchesPlayed - b.stats.matchesPlayed)
+        .slice(0, size)
+        .map((account, index) => ({
+            rank: index + 1,
+            name: account.name,
+            rating: Math.round(account.rating),
+            ratedMatches: account.ratedMatches,
+            matchesPlayed: account.stats.matchesPlayed,
+            wins: account.stats.wins
+        }));
+}
+
+module.exports = {
+    ACCOUNT_NAME_PATTERN, MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, MAX_TOKENS,
+    createStats, loadAccounts, saveAccounts,
+    getAccountKey, getAccount, login, issueToken, findAccountByToken, revokeToken,
+    recordMatch, recordRating, getPublicProfile, getLeaderboard
+};
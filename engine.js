@@ -0,0 +1,2150 @@
+/**
+ * ============================================================================
+ * ENGINE.JS - HEADLESS GAME SIMULATION
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ * 
+ * Every game rule lives here, free of Socket.IO, Express and the file
+ * system, so it can be driven by the server or straight from a test:
+ * - createRoom() builds a room's state; the caller owns the tick timer
+ *   and calls advanceRoom() once per tick
+ * - Inputs go in through queuePlayerInput() (or the handle* functions)
+ * - Public game events collect in room.events until the caller takes them
+ * 
+ * INJECTED DEPENDENCIES (per room, see createRoom):
+ * - now(): the clock every timer, cooldown and effect is measured with
+ *   (Date.now by default, a fake clock in tests)
+ * - sink: where messages for clients go (see EVENT SINK); the engine
+ *   never talks to sockets itself
+ * 
+ * server.js wires this to the network: sockets, sessions, map files,
+ * the binary snapshot format and the tick timer.
+ */
+
+
+// ============================================================================
+// GAME CONSTANTS - Tuned for balanced gameplay
+// ============================================================================
+
+const MAX_SPEED = 5;                    // Pixels per movement update
+const PLAYER_RADIUS = 17;               // Collision size
+const MOVE_BUDGET_PER_SECOND = 75;      // Sustained move messages allowed (client sends ~60)
+const MOVE_BUDGET_BURST = 20;           // Extra moves tolerated after a lag spike
+const MAX_QUEUED_INPUTS = 16;           // Inputs buffered per player between ticks
+const POSITION_PRECISION = 10;          // Positions are kept on a 0.1px grid
+const MAX_NET_ID = 255;                 // Numeric entity ids fit in one byte
+const SESSION_GRACE_PERIOD = 30000;     // Dropped players keep their slot this long
+const MATCH_TIMER_INTERVAL = 1000;      // How often timed rooms broadcast matchTimer
+const MAX_RELICS = 5;                   // Upper bound for the relicCount rule
+
+
+// ============================================================================
+// MATCH RULES - Chosen per room by its host
+// ============================================================================
+
+/**
+ * Rules every room starts from (sent to clients in gameStart as `rules`)
+ */
+const DEFAULT_RULES = {
+    mode: 'classic',
+    scoreLimit: 3,                      // Captures needed to win
+    timeLimit: 0,                       // Seconds per match, 0 = no limit
+    relicRespawnDelay: 5000,            // ms between a capture and the next relic
+    relicCount: 1,                      // Relics in play; relic n is worth n points
+    relicSpawn: 'fixed',                // Spawn point choice (see RULE_CHOICES)
+    resetDelay: 10000,                  // ms from the end of a match to the next one
+    grabRange: 100,                     // Relic pickup radius
+    captureRange: 100,                  // Scoring radius around your base
+    visualRange: 150,                   // Vision radius
+    visualRangeRelic: 400,              // Vision radius while holding the relic
+    carrierSpeed: 85,                   // Holder's speed in % of MAX_SPEED
+    carrierRevealDelay: 15000,          // ms of carrying before everyone can see the holder, 0 = never
+    throwDistance: 150,                 // How far a dropped relic flies, 0 = drop at your feet
+    pickupCount: 3,                     // Power-ups on the map at once, 0 = none (see PICKUPS)
+    pickupRespawnDelay: 10000,          // ms between a pickup being taken and a new one appearing
+    tackleRange: 60,                    // Reach for knocking the relic loose, 0 = no tackling
+    tackleCooldown: 3000,               // ms between tackle attempts
+    stunDuration: 1500,                 // ms a tackled holder can't move or act
+    botFill: 0,                         // Bots fill empty slots up to this many players, 0 = no bots (see BOTS)
+    teamSize: 1                         // Players per base; 1 = free-for-all (fixed once a room opens)
+};
+
+/**
+ * Allowed [min, max] for every numeric rule; values are clamped into range
+ */
+const RULE_LIMITS = {
+    scoreLimit: [1, 20],
+    timeLimit: [0, 3600],
+    relicRespawnDelay: [0, 60000],
+    relicCount: [1, MAX_RELICS],
+    resetDelay: [3000, 60000],
+    grabRange: [PLAYER_RADIUS * 2, 300],
+    captureRange: [PLAYER_RADIUS * 2, 300],
+    visualRange: [60, 1000],
+    visualRangeRelic: [60, 1500],
+    carrierSpeed: [30, 100],
+    carrierRevealDelay: [0, 120000],
+    throwDistance: [0, 400],
+    pickupCount: [0, 10],
+    pickupRespawnDelay: [1000, 120000],
+    tackleRange: [0, 200],
+    tackleCooldown: [500, 30000],
+    stunDuration: [0, 5000],
+    botFill: [0, 16],
+    teamSize: [1, 4]
+};
+
+/**
+ * Allowed values for every non-numeric rule
+ * relicSpawn picks the map's relicSpawns point a relic (re)spawns on:
+ * - fixed: relic n always uses spawn point n (wrapping around)
+ * - rotate: each spawn takes the next point in map order
+ * - random: any point, so players have to scout for it
+ * Points held by another resting relic are skipped while others are free
+ */
+const RULE_CHOICES = {
+    relicSpawn: ['fixed', 'rotate', 'random']
+};
+
+/**
+ * Game modes are named presets on top of DEFAULT_RULES
+ * The host picks one in the lobby and may tweak individual rules
+ */
+const GAME_MODES = {
+    classic: { name: 'Classic', description: 'First to 3 captures', rules: {} },
+    blitz: {
+        name: 'Blitz',
+        description: '3 minute rounds, fast respawns',
+        rules: { scoreLimit: 10, timeLimit: 180, relicRespawnDelay: 1500, resetDelay: 5000 }
+    },
+    blackout: {
+        name: 'Blackout',
+        description: 'Short vision, the relic lights up its holder',
+        rules: { visualRange: 90, visualRangeRelic: 250, grabRange: 60 }
+    },
+    teams: {
+        name: 'Teams 2v2',
+        description: 'Teammates share a base, score and vision',
+        rules: { teamSize: 2, scoreLimit: 5 }
+    },
+    hunt: {
+        name: 'Treasure Hunt',
+        description: 'Three relics worth 1, 2 and 3 points at random spawns',
+        rules: { relicCount: 3, relicSpawn: 'random', scoreLimit: 10 }
+    }
+};
+
+/**
+ * Build a room's rules from a lobby request: mode preset first, then any
+ * individual overrides (clamped to RULE_LIMITS, unknown keys ignored)
+ * Anything but an object (a null payload, say) gets the default rules
+ */
+function sanitizeRules(data) {
+    const request = data && typeof data === 'object' ? data : {};
+    const mode = Object.hasOwn(GAME_MODES, request.mode) ? request.mode : DEFAULT_RULES.mode;
+    const rules = { ...DEFAULT_RULES, ...GAME_MODES[mode].rules, mode: mode };
+    const overrides = request.rules && typeof request.rules === 'object' ? request.rules : {};
+
+    Object.entries(RULE_LIMITS).forEach(([key, [min, max]]) => {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value)) {
+            rules[key] = Math.min(max, Math.max(min, Math.round(value)));
+        }
+    });
+    Object.entries(RULE_CHOICES).forEach(([key, choices]) => {
+        if (choices.includes(overrides[key])) rules[key] = overrides[key];
+    });
+    return rules;
+}
+
+/**
+ * Game modes for the lobby picker (with their full rule sets)
+ */
+function getModeList() {
+    return Object.entries(GAME_MODES).map(([id, mode]) => ({
+        id: id,
+        name: mode.name,
+        description: mode.description,
+        rules: { ...DEFAULT_RULES, ...mode.rules, mode: id }
+    }));
+}
+
+// ============================================================================
+// ROOM STATE - One Source of Truth per Room
+// ============================================================================
+
+/**
+ * EVENT SINK
+ * Everything the engine has to tell the outside world, per room:
+ * - send(room, viewer, type, data): a message for one player or spectator
+ *   (bots and away players have nobody to receive it)
+ * - broadcast(room, type, data): a message for everyone in the room
+ * - playerRemoved(room, player): a slot was freed for good
+ * - ticked(room, inputs, events): a tick finished; inputs are every one it
+ *   resolved ([{ player, type, data, x, y, accepted }] in resolution order,
+ *   x/y where the player stood beforehand, accepted false when the handler
+ *   turned it down), events the public events it raised (what the server
+ *   records, see recorder.js)
+ * - matchStarted(room): resetGame started a new match in the room
+ * - matchEnded(room, result): somebody won (see reportMatchEnd)
+ * Game events that ride along with snapshots are not sent here: they
+ * collect in room.events (see raiseEvent and advanceRoom)
+ */
+const NULL_SINK = {
+    send() {},
+    broadcast() {},
+    playerRemoved() {},
+    ticked() {},
+    matchStarted() {},
+    matchEnded() {}
+};
+
+/**
+ * ROOM FACTORY
+ * A room owns everything that used to be global game state:
+ * - map: the validated map it is played on (see MAP LOADING in server.js)
+ * - rules: the match rules chosen by the host (see MATCH RULES)
+ * - players: Map player.id -> { id, name, x, y, score, hasRelic, baseId, color, ... }
+ *     player.id never changes (the server uses the socket id the player
+ *     first joined with); awayUntil is set while the player is away.
+ *     Bots are players too: isBot is set and player.bot holds their
+ *     decision state (see BOTS)
+ * - spectators: Map id -> { id, name, isSpectator, ... }
+ *     watchers; they receive unfogged snapshots but have no slot
+ * - scores: Map score key -> score (number); the key is player.id, or the
+ *   team's base id in team mode (see TEAMS AND SLOTS)
+ * - exploredTiles: Set of discovered tile keys like "x:10,y:20",
+ *   used to initialize new players with existing exploration data
+ * - teamExploredTiles: Map base id -> Set of tile keys, the same per team
+ *   (team mode only: teams never receive each other's exploration)
+ * - relics: array of the objective items (rules.relicCount of them)
+ *     id (its index), value (points for capturing it: id + 1),
+ *     position {x, y}, isHeld, holderId (player.id or null),
+ *     isRespawning (blocks pickup), respawnAt (server time the respawn
+ *     delay ends), atSpawn (resting on its public spawn point),
+ *     spawnIndex (the relicSpawns point it last spawned on),
+ *     heldSince (server time it was picked up), revealed (its holder has
+ *     been announced by carrierRevealed),
+ *     droppedBy (player.id whose disconnect dropped it, until touched)
+ * - nextSpawnIndex: where the 'rotate' relicSpawn rule continues from
+ * - pickups: array of power-ups lying on the map { id, type, x, y },
+ *     nextPickupId (last id handed out, 1-255), nextPickupAt (server
+ *     time the next one appears, null when the map is full)
+ * - nextBotId: last bot number handed out (bot ids and names)
+ * - tick / inputOrder / events / resetAt / matchEndsAt / overtime: simulation loop bookkeeping
+ *     tick is the last completed tick (sent with every snapshot),
+ *     inputOrder makes queued inputs resolve first-come-first-served,
+ *     events are public game events raised since the last snapshot,
+ *     resetAt is the server time the post-win reset is due (or null),
+ *     matchEndsAt is when the time limit runs out (null without one),
+ *     overtime is true during sudden death after a tied time-out,
+ *     nextTimerAt is when the next matchTimer broadcast is due
+ * - now / sink: the injected clock and event sink
+ */
+function createRoom(id, name, map, rules = DEFAULT_RULES, { now = Date.now, sink = NULL_SINK } = {}) {
+    const room = {
+        id: id,
+        name: name || `Room ${id}`,
+        map: map,
+        rules: rules,
+        now: now,
+        sink: sink,
+        hostId: null,
+        players: new Map(),
+        spectators: new Map(),
+        scores: new Map(),
+        exploredTiles: new Set(),
+        teamExploredTiles: new Map(),
+        relics: [],
+        nextSpawnIndex: 0,
+        pickups: [],
+        nextPickupId: 0,
+        nextPickupAt: null,
+        nextBotId: 0,
+        tick: 0,
+        inputOrder: 0,
+        events: [],
+        resetAt: null,
+        matchEndsAt: null,
+        overtime: false,
+        nextTimerAt: 0
+    };
+    room.matchEndsAt = getMatchEnd(room);
+    room.relics = createRelics(room);
+    fillPickups(room);
+
+    console.log(`🏠 Created ${room.name} on ${map.name} (${GAME_MODES[rules.mode].name})`);
+    return room;
+}
+
+/**
+ * Server time a match started now runs out (null without a time limit)
+ */
+function getMatchEnd(room) {
+    return room.rules.timeLimit > 0 ? room.now() + room.rules.timeLimit * 1000 : null;
+}
+
+/**
+ * Fresh set of relics for a match, each resting on a spawn point
+ * picked by the room's relicSpawn rule
+ */
+function createRelics(room) {
+    room.relics = [];
+    room.nextSpawnIndex = 0;
+    for (let id = 0; id < room.rules.relicCount; id++) {
+        const relic = {
+            id: id,
+            value: id + 1,
+            position: null,
+            isHeld: false,
+            holderId: null,
+            isRespawning: false,
+            respawnAt: null,
+            atSpawn: true,
+            spawnIndex: null,
+            heldSince: null,
+            revealed: false,
+            droppedBy: null
+        };
+        placeRelicAtSpawn(room, relic);
+        room.relics.push(relic);
+    }
+    return room.relics;
+}
+
+/**
+ * Put a relic on its next spawn point (see RULE_CHOICES for relicSpawn)
+ */
+function placeRelicAtSpawn(room, relic) {
+    const spawns = room.map.relicSpawns;
+    const taken = new Set(room.relics
+        .filter(other => other !== relic && other.atSpawn && !other.isHeld)
+        .map(other => other.spawnIndex));
+    let free = spawns.map((spawn, index) => index).filter(index => !taken.has(index));
+    if (free.length === 0) free = spawns.map((spawn, index) => index);
+
+    let spawnIndex;
+    if (room.rules.relicSpawn === 'random') {
+        spawnIndex = free[Math.floor(Math.random() * free.length)];
+    } else if (room.rules.relicSpawn === 'rotate') {
+        spawnIndex = free.find(index => index >= room.nextSpawnIndex % spawns.length) ?? free[0];
+        room.nextSpawnIndex = spawnIndex + 1;
+    } else {
+        const own = relic.id % spawns.length;
+        spawnIndex = free.includes(own) ? own : free[0];
+    }
+
+    relic.spawnIndex = spawnIndex;
+    relic.position = { ...spawns[spawnIndex] };
+    relic.atSpawn = true;
+}
+
+// ============================================================================
+// GEOMETRY - Distances, Collisions and Reachability
+// ============================================================================
+
+/**
+ * Calculate Euclidean distance between two points
+ * Used for proximity checks (relic grabbing, base scoring)
+ */
+function getDistance(p1, p2) {
+    return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+}
+
+/**
+ * AUTHORITATIVE COLLISION DETECTION
+ * Validates proposed player positions against:
+ * 1. Map boundaries (0 - map.width/height)
+ * 2. Static obstacles (AABB collision)
+ * 
+ * Returns: true if collision detected (movement invalid)
+ */
+function checkCollision(map, newX, newY) {
+    // Boundary check - keep players inside the map
+    if (newX < PLAYER_RADIUS || newX > map.width - PLAYER_RADIUS || 
+        newY < PLAYER_RADIUS || newY > map.height - PLAYER_RADIUS) {
+        return true; 
+    }
+
+    // Obstacle collision using Axis-Aligned Bounding Box (AABB)
+    for (const obs of map.obstacles) {
+        const obsLeft = obs.x - obs.w / 2;
+        const obsRight = obs.x + obs.w / 2;
+        const obsTop = obs.y - obs.h / 2;
+        const obsBottom = obs.y + obs.h / 2;
+
+        const playerLeft = newX - PLAYER_RADIUS;
+        const playerRight = newX + PLAYER_RADIUS;
+        const playerTop = newY - PLAYER_RADIUS;
+        const playerBottom = newY + PLAYER_RADIUS;
+
+        // Check if rectangles overlap
+        if (playerRight > obsLeft && playerLeft < obsRight && 
+            playerBottom > obsTop && playerTop < obsBottom) {
+            return true; // Collision detected
+        }
+    }
+    return false; // No collision
+}
+
+/**
+ * REACHABILITY CHECK
+ * Labels connected walkable areas on a MAX_SPEED grid (one legal move per
+ * step, judged by checkCollision exactly like real movement) and reports
+ * every base that shares no area with a relic spawn. Points snap to the
+ * grid nodes around them, so anything within one step counts as reached
+ * Returns: [{ baseId, spawnIndex }] (empty when everything is connected)
+ */
+function findUnreachable(map) {
+    const step = MAX_SPEED;
+    const cols = Math.floor(map.width / step) + 1;
+    const rows = Math.floor(map.height / step) + 1;
+    const labels = new Int32Array(cols * rows); // 0 = unvisited, -1 = blocked, n = area id
+    let nextLabel = 1;
+
+    const isWalkable = (index) => !checkCollision(map, (index % cols) * step, Math.floor(index / cols) * step);
+
+    // Breadth-first flood from one walkable node, tagging its whole area
+    const fill = (start) => {
+        const label = nextLabel++;
+        const queue = new Int32Array(cols * rows);
+        let tail = 0;
+        queue[tail++] = start;
+        labels[start] = label;
+        for (let head = 0; head < tail; head++) {
+            const index = queue[head];
+            const col = index % cols;
+            const neighbours = [
+                col + 1 < cols ? index + 1 : -1,
+                col > 0 ? index - 1 : -1,
+                index + cols < labels.length ? index + cols : -1,
+                index - cols
+            ];
+            for (const next of neighbours) {
+                if (next < 0 || labels[next] !== 0) continue;
+                if (!isWalkable(next)) {
+                    labels[next] = -1;
+                    continue;
+                }
+                labels[next] = label;
+                queue[tail++] = next;
+            }
+        }
+    };
+
+    // Area ids of the walkable grid nodes around a point
+    const areasNear = (point) => {
+        const areas = new Set();
+        const col = point.x / step;
+        const row = point.y / step;
+        [Math.floor(col), Math.ceil(col)].forEach(c => {
+            [Math.floor(row), Math.ceil(row)].forEach(r => {
+                if (c < 0 || r < 0 || c >= cols || r >= rows) return;
+                const index = r * cols + c;
+                if (labels[index] === 0) {
+                    if (isWalkable(index)) fill(index);
+                    else labels[index] = -1;
+                }
+                if (labels[index] > 0) areas.add(labels[index]);
+            });
+        });
+        return areas;
+    };
+
+    const unreachable = [];
+    const spawnAreas = map.relicSpawns.map(areasNear);
+    Object.entries(map.bases).forEach(([baseId, base]) => {
+        const baseAreas = areasNear(base);
+        spawnAreas.forEach((areas, spawnIndex) => {
+            if (![...areas].some(area => baseAreas.has(area))) {
+                unreachable.push({ baseId, spawnIndex });
+            }
+        });
+    });
+    return unreachable;
+}
+
+/**
+ * Clamp a movement vector to maxSpeed, preserving its direction
+ */
+function clampToMaxSpeed(dx, dy, maxSpeed = MAX_SPEED) {
+    const length = Math.hypot(dx, dy);
+    if (length <= maxSpeed) {
+        return { dx, dy, wasClamped: false };
+    }
+    const scale = maxSpeed / length;
+    return { dx: dx * scale, dy: dy * scale, wasClamped: true };
+}
+
+/**
+ * Snap a coordinate to the 0.1px position grid
+ * sketch.js applies the same rounding, so replayed predictions match exactly
+ */
+function quantizePosition(value) {
+    return Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS - Validation and Utilities
+// ============================================================================
+
+/**
+ * Queue a game event for the room's next snapshot
+ * Events are public: every client in the room receives the same list
+ */
+function raiseEvent(room, type, data) {
+    room.events.push({ type, ...data });
+}
+
+/**
+ * Pixels per movement update: carrying a relic slows you down
+ * (the client predicts with the same rule)
+ */
+function getMaxSpeed(room, player) {
+    let speed = player.hasRelic ? MAX_SPEED * room.rules.carrierSpeed / 100 : MAX_SPEED;
+    if (hasEffect(room, player, 'speed')) speed *= SPEED_BOOST;
+    return speed;
+}
+
+/**
+ * PER-SOCKET RATE BUDGET (token bucket)
+ * Refills at MOVE_BUDGET_PER_SECOND up to the burst size
+ * Returns false when the player has run out of move budget
+ */
+function consumeMoveToken(room, player) {
+    const now = room.now();
+    const capacity = MOVE_BUDGET_PER_SECOND + MOVE_BUDGET_BURST;
+    const elapsed = (now - player.lastMoveRefill) / 1000;
+    player.moveTokens = Math.min(capacity, player.moveTokens + elapsed * MOVE_BUDGET_PER_SECOND);
+    player.lastMoveRefill = now;
+
+    if (player.moveTokens < 1) {
+        return false;
+    }
+    player.moveTokens -= 1;
+    return true;
+}
+
+/**
+ * Record the highest input sequence number processed for a player
+ * Echoed back as `ack` in snapshots so the client can drop acknowledged
+ * inputs and replay the rest on top of the authoritative position
+ */
+function acknowledgeInput(player, data) {
+    if (data && Number.isInteger(data.seq) && data.seq > player.lastProcessedSeq) {
+        player.lastProcessedSeq = data.seq;
+    }
+}
+
+/**
+ * Tell a client its move was dropped and where it actually is
+ * Reasons: 'rateLimit', 'invalidInput', 'collision'
+ */
+function rejectMove(room, player, reason, data) {
+    acknowledgeInput(player, data);
+    room.sink.send(room, player, 'moveRejected', {
+        seq: data && Number.isInteger(data.seq) ? data.seq : null,
+        reason: reason,
+        x: player.x,
+        y: player.y,
+        timestamp: room.now()
+    });
+}
+
+// ============================================================================
+// INTEREST MANAGEMENT - Server-Enforced Fog of War
+// ============================================================================
+
+/**
+ * Vision radius for a player
+ * Holding the relic and Far Sight expand vision (same rule as the client renderer)
+ */
+function getVisualRange(room, player) {
+    const range = player.hasRelic ? room.rules.visualRangeRelic : room.rules.visualRange;
+    return hasEffect(room, player, 'vision') ? range * VISION_BOOST : range;
+}
+
+/**
+ * Can viewer legitimately see target?
+ * Players always see themselves and their teammates; everything else must
+ * be in the vision range of the viewer or a teammate (shared team vision)
+ * Spectators have no slot to protect and see everything
+ */
+function canSee(room, viewer, target) {
+    if (viewer.isSpectator) return true;
+    if (target.id === viewer.id) return true;
+    if (room.players.has(target.id) && target.baseId === viewer.baseId) return true;
+    return getTeammates(room, viewer).some(mate => getDistance(mate, target) < getVisualRange(room, mate));
+}
+
+/**
+ * Current world position of a relic (follows its holder)
+ */
+function getRelicPosition(room, relic) {
+    if (relic.isHeld) {
+        const holder = room.players.get(relic.holderId);
+        if (holder) return { x: holder.x, y: holder.y };
+    }
+    return relic.position;
+}
+
+/**
+ * Can viewer see a relic?
+ * Spawn points are public map knowledge, so a relic resting on its
+ * spawn point is visible to everyone. Dropped or carried relics are not,
+ * and a relic waiting to respawn is nowhere to be seen.
+ * A Relic Pulse pickup shows its collector every relic for a moment.
+ */
+function canSeeRelic(room, viewer, relic) {
+    if (relic.isRespawning) return false;
+    if (viewer.isSpectator) return true;
+    if (hasEffect(room, viewer, 'pulse')) return true;
+    if (relic.holderId === viewer.id) return true;
+    if (!relic.isHeld && relic.atSpawn) return true;
+    return canSee(room, viewer, getRelicPosition(room, relic));
+}
+
+/**
+ * The relic a player is carrying (players carry at most one), or undefined
+ */
+function getHeldRelic(room, player) {
+    return room.relics.find(relic => relic.holderId === player.id);
+}
+
+/**
+ * Has this player carried a relic long enough to be visible to everyone?
+ */
+function isCarrierRevealed(room, player, now = room.now()) {
+    if (room.rules.carrierRevealDelay === 0) return false;
+    const relic = getHeldRelic(room, player);
+    return !!relic && now - relic.heldSince >= room.rules.carrierRevealDelay;
+}
+
+/**
+ * Player list for a single recipient
+ * Only players inside the viewer's vision are included, plus revealed
+ * carriers (flagged `revealed` so the client shows them on the minimap only)
+ */
+function getVisiblePlayers(room, viewer) {
+    return Array.from(room.players.values())
+        .map(p => ({ player: p, seen: canSee(room, viewer, p) }))
+        .filter(({ player, seen }) => seen || isCarrierRevealed(room, player))
+        .map(({ player, seen }) => ({
+            id: player.id,
+            x: player.x,
+            y: player.y,
+            hasRelic: player.hasRelic,
+            revealed: !seen
+        }));
+}
+
+/**
+ * Relic states for a single recipient
+ * Holder identity and value are public (announced to everyone), positions are not
+ */
+function getVisibleRelics(room, viewer) {
+    return room.relics.map(relic => {
+        const position = getRelicPosition(room, relic);
+        return {
+            id: relic.id,
+            value: relic.value,
+            isHeld: relic.isHeld,
+            holderId: relic.holderId,
+            position: canSeeRelic(room, viewer, relic)
+                ? { x: Math.floor(position.x), y: Math.floor(position.y) }
+                : null
+        };
+    });
+}
+
+/**
+ * Pickups a recipient can see (lying inside its or its team's vision)
+ */
+function getVisiblePickups(room, viewer) {
+    return room.pickups
+        .filter(pickup => canSee(room, viewer, pickup))
+        .map(pickup => ({ id: pickup.id, type: pickup.type, x: pickup.x, y: pickup.y }));
+}
+
+/**
+ * Exploration a recipient starts from: the team's own in team mode,
+ * everything discovered in the room otherwise (and for spectators)
+ */
+function getVisibleExploredTiles(room, viewer) {
+    if (!isTeamMode(room) || viewer.isSpectator) return room.exploredTiles;
+    return room.teamExploredTiles.get(viewer.baseId) || [];
+}
+
+/**
+ * Build the gameStart payload for a single recipient
+ * Roster info (name, colour, base) is public; positions are fogged
+ */
+function getVisibleGameState(room, viewer) {
+    return {
+        roomId: room.id,
+        roomName: room.name,
+        map: room.map,
+        rules: room.rules,
+        hostId: room.hostId,
+        capacity: getRoomCapacity(room),
+        allPlayers: Array.from(room.players.values()).map(p => {
+            const seen = canSee(room, viewer, p);
+            const visible = seen || isCarrierRevealed(room, p);
+            return {
+                id: p.id,
+                netId: p.netId,
+                name: p.name,
+                x: visible ? p.x : null,
+                y: visible ? p.y : null,
+                hasRelic: p.hasRelic,
+                revealed: visible && !seen,
+                away: p.awayUntil !== null,
+                isBot: p.isBot,
+                baseId: p.baseId,
+                color: p.color,
+                baseColor: p.baseColor
+            };
+        }),
+        relics: getVisibleRelics(room, viewer),
+        pickups: getVisiblePickups(room, viewer),
+        scoreMap: Object.fromEntries(room.scores),
+        exploredTiles: Array.from(getVisibleExploredTiles(room, viewer))
+    };
+}
+
+// ============================================================================
+// GAME LOGIC HANDLERS - Server-Authoritative Actions
+// ============================================================================
+
+/**
+ * MOVEMENT HANDLER
+ * Processes player movement requests with validation
+ * 
+ * Input: { seq, dir (N/S/E/W), dx, dy, timestamp } - drained from the input queue
+ * Validation: Speed clamp, collision detection (rate budget is applied on queue)
+ * Output: Mutates the player; the tick's snapshot carries the result
+ * Returns false for a rejected move
+ * 
+ * Rejected or adjusted moves are reported back to the sender with
+ * 'moveRejected' / 'correction' so its prediction can be reconciled
+ */
+function handlePlayerMove(room, player, data) {
+    // Every processed input is acknowledged, accepted or not
+    acknowledgeInput(player, data);
+
+    if (isStunned(room, player)) {
+        rejectMove(room, player, 'stunned', data);
+        return false;
+    }
+
+    let deltaX = 0;
+    let deltaY = 0;
+
+    // Use deltas if provided (more accurate), otherwise use direction
+    if (data && data.dx !== undefined && data.dy !== undefined) {
+        deltaX = data.dx;
+        deltaY = data.dy;
+        if (!Number.isFinite(deltaX) || !Number.isFinite(deltaY)) {
+            console.log(`⚠️  Malformed movement from ${player.name}`);
+            rejectMove(room, player, 'invalidInput', data);
+            return false;
+        }
+    } else if (data) {
+        // Fallback to direction-based movement
+        if (data.dir === 'N') deltaY = -MAX_SPEED;
+        if (data.dir === 'S') deltaY = MAX_SPEED;
+        if (data.dir === 'E') deltaX = MAX_SPEED;
+        if (data.dir === 'W') deltaX = -MAX_SPEED;
+    }
+    
+    // Validate movement exists
+    if (deltaX === 0 && deltaY === 0) {
+        console.log(`⚠️  No movement for ${player.name}`);
+        return false; // No movement, don't broadcast
+    }
+
+    // SPEED CLAMP: Never move further than the player's max speed in one update
+    const maxSpeed = getMaxSpeed(room, player);
+    const clamped = clampToMaxSpeed(deltaX, deltaY, maxSpeed);
+    if (clamped.wasClamped) {
+        console.log(`⚠️  ${player.name} exceeded max speed (${Math.hypot(deltaX, deltaY).toFixed(1)} > ${maxSpeed})`);
+    }
+    
+    // Calculate proposed new position
+    const newX = quantizePosition(player.x + clamped.dx);
+    const newY = quantizePosition(player.y + clamped.dy);
+
+    // AUTHORITATIVE VALIDATION: Check collision
+    if (checkCollision(room.map, newX, newY)) {
+        console.log(`🚫 Collision detected for ${player.name} at (${Math.floor(newX)}, ${Math.floor(newY)})`);
+        // Invalid move - tell the sender where it really is
+        rejectMove(room, player, 'collision', data);
+        return false;
+    }
+
+    // Update authoritative position
+    player.x = newX;
+    player.y = newY;
+
+    handlePickupAttempt(room, player);
+
+    // Sender predicted a longer step than allowed - pull it back
+    if (clamped.wasClamped) {
+        room.sink.send(room, player, 'correction', {
+            seq: player.lastProcessedSeq,
+            x: player.x,
+            y: player.y,
+            reason: 'speed',
+            timestamp: room.now()
+        });
+    }
+    return true;
+}
+
+/**
+ * RELIC GRAB HANDLER
+ * Handles attempts to pick up a relic (the nearest one lying around)
+ * 
+ * CONFLICT RESOLUTION: Inputs are resolved in server arrival order
+ * If multiple players attempt within the same tick, the first to arrive wins
+ * Returns whether the player came away with a relic
+ */
+function handleRelicAttempt(room, player) {
+    if (isStunned(room, player)) {
+        console.log(`⚠️  ${player.name} is stunned`);
+        return false;
+    }
+
+    if (player.hasRelic) {
+        console.log(`⚠️  ${player.name} already carries a relic`);
+        return false; // One relic at a time
+    }
+
+    // Held and respawning relics can't be picked up
+    const available = room.relics.filter(r => !r.isHeld && !r.isRespawning);
+    if (available.length === 0) {
+        console.log(`⚠️  ${player.name} tried to grab with no relic lying around`);
+        return false;
+    }
+
+    // PROXIMITY CHECK: Player must be close enough
+    const relic = available.reduce((nearest, r) =>
+        getDistance(player, r.position) < getDistance(player, nearest.position) ? r : nearest);
+    const dist = getDistance(player, relic.position);
+    console.log(`🎯 ${player.name} at (${Math.floor(player.x)}, ${Math.floor(player.y)}) attempting grab`);
+    console.log(`   Relic ${relic.id} at (${Math.floor(relic.position.x)}, ${Math.floor(relic.position.y)})`);
+    console.log(`   Distance: ${Math.floor(dist)} (max: ${room.rules.grabRange})`);
+    
+    if (dist > room.rules.grabRange) {
+        console.log(`⚠️  ${player.name} too far from relic (${Math.floor(dist)} > ${room.rules.grabRange})`);
+        console.log(`   Move ${Math.floor(dist - room.rules.grabRange)} pixels closer!`);
+        return false;
+    }
+
+    // SUCCESSFUL GRAB - Update authoritative state
+    relic.isHeld = true;
+    relic.holderId = player.id;
+    relic.atSpawn = false;
+    relic.droppedBy = null;
+    relic.heldSince = room.now();
+    relic.revealed = false;
+    player.hasRelic = true;
+
+    console.log(`✨ ${player.name} grabbed relic ${relic.id} (worth ${relic.value})!`);
+
+    raiseEvent(room, 'relicGrabbed', { playerId: player.id, relicId: relic.id });
+    return true;
+}
+
+/**
+ * BASE SCORING HANDLER
+ * Handles attempts to score the carried relic at player's base
+ * 
+ * WIN CONDITION: First player to reach the room's scoreLimit wins
+ * (a capture adds the relic's value)
+ * GAME FLOW: Relic respawns after delay, or game resets if someone wins
+ * Returns whether the player scored
+ */
+function handleBaseAttempt(room, player) {
+    if (isStunned(room, player)) {
+        console.log(`⚠️  ${player.name} is stunned`);
+        return false;
+    }
+
+    const relic = getHeldRelic(room, player);
+    if (!relic) {
+        console.log(`⚠️  ${player.name} tried to score without relic`);
+        return false;
+    }
+
+    // Find player's assigned base
+    const playerBase = room.map.bases[player.baseId];
+    if (!playerBase) {
+        console.log(`⚠️  No base found for ${player.name} (${player.baseId})`);
+        return false;
+    }
+
+    // PROXIMITY CHECK: Must be at their base
+    const dist = getDistance(player, playerBase);
+    if (dist > room.rules.captureRange) {
+        console.log(`⚠️  ${player.name} too far from base (${Math.floor(dist)} > ${room.rules.captureRange})`);
+        return false;
+    }
+
+    // SUCCESSFUL SCORE! - Update score (the team's, in team mode)
+    const scoreKey = getScoreKey(room, player);
+    let currentScore = room.scores.get(scoreKey) || 0;
+    currentScore += relic.value;
+    room.scores.set(scoreKey, currentScore);
+
+    console.log(`⭐ ${player.name} SCORED ${relic.value}! (${currentScore}/${room.rules.scoreLimit})`);
+
+    // Reset relic state
+    endCarry(room, player, relic);
+    player.matchStats.captures++;
+    player.hasRelic = false;
+    relic.isHeld = false;
+    relic.holderId = null;
+    relic.isRespawning = true;
+
+    // Check win condition (in overtime, taking the lead wins outright)
+    let winningPlayer = null;
+    if (currentScore >= room.rules.scoreLimit || (room.overtime && getLeader(room) === scoreKey)) {
+        winningPlayer = player.id;
+        console.log(`🏆 ${getScoreKeyName(room, scoreKey)} WINS THE GAME!`);
+    }
+
+    // Score change goes out with this tick's snapshot
+    raiseEvent(room, 'score', {
+        scoreMap: Object.fromEntries(room.scores),
+        scoringPlayer: player.id,
+        relicId: relic.id,
+        value: relic.value,
+        winningPlayer: winningPlayer,
+        winningTeam: winningPlayer && isTeamMode(room) ? scoreKey : null
+    });
+
+    // Handle relic lifecycle (advanced by the tick loop)
+    if (!winningPlayer) {
+        // Normal scoring - respawn relic after delay
+        relic.respawnAt = room.now() + room.rules.relicRespawnDelay;
+    } else {
+        // Game won - reset after delay
+        room.resetAt = room.now() + room.rules.resetDelay;
+        room.matchEndsAt = null;
+        room.overtime = false;
+        emitMatchTimer(room);
+        reportMatchEnd(room, scoreKey);
+    }
+    return true;
+}
+
+/**
+ * TACKLE HANDLER
+ * Knocks a relic out of the nearest opponent's hands
+ * 
+ * FAIRNESS:
+ * - Range is checked against authoritative positions, not the client's view
+ * - Every real attempt starts the cooldown, hit or miss
+ * - The relic drops where the holder stood and the holder is briefly stunned
+ * - Teammates can't tackle each other; stunned players can't tackle at all
+ * - A Shield pickup absorbs one tackle
+ * Returns false for a miss or a tackle that was never allowed; a shielded
+ * holder still counts as hit
+ */
+function handleTackleAttempt(room, player) {
+    if (room.rules.tackleRange === 0) return false;
+
+    const holders = room.relics
+        .filter(relic => relic.isHeld)
+        .map(relic => room.players.get(relic.holderId))
+        .filter(holder => holder && holder.baseId !== player.baseId);
+    if (holders.length === 0) return false;
+    const holder = holders.reduce((nearest, p) =>
+        getDistance(player, p) < getDistance(player, nearest) ? p : nearest);
+
+    const now = room.now();
+    if (isStunned(room, player, now)) {
+        console.log(`⚠️  ${player.name} is stunned`);
+        return false;
+    }
+    if (now < player.tackleReadyAt) {
+        console.log(`⚠️  ${player.name} tackle on cooldown (${player.tackleReadyAt - now}ms)`);
+        return false;
+    }
+    player.tackleReadyAt = now + room.rules.tackleCooldown;
+
+    // PROXIMITY CHECK: Must be within reach of the holder
+    const dist = getDistance(player, holder);
+    if (dist > room.rules.tackleRange) {
+        console.log(`💨 ${player.name} missed ${holder.name} (${Math.floor(dist)} > ${room.rules.tackleRange})`);
+        return false;
+    }
+
+    if (hasEffect(room, holder, 'shield', now)) {
+        delete holder.effects.shield;
+        console.log(`🛡️  ${holder.name}'s shield blocked ${player.name}'s tackle`);
+        raiseEvent(room, 'tackleBlocked', { playerId: player.id, targetId: holder.id });
+        return true;
+    }
+
+    console.log(`💥 ${player.name} tackled ${holder.name}!`);
+    dropRelic(room, holder);
+    player.matchStats.steals++;
+    holder.stunnedUntil = now + room.rules.stunDuration;
+    raiseEvent(room, 'tackle', { playerId: player.id, targetId: holder.id, stunDuration: room.rules.stunDuration });
+    return true;
+}
+
+/**
+ * DROP / THROW HANDLER
+ * The holder lets go of their relic, throwing it up to throwDistance
+ * in the direction they send (dropped at their feet without one)
+ * 
+ * The throw stops at the last spot a player could stand on, so a relic
+ * never lands inside an obstacle or behind a wall it would have hit
+ * Returns false if there was nothing the player could let go of
+ */
+function handleDropAttempt(room, player, data) {
+    if (isStunned(room, player)) {
+        console.log(`⚠️  ${player.name} is stunned`);
+        return false;
+    }
+
+    if (!player.hasRelic) {
+        console.log(`⚠️  ${player.name} tried to drop without relic`);
+        return false;
+    }
+
+    let landing = { x: player.x, y: player.y };
+    const dx = data ? Number(data.dx) : NaN;
+    const dy = data ? Number(data.dy) : NaN;
+    const length = Math.hypot(dx, dy);
+    if (room.rules.throwDistance > 0 && Number.isFinite(length) && length > 0) {
+        landing = getThrowLanding(room.map, player, dx / length, dy / length, room.rules.throwDistance);
+    }
+
+    console.log(`🤾 ${player.name} threw the relic ${Math.floor(getDistance(player, landing))}px`);
+    dropRelic(room, player, landing);
+    return true;
+}
+
+/**
+ * Walk a throw in MAX_SPEED steps; returns the last clear position
+ */
+function getThrowLanding(map, from, dirX, dirY, distance) {
+    let landing = { x: from.x, y: from.y };
+    for (let travelled = MAX_SPEED; travelled <= distance; travelled += MAX_SPEED) {
+        const x = quantizePosition(from.x + dirX * travelled);
+        const y = quantizePosition(from.y + dirY * travelled);
+        if (checkCollision(map, x, y)) break;
+        landing = { x, y };
+    }
+    return landing;
+}
+
+function isStunned(room, player, now = room.now()) {
+    return now < player.stunnedUntil;
+}
+
+/**
+ * Score key (player id, or team base id) holding the outright highest
+ * score (null while tied or empty)
+ */
+function getLeader(room) {
+    const ranking = Array.from(room.scores.entries()).sort(([, a], [, b]) => b - a);
+    if (ranking.length === 0) return null;
+    if (ranking.length > 1 && ranking[0][1] === ranking[1][1]) return null;
+    return ranking[0][0];
+}
+
+/**
+ * TIME LIMIT
+ * Called from the tick when a timed match runs out (or, in overtime, as
+ * soon as someone leads): the highest score wins. A shared top score
+ * starts sudden-death overtime instead - the clock stops and the first
+ * player to take the lead wins
+ */
+function endMatchOnTime(room) {
+    const winningPlayer = getLeader(room);
+    room.matchEndsAt = null;
+
+    if (!winningPlayer) {
+        if (!room.overtime) {
+            room.overtime = true;
+            const topScore = Math.max(...room.scores.values());
+            const tiedKeys = Array.from(room.scores.entries())
+                .filter(([, score]) => score === topScore)
+                .map(([key]) => key);
+            console.log(`⚡ Time up in ${room.name}: tied at ${topScore}, sudden-death overtime!`);
+            raiseEvent(room, 'overtime', isTeamMode(room)
+                ? { playerIds: [], teamIds: tiedKeys }
+                : { playerIds: tiedKeys, teamIds: [] });
+            emitMatchTimer(room);
+        }
+        return;
+    }
+
+    console.log(`⏰ Time up in ${room.name}: ${getScoreKeyName(room, winningPlayer)} WINS!`);
+    raiseEvent(room, 'timeUp', {
+        scoreMap: Object.fromEntries(room.scores),
+        winningPlayer: isTeamMode(room) ? null : winningPlayer,
+        winningTeam: isTeamMode(room) ? winningPlayer : null
+    });
+    room.overtime = false;
+    room.resetAt = room.now() + room.rules.resetDelay;
+    emitMatchTimer(room);
+    reportMatchEnd(room, winningPlayer);
+}
+
+/**
+ * MATCH RESULT
+ * Handed to the sink's matchEnded once a match has a winner (the server
+ * keeps career stats and ratings from it):
+ *   { winner: scoreKey, players: [{ player, won, scoreKey, score, stats }] }
+ * score is the final score of the player's scoreKey (their team's in team
+ * mode); stats is a copy of player.matchStats, relics still being carried
+ * count up to now. Matches cut short by a rules change or an empty room never
+ * get here
+ */
+function reportMatchEnd(room, winnerKey) {
+    const now = room.now();
+    const players = Array.from(room.players.values()).map(player => {
+        const stats = { ...player.matchStats };
+        const relic = getHeldRelic(room, player);
+        if (relic) stats.carryTime += now - relic.heldSince;
+        const scoreKey = getScoreKey(room, player);
+        return {
+            player: player,
+            won: scoreKey === winnerKey,
+            scoreKey: scoreKey,
+            score: room.scores.get(scoreKey) || 0,
+            stats: stats
+        };
+    });
+    room.sink.matchEnded(room, { winner: winnerKey, players: players });
+}
+
+/**
+ * MATCH CLOCK
+ * Sent to the whole room every MATCH_TIMER_INTERVAL while the clock runs
+ * and whenever it changes state (start, overtime, end)
+ * remaining: ms left, or null when no clock is running
+ */
+function emitMatchTimer(room, now = room.now()) {
+    room.sink.broadcast(room, 'matchTimer', {
+        remaining: room.matchEndsAt !== null ? Math.max(0, room.matchEndsAt - now) : null,
+        overtime: room.overtime
+    });
+    room.nextTimerAt = now + MATCH_TIMER_INTERVAL;
+}
+
+/**
+ * RELIC RESPAWN
+ * Called from the tick once the respawn delay has elapsed
+ */
+function respawnRelic(room, relic) {
+    relic.isRespawning = false;
+    relic.respawnAt = null;
+    placeRelicAtSpawn(room, relic);
+
+    raiseEvent(room, 'relicRespawned', { relicId: relic.id });
+
+    console.log(`🔄 Relic ${relic.id} respawned at (${relic.position.x}, ${relic.position.y})`);
+}
+
+/**
+ * GAME RESET
+ * Resets all state after a game ends
+ * Players return to their spawn positions
+ */
+function resetGame(room) {
+    console.log(`🔄 Resetting ${room.name}...`);
+    
+    // Reset all player states
+    room.players.forEach(p => {
+        p.hasRelic = false;
+        p.stunnedUntil = 0;
+        p.tackleReadyAt = 0;
+        p.effects = {};
+        p.matchStats = createMatchStats();
+        if (p.isBot) p.bot = createBotBrain();
+        const base = room.map.bases[p.baseId];
+        if (base) {
+            p.x = base.x;
+            p.y = base.y;
+        }
+    });
+    
+    // Clear scores
+    room.scores.clear();
+    room.players.forEach(p => room.scores.set(getScoreKey(room, p), 0));
+    
+    // Reset relics and pickups
+    createRelics(room);
+    fillPickups(room);
+    room.resetAt = null;
+    room.matchEndsAt = getMatchEnd(room);
+    room.overtime = false;
+    emitMatchTimer(room);
+    
+    // Clear exploration (fresh start)
+    room.exploredTiles.clear();
+    room.teamExploredTiles.clear();
+    room.sink.matchStarted(room);
+    
+    // Notify all clients of reset (each gets its own fogged view)
+    room.players.forEach(viewer => {
+        room.sink.send(room, viewer, 'gameStart', getVisibleGameState(room, viewer));
+    });
+    room.spectators.forEach(viewer => {
+        room.sink.send(room, viewer, 'gameStart', { ...getVisibleGameState(room, viewer), spectating: true });
+    });
+    
+    console.log(`✅ Game reset complete`);
+}
+
+// ============================================================================
+// PICKUPS - Power-ups Scattered in the Fog
+// ============================================================================
+
+/**
+ * Pickup types; the index in PICKUP_TYPE_IDS is the wire id (see sketch.js)
+ * Effects are timed: player.effects maps type -> server time it wears off
+ */
+const PICKUP_TYPES = {
+    speed: { name: 'Speed Boost', duration: 6000 },   // Move SPEED_BOOST times faster
+    vision: { name: 'Far Sight', duration: 8000 },    // See VISION_BOOST times further
+    pulse: { name: 'Relic Pulse', duration: 3000 },   // Every relic shows up for you
+    shield: { name: 'Shield', duration: 15000 }       // The next tackle on you fails
+};
+const PICKUP_TYPE_IDS = Object.keys(PICKUP_TYPES);
+const SPEED_BOOST = 1.4;
+const VISION_BOOST = 1.5;
+const PICKUP_RANGE = 30;                // Walk this close to collect a pickup
+const PICKUP_CLEARANCE = 100;           // Keep pickups this far from bases, relic spawns and each other
+const PICKUP_SPAWN_ATTEMPTS = 20;       // Random spots tried before giving up
+
+function hasEffect(room, player, type, now = room.now()) {
+    return !!player.effects && now < (player.effects[type] || 0);
+}
+
+/**
+ * Random spot a player can stand on and walk to from every base (one of
+ * the map's getPickupSpots, so spawning never floods the map again)
+ * Returns null when none turned up (crowded maps just get fewer pickups)
+ */
+function findPickupPosition(room) {
+    const map = room.map;
+    const spots = getPickupSpots(map);
+    const keepClear = Object.values(map.bases).concat(map.relicSpawns, room.pickups);
+    for (let attempt = 0; attempt < PICKUP_SPAWN_ATTEMPTS && spots.length > 0; attempt++) {
+        const point = spots[Math.floor(Math.random() * spots.length)];
+        if (keepClear.some(other => getDistance(point, other) < PICKUP_CLEARANCE)) continue;
+        return { x: point.x, y: point.y };
+    }
+    return null;
+}
+
+function spawnPickup(room) {
+    const position = findPickupPosition(room);
+    if (!position) {
+        console.log(`⚠️  No room for another pickup on ${room.map.name}`);
+        return;
+    }
+
+    const type = PICKUP_TYPE_IDS[Math.floor(Math.random() * PICKUP_TYPE_IDS.length)];
+    room.nextPickupId = room.nextPickupId % MAX_NET_ID + 1;
+    room.pickups.push({ id: room.nextPickupId, type: type, x: position.x, y: position.y });
+
+    console.log(`🎁 ${PICKUP_TYPES[type].name} appeared at (${position.x}, ${position.y})`);
+}
+
+/**
+ * Start a match with a full set of pickups
+ */
+function fillPickups(room) {
+    room.pickups = [];
+    room.nextPickupAt = null;
+    while (room.pickups.length < room.rules.pickupCount) {
+        const before = room.pickups.length;
+        spawnPickup(room);
+        if (room.pickups.length === before) break;
+    }
+}
+
+/**
+ * PICKUP HANDLER
+ * Collects a pickup the player is standing on (checked after every accepted move)
+ * 
+ * CONFLICT RESOLUTION: Moves resolve in server arrival order, so the
+ * first player to reach a pickup gets it
+ * Effects are private: only the collector's team is told (teammates share
+ * vision, so they need to know about Far Sight)
+ */
+function handlePickupAttempt(room, player) {
+    const pickup = room.pickups.find(p => getDistance(player, p) <= PICKUP_RANGE);
+    if (!pickup) return;
+
+    room.pickups.splice(room.pickups.indexOf(pickup), 1);
+    if (room.nextPickupAt === null) room.nextPickupAt = room.now() + room.rules.pickupRespawnDelay;
+
+    const duration = PICKUP_TYPES[pickup.type].duration;
+    player.effects[pickup.type] = room.now() + duration;
+    console.log(`🎁 ${player.name} picked up ${PICKUP_TYPES[pickup.type].name}`);
+
+    getTeammates(room, player).forEach(mate => {
+        room.sink.send(room, mate, 'effectStarted', { playerId: player.id, type: pickup.type, duration: duration });
+    });
+}
+
+// ============================================================================
+// BOTS - Server-Side Players for Empty Slots
+// ============================================================================
+
+/**
+ * Bots keep small rooms lively: while fewer humans than rules.botFill are
+ * in a room, bots take the empty slots, and they step aside when a human
+ * wants in. A bot is an ordinary player object without a socket - every
+ * tick it decides what to do and submits the same inputs a client would
+ * (queuePlayerInput), so speed limits, collisions, ranges and cooldowns
+ * are enforced on it exactly like on everyone else.
+ * 
+ * FAIR PLAY: A bot only knows what its own vision would show a human
+ * (canSee / canSeeRelic, revealed carriers, public spawn points). It
+ * remembers where it last saw a loose relic and which parts of the map
+ * it has looked at, and otherwise has to go exploring.
+ */
+const BOT_NAMES = ['Ash', 'Moss', 'Ember', 'Flint', 'Sable', 'Wren', 'Cinder', 'Thorn'];
+const BOT_THINK_INTERVAL = 300;         // ms between goal re-evaluations
+const BOT_MOVES_PER_TICK = 2;           // 60 moves/s, the pace of a human client
+const BOT_STEP_SCALE = 0.999;           // Bots step just inside the speed limit
+const BOT_STUCK_TIMEOUT = 1000;         // ms without progress before a path is dropped
+const BOT_EXPLORE_CHOICES = 3;          // Picks among this many nearest unexplored cells
+const EXPLORE_CELL_SIZE = 100;          // Granularity of a bot's "already looked there" memory
+const NAV_CELL_SIZE = 20;               // Pathfinding grid resolution in pixels
+const NAV_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Decision state of one bot (player.bot), cleared on every match reset
+ */
+function createBotBrain() {
+    return {
+        seq: 0,                         // Input sequence numbers, like a client's
+        path: [],                       // Waypoints [{ x, y }] still to walk
+        thinkAt: 0,                     // Server time of the next goal re-evaluation
+        exploreTarget: null,            // Unexplored cell center being walked to
+        explored: new Set(),            // "col,row" EXPLORE_CELL_SIZE cells seen so far
+        relicSightings: new Map(),      // relic id -> where it was last seen lying
+        lastPosition: null,             // Progress tracking for stuck detection
+        movedAt: 0
+    };
+}
+
+/**
+ * BOT FILL
+ * Adds bots until the room holds rules.botFill players (or is full), and
+ * removes surplus bots when the rule is lowered
+ * Rooms without humans never get bots - they close instead
+ */
+function fillBots(room) {
+    const target = Math.min(room.rules.botFill, getRoomCapacity(room));
+    const bots = Array.from(room.players.values()).filter(p => p.isBot);
+    while (room.players.size > target && bots.length > 0) {
+        removeBotFromRoom(room, bots.pop());
+    }
+    while (room.players.size < target && getFreeBaseIds(room).length > 0) {
+        addBotToRoom(room);
+    }
+}
+
+/**
+ * Free a slot for a joining human: a bot on the preferred base steps
+ * aside, and so does the newest bot when there is no free slot at all
+ */
+function makeRoomForHuman(room, preferredBaseId) {
+    const free = getFreeBaseIds(room);
+    if (free.includes(preferredBaseId)) return;
+
+    const bots = Array.from(room.players.values()).filter(p => p.isBot);
+    const bot = bots.find(p => p.baseId === preferredBaseId) || (free.length === 0 ? bots[bots.length - 1] : null);
+    if (bot) removeBotFromRoom(room, bot);
+}
+
+function addBotToRoom(room) {
+    const baseId = allocateBaseSlot(room);
+    const number = ++room.nextBotId;
+    const bot = createPlayer(room, `bot-${room.id}-${number}`, `Bot ${BOT_NAMES[(number - 1) % BOT_NAMES.length]}`, baseId);
+    bot.isBot = true;
+    bot.bot = createBotBrain();
+
+    console.log(`🤖 ${bot.name} joined ${room.name} as ${baseId}`);
+    addPlayer(room, bot);
+}
+
+function removeBotFromRoom(room, bot) {
+    console.log(`🤖 ${bot.name} left ${room.name}`);
+    removePlayer(room, bot);
+}
+
+/**
+ * NAVIGATION GRID (one per map, built on first use)
+ * Cell centers NAV_CELL_SIZE apart, walkable when a player could stand
+ * there (judged by checkCollision, like real movement). Walking between
+ * neighbouring walkable centers is always legal: the player's box at
+ * either end covers the ground in between (diagonal steps also need both
+ * orthogonal neighbours free)
+ */
+const NavGrids = new WeakMap();
+
+function getNavGrid(map) {
+    let grid = NavGrids.get(map);
+    if (grid) return grid;
+
+    const cols = Math.ceil(map.width / NAV_CELL_SIZE);
+    const rows = Math.ceil(map.height / NAV_CELL_SIZE);
+    grid = { cols, rows, walkable: new Uint8Array(cols * rows) };
+    for (let index = 0; index < grid.walkable.length; index++) {
+        const center = getNavCellCenter(grid, index);
+        grid.walkable[index] = checkCollision(map, center.x, center.y) ? 0 : 1;
+    }
+    NavGrids.set(map, grid);
+    return grid;
+}
+
+function getNavCellCenter(grid, index) {
+    return {
+        x: (index % grid.cols) * NAV_CELL_SIZE + NAV_CELL_SIZE / 2,
+        y: Math.floor(index / grid.cols) * NAV_CELL_SIZE + NAV_CELL_SIZE / 2
+    };
+}
+
+function getNavCell(grid, point) {
+    const col = Math.min(grid.cols - 1, Math.max(0, Math.floor(point.x / NAV_CELL_SIZE)));
+    const row = Math.min(grid.rows - 1, Math.max(0, Math.floor(point.y / NAV_CELL_SIZE)));
+    return row * grid.cols + col;
+}
+
+/**
+ * Cell a walk from `point` starts in: its own, or - for a player standing
+ * legally next to an obstacle in a blocked cell - the nearest free
+ * neighbour. Returns -1 when boxed in
+ */
+function getStartCell(grid, point) {
+    const cell = getNavCell(grid, point);
+    if (grid.walkable[cell]) return cell;
+
+    const col = cell % grid.cols;
+    const row = Math.floor(cell / grid.cols);
+    const neighbours = NAV_DIRECTIONS
+        .map(([dc, dr]) => [col + dc, row + dr])
+        .filter(([c, r]) => c >= 0 && r >= 0 && c < grid.cols && r < grid.rows && grid.walkable[r * grid.cols + c])
+        .map(([c, r]) => r * grid.cols + c);
+    if (neighbours.length === 0) return -1;
+    return neighbours.reduce((nearest, index) =>
+        getDistance(point, getNavCellCenter(grid, index)) < getDistance(point, getNavCellCenter(grid, nearest)) ? index : nearest);
+}
+
+/**
+ * Calls visit(next) for every walkable cell one step from `index`
+ * (8 directions, no corner cutting)
+ */
+function forEachNavStep(grid, index, visit) {
+    const col = index % grid.cols;
+    const row = Math.floor(index / grid.cols);
+    for (const [dc, dr] of NAV_DIRECTIONS) {
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+        const next = r * grid.cols + c;
+        if (!grid.walkable[next]) continue;
+        if (dc !== 0 && dr !== 0 && (!grid.walkable[row * grid.cols + c] || !grid.walkable[r * grid.cols + col])) continue;
+        visit(next);
+    }
+}
+
+/**
+ * PICKUP SPOTS (one list per map, built on first use)
+ * Centers of the navigation cells every base can walk to - one flood per
+ * base - where pickups are allowed to appear
+ */
+const PickupSpots = new WeakMap();
+
+function getPickupSpots(map) {
+    let spots = PickupSpots.get(map);
+    if (spots) return spots;
+
+    const grid = getNavGrid(map);
+    const bases = Object.values(map.bases);
+    const reachedBy = new Uint8Array(grid.walkable.length);
+    bases.forEach(base => {
+        const start = getStartCell(grid, base);
+        if (start === -1) return;
+        const seen = new Uint8Array(grid.walkable.length);
+        const queue = new Int32Array(grid.walkable.length);
+        let tail = 0;
+        queue[tail++] = start;
+        seen[start] = 1;
+        for (let head = 0; head < tail; head++) {
+            forEachNavStep(grid, queue[head], next => {
+                if (seen[next]) return;
+                seen[next] = 1;
+                queue[tail++] = next;
+            });
+        }
+        for (let i = 0; i < tail; i++) reachedBy[queue[i]]++;
+    });
+
+    spots = [];
+    reachedBy.forEach((count, index) => {
+        if (count === bases.length) spots.push(getNavCellCenter(grid, index));
+    });
+    PickupSpots.set(map, spots);
+    return spots;
+}
+
+/**
+ * GRID PATHFINDER
+ * Breadth-first search over the navigation grid (8 directions, no corner
+ * cutting) from the cell `from` stands in towards `to`. When the goal's
+ * cell is blocked or cut off, the path ends at the reachable cell closest
+ * to it instead. A player standing legally next to an obstacle may be in
+ * a blocked cell; the search then starts from the nearest free neighbour
+ * Returns: waypoints [{ x, y }], finishing on `to` itself when it can be
+ * stood on (empty when already there, null when boxed in)
+ */
+function findPath(map, from, to) {
+    const grid = getNavGrid(map);
+    const start = getStartCell(grid, from);
+    if (start === -1) return null;
+    const stranded = start !== getNavCell(grid, from);
+
+    const goal = getNavCell(grid, to);
+    const cameFrom = new Int32Array(grid.walkable.length).fill(-1);
+    const queue = new Int32Array(grid.walkable.length);
+    let tail = 0;
+    queue[tail++] = start;
+    cameFrom[start] = start;
+    let best = start;
+    let bestDistance = getDistance(getNavCellCenter(grid, start), to);
+
+    for (let head = 0; head < tail && best !== goal; head++) {
+        const index = queue[head];
+        forEachNavStep(grid, index, next => {
+            if (cameFrom[next] !== -1) return;
+            cameFrom[next] = index;
+            queue[tail++] = next;
+            const distance = getDistance(getNavCellCenter(grid, next), to);
+            if (distance < bestDistance) {
+                best = next;
+                bestDistance = distance;
+            }
+        });
+    }
+
+    const path = [];
+    for (let index = best; index !== start; index = cameFrom[index]) {
+        path.push(getNavCellCenter(grid, index));
+    }
+    if (stranded) path.push(getNavCellCenter(grid, start));
+    path.reverse();
+    if (best === goal && !checkCollision(map, to.x, to.y)) path.push({ x: to.x, y: to.y });
+    return path;
+}
+
+/**
+ * BOT TICK
+ * 1. Update what the bot knows from its own vision
+ * 2. Grab, score or tackle when in range (the handlers re-check everything)
+ * 3. Re-plan a path every BOT_THINK_INTERVAL, or when out of waypoints
+ * 4. Queue this tick's moves along the path
+ */
+function runBot(room, bot, now) {
+    const brain = bot.bot;
+    if (isStunned(room, bot, now)) {
+        brain.path = [];
+        brain.movedAt = now;
+        return;
+    }
+
+    observeForBot(room, bot, brain);
+    if (queueBotActions(room, bot, now)) {
+        // The grab slows the bot down before this tick's moves are handled:
+        // stand still for it and head home from the next tick
+        brain.path = [];
+        brain.movedAt = now;
+        return;
+    }
+
+    // Dropped paths and blocked goals get re-planned instead of pushing into a wall
+    if (!brain.lastPosition || getDistance(bot, brain.lastPosition) > 1) {
+        brain.lastPosition = { x: bot.x, y: bot.y };
+        brain.movedAt = now;
+    } else if (brain.path.length > 0 && now - brain.movedAt > BOT_STUCK_TIMEOUT) {
+        console.log(`🤖 ${bot.name} is stuck, re-planning`);
+        brain.path = [];
+        brain.exploreTarget = null;
+        brain.movedAt = now;
+    }
+
+    if (now >= brain.thinkAt || brain.path.length === 0) {
+        brain.thinkAt = now + BOT_THINK_INTERVAL;
+        const goal = chooseBotGoal(room, bot, brain);
+        brain.path = goal ? findPath(room.map, bot, goal) || [] : [];
+        if (goal && goal === brain.exploreTarget && brain.path.length === 0) {
+            // As close as it gets - count the cell as explored
+            brain.explored.add(getExploreCellKey(goal));
+            brain.exploreTarget = null;
+        }
+    }
+
+    queueBotMoves(room, bot, brain);
+}
+
+function getExploreCellKey(point) {
+    return `${Math.floor(point.x / EXPLORE_CELL_SIZE)},${Math.floor(point.y / EXPLORE_CELL_SIZE)}`;
+}
+
+/**
+ * Record the explore cells in sight and every loose relic the bot can
+ * see; sightings are forgotten once the relic is picked up or scored
+ * (public events) or the spot turns out empty
+ */
+function observeForBot(room, bot, brain) {
+    const range = getVisualRange(room, bot);
+    const minCol = Math.max(0, Math.floor((bot.x - range) / EXPLORE_CELL_SIZE));
+    const maxCol = Math.floor(Math.min(room.map.width - 1, bot.x + range) / EXPLORE_CELL_SIZE);
+    const minRow = Math.max(0, Math.floor((bot.y - range) / EXPLORE_CELL_SIZE));
+    const maxRow = Math.floor(Math.min(room.map.height - 1, bot.y + range) / EXPLORE_CELL_SIZE);
+    for (let col = minCol; col <= maxCol; col++) {
+        for (let row = minRow; row <= maxRow; row++) {
+            const center = { x: (col + 0.5) * EXPLORE_CELL_SIZE, y: (row + 0.5) * EXPLORE_CELL_SIZE };
+            if (getDistance(bot, center) < range) brain.explored.add(`${col},${row}`);
+        }
+    }
+    if (brain.exploreTarget && brain.explored.has(getExploreCellKey(brain.exploreTarget))) {
+        brain.exploreTarget = null;
+    }
+
+    room.relics.forEach(relic => {
+        const sighting = brain.relicSightings.get(relic.id);
+        if (relic.isHeld || relic.isRespawning) {
+            brain.relicSightings.delete(relic.id);
+        } else if (canSeeRelic(room, bot, relic)) {
+            brain.relicSightings.set(relic.id, { x: relic.position.x, y: relic.position.y });
+        } else if (sighting && getDistance(bot, sighting) < range) {
+            brain.relicSightings.delete(relic.id);
+        }
+    });
+}
+
+/**
+ * Opposing relic carriers the bot can see (or that have been revealed)
+ */
+function getBotTackleTargets(room, bot) {
+    if (bot.hasRelic || room.rules.tackleRange === 0) return [];
+    return Array.from(room.players.values()).filter(p =>
+        p.hasRelic && p.baseId !== bot.baseId && (canSee(room, bot, p) || isCarrierRevealed(room, p)));
+}
+
+function getNearest(from, points) {
+    return points.reduce((nearest, point) =>
+        !nearest || getDistance(from, point) < getDistance(from, nearest) ? point : nearest, null);
+}
+
+/**
+ * Queue grab / score / tackle attempts the bot is in range for
+ * Returns true when it queued a grab
+ */
+function queueBotActions(room, bot, now) {
+    if (bot.hasRelic) {
+        if (getDistance(bot, room.map.bases[bot.baseId]) <= room.rules.captureRange) {
+            queuePlayerInput(room, bot, 'base');
+        }
+        return false;
+    }
+
+    const relicInReach = room.relics.some(relic => !relic.isHeld && !relic.isRespawning &&
+        canSeeRelic(room, bot, relic) && getDistance(bot, relic.position) <= room.rules.grabRange);
+    if (relicInReach) queuePlayerInput(room, bot, 'relic');
+
+    const victim = getNearest(bot, getBotTackleTargets(room, bot));
+    if (victim && now >= bot.tackleReadyAt && getDistance(bot, victim) <= room.rules.tackleRange) {
+        queuePlayerInput(room, bot, 'tackle');
+    }
+    return relicInReach;
+}
+
+/**
+ * GOAL SELECTION (in priority order)
+ * 1. Carrying a relic: head home
+ * 2. The nearest loose relic it knows of, or opposing carrier to steal from
+ * 3. A visible pickup
+ * 4. Explore: one of the nearest cells it has not looked at yet
+ *    (once everything is explored, the memory starts over)
+ */
+function chooseBotGoal(room, bot, brain) {
+    if (bot.hasRelic) return room.map.bases[bot.baseId];
+
+    const target = getNearest(bot, [...brain.relicSightings.values(), ...getBotTackleTargets(room, bot)]);
+    if (target) return target;
+
+    const pickup = getNearest(bot, room.pickups.filter(p => canSee(room, bot, p)));
+    if (pickup) return pickup;
+
+    if (!brain.exploreTarget) {
+        const unexplored = [];
+        for (let col = 0; col * EXPLORE_CELL_SIZE < room.map.width; col++) {
+            for (let row = 0; row * EXPLORE_CELL_SIZE < room.map.height; row++) {
+                if (brain.explored.has(`${col},${row}`)) continue;
+                unexplored.push({
+                    x: Math.min((col + 0.5) * EXPLORE_CELL_SIZE, room.map.width - PLAYER_RADIUS),
+                    y: Math.min((row + 0.5) * EXPLORE_CELL_SIZE, room.map.height - PLAYER_RADIUS)
+                });
+            }
+        }
+        if (unexplored.length === 0) {
+            brain.explored.clear();
+            return null;
+        }
+        unexplored.sort((a, b) => getDistance(bot, a) - getDistance(bot, b));
+        brain.exploreTarget = unexplored[Math.floor(Math.random() * Math.min(BOT_EXPLORE_CHOICES, unexplored.length))];
+    }
+    return brain.exploreTarget;
+}
+
+/**
+ * Queue this tick's moves along the path, predicted from the bot's
+ * authoritative position the way a client predicts its own movement.
+ * A step that would collide slides along the free axis; if neither axis
+ * is free the path is dropped and re-planned next tick
+ */
+function queueBotMoves(room, bot, brain) {
+    const speed = getMaxSpeed(room, bot);
+    let x = bot.x;
+    let y = bot.y;
+    for (let i = 0; i < BOT_MOVES_PER_TICK && brain.path.length > 0; i++) {
+        const waypoint = brain.path[0];
+        // A hair under the limit: a step scaled to exactly `speed` can come out
+        // a rounding error too long and be clamped (and logged) by handlePlayerMove
+        const step = clampToMaxSpeed(waypoint.x - x, waypoint.y - y, speed * BOT_STEP_SCALE);
+        const move = [step, { dx: step.dx, dy: 0 }, { dx: 0, dy: step.dy }].find(m =>
+            (m.dx !== 0 || m.dy !== 0) && !checkCollision(room.map, quantizePosition(x + m.dx), quantizePosition(y + m.dy)));
+        if (!move) {
+            brain.path = [];
+            break;
+        }
+
+        queuePlayerInput(room, bot, 'move', { seq: ++brain.seq, dx: move.dx, dy: move.dy });
+        x = quantizePosition(x + move.dx);
+        y = quantizePosition(y + move.dy);
+        if (Math.hypot(waypoint.x - x, waypoint.y - y) < 1) brain.path.shift();
+    }
+}
+
+// ============================================================================
+// SIMULATION LOOP - Fixed-Rate Tick
+// ============================================================================
+
+/**
+ * INPUT QUEUE
+ * The only way into a running room: the server queues socket inputs here
+ * and bots submit theirs the same way, so both share the rate budget,
+ * queue limit and tick handlers. Nothing is applied until advanceRoom
+ * Movement is charged against the player's rate budget on arrival
+ */
+function queuePlayerInput(room, player, type, data) {
+    if (type === 'move' && !consumeMoveToken(room, player)) {
+        rejectMove(room, player, 'rateLimit', data);
+        return;
+    }
+
+    if (player.inputQueue.length >= MAX_QUEUED_INPUTS) {
+        if (type === 'move') rejectMove(room, player, 'rateLimit', data);
+        return;
+    }
+
+    player.inputQueue.push({ type, data, order: room.inputOrder++ });
+}
+
+/**
+ * ADVANCE ONE TICK (the caller runs this TICK_RATE times a second)
+ * 1. Let bots queue their inputs, then drain every player's input queue
+ *    in global arrival order
+ * 2. Advance timers (relic respawn, pickups, match clock, post-win reset, session grace periods)
+ * Returns the public events raised since the last tick (room.events is
+ * emptied) for the caller to send out with its snapshots; the sink's
+ * ticked() gets them too, along with every input it resolved
+ */
+function advanceRoom(room) {
+    const now = room.now();
+    room.tick++;
+
+    // 1. Resolve inputs first-come-first-served across all players (bots included)
+    room.players.forEach(player => {
+        if (player.isBot) runBot(room, player, now);
+    });
+    const inputs = [];
+    room.players.forEach(player => {
+        player.inputQueue.forEach(input => inputs.push({ player, input }));
+        player.inputQueue = [];
+    });
+    inputs.sort((a, b) => a.input.order - b.input.order);
+
+    const resolved = [];
+    inputs.forEach(({ player, input }) => {
+        if (!room.players.has(player.id)) return; // Left mid-tick
+        const entry = { player, type: input.type, data: input.data, x: player.x, y: player.y, accepted: false };
+        if (input.type === 'move') entry.accepted = handlePlayerMove(room, player, input.data);
+        if (input.type === 'relic') entry.accepted = handleRelicAttempt(room, player);
+        if (input.type === 'base') entry.accepted = handleBaseAttempt(room, player);
+        if (input.type === 'tackle') entry.accepted = handleTackleAttempt(room, player);
+        if (input.type === 'drop') entry.accepted = handleDropAttempt(room, player, input.data);
+        resolved.push(entry);
+    });
+
+    // 2. Advance timers
+    room.relics.forEach(relic => {
+        if (relic.isRespawning && relic.respawnAt !== null && now >= relic.respawnAt) {
+            respawnRelic(room, relic);
+        }
+        if (relic.isHeld && !relic.revealed && isCarrierRevealed(room, room.players.get(relic.holderId), now)) {
+            relic.revealed = true;
+            console.log(`📡 ${room.players.get(relic.holderId).name} has carried relic ${relic.id} too long, revealed`);
+            raiseEvent(room, 'carrierRevealed', { playerId: relic.holderId, relicId: relic.id });
+        }
+    });
+    if (room.nextPickupAt !== null && now >= room.nextPickupAt) {
+        spawnPickup(room);
+        room.nextPickupAt = room.pickups.length < room.rules.pickupCount ? now + room.rules.pickupRespawnDelay : null;
+    }
+    if (room.matchEndsAt !== null && now >= room.matchEndsAt) {
+        endMatchOnTime(room);
+    } else if (room.overtime && getLeader(room) !== null) {
+        endMatchOnTime(room); // A tied leader left
+    } else if (room.matchEndsAt !== null && now >= room.nextTimerAt) {
+        emitMatchTimer(room, now);
+    }
+    if (room.resetAt !== null && now >= room.resetAt) {
+        resetGame(room);
+    }
+    room.players.forEach(player => {
+        if (player.awayUntil !== null && now >= player.awayUntil) {
+            console.log(`⌛ ${player.name} did not come back, freeing slot`);
+            removePlayer(room, player);
+        }
+    });
+
+    const events = room.events;
+    room.events = [];
+    room.sink.ticked(room, resolved, events);
+    return events;
+}
+
+// ============================================================================
+// TEAMS AND SLOTS - Who Plays Where
+// ============================================================================
+
+/**
+ * TEAMS
+ * A team is the group of players sharing a base: in free-for-all every
+ * base holds one player, in team mode (rules.teamSize > 1) each team base
+ * holds teamSize players who share its score, vision and exploration.
+ * Team mode plays on the first N bases of the map, where N is how many
+ * full teams the map's bases allow (at least two)
+ */
+function isTeamMode(room) {
+    return room.rules.teamSize > 1;
+}
+
+function getTeamBaseIds(room) {
+    const baseIds = Object.keys(room.map.bases);
+    if (!isTeamMode(room)) return baseIds;
+    const teamCount = Math.max(2, Math.floor(baseIds.length / room.rules.teamSize));
+    return baseIds.slice(0, teamCount);
+}
+
+/**
+ * Everyone on player's team, including player
+ */
+function getTeammates(room, player) {
+    return Array.from(room.players.values()).filter(p => p.baseId === player.baseId);
+}
+
+/**
+ * Key a player's captures are counted under in room.scores
+ */
+function getScoreKey(room, player) {
+    return isTeamMode(room) ? player.baseId : player.id;
+}
+
+function getScoreKeyName(room, scoreKey) {
+    if (isTeamMode(room)) return room.map.bases[scoreKey].name;
+    const player = room.players.get(scoreKey);
+    return player ? player.name : scoreKey;
+}
+
+/**
+ * One player per base, or teamSize players per team base
+ */
+function getRoomCapacity(room) {
+    return getTeamBaseIds(room).length * room.rules.teamSize;
+}
+
+/**
+ * Base ids with an open slot (away players keep theirs)
+ * Least-filled teams come first so auto-assignment keeps teams balanced
+ * With humansOnly, slots held by bots count as open too: a joining
+ * human takes a bot's place (see makeRoomForHuman)
+ */
+function getFreeBaseIds(room, humansOnly = false) {
+    const counts = new Map(getTeamBaseIds(room).map(baseId => [baseId, 0]));
+    room.players.forEach(p => {
+        if (humansOnly && p.isBot) return;
+        counts.set(p.baseId, (counts.get(p.baseId) || 0) + 1);
+    });
+    return Array.from(counts.entries())
+        .filter(([, count]) => count < room.rules.teamSize)
+        .sort(([, a], [, b]) => a - b)
+        .map(([baseId]) => baseId);
+}
+
+/**
+ * SLOT ALLOCATOR
+ * Hands out the preferred base if it has room, otherwise the emptiest
+ * one (map order breaks ties); null when the room is full
+ */
+function allocateBaseSlot(room, preferredBaseId) {
+    const free = getFreeBaseIds(room);
+    if (free.includes(preferredBaseId)) return preferredBaseId;
+    return free.length > 0 ? free[0] : null;
+}
+
+/**
+ * Humans holding a slot (away players included)
+ */
+function getHumanCount(room) {
+    return Array.from(room.players.values()).filter(p => !p.isBot).length;
+}
+
+// ============================================================================
+// PLAYERS - Joining, Dropping Out and Leaving
+// ============================================================================
+
+/**
+ * Lowest unused numeric entity id (1-255) for a joining player
+ */
+function allocateNetId(room) {
+    const used = new Set(Array.from(room.players.values()).map(p => p.netId));
+    for (let netId = 1; netId <= MAX_NET_ID; netId++) {
+        if (!used.has(netId)) return netId;
+    }
+    return null;
+}
+
+/**
+ * What a player did this match (reset with every match):
+ * captures, steals (successful tackles) and carryTime (ms holding a relic)
+ */
+function createMatchStats() {
+    return { captures: 0, steals: 0, carryTime: 0 };
+}
+
+/**
+ * Fresh state for a player standing on its base (humans and bots alike)
+ */
+function createPlayer(room, id, name, baseId) {
+    const base = room.map.bases[baseId];
+    return {
+        id: id,
+        awayUntil: null,
+        isBot: false,
+        bot: null,
+        name: name,
+        x: base.x,
+        y: base.y,
+        score: 0,
+        hasRelic: false,
+        baseId: baseId,
+        color: base.color,
+        baseColor: base.color,
+        moveTokens: MOVE_BUDGET_PER_SECOND + MOVE_BUDGET_BURST,
+        lastMoveRefill: room.now(),
+        inputQueue: [],
+        lastProcessedSeq: 0,
+        stunnedUntil: 0,
+        tackleReadyAt: 0,
+        effects: {},
+        matchStats: createMatchStats(),
+        netId: allocateNetId(room),
+        // Snapshot bookkeeping for the server's wire format
+        snapshotHistory: new Map(),
+        ackedTick: 0,
+        bytesSent: 0,
+        snapshotsSent: 0
+    };
+}
+
+/**
+ * Tell everyone in the room about a new arrival
+ */
+function announcePlayer(room, player) {
+    room.sink.broadcast(room, 'newPlayer', {
+        id: player.id,
+        netId: player.netId,
+        name: player.name,
+        x: player.x,
+        y: player.y,
+        baseId: player.baseId,
+        color: player.color,
+        baseColor: player.baseColor,
+        isBot: player.isBot,
+        timestamp: room.now()
+    });
+}
+
+/**
+ * Give a freshly created player its slot: score entry, host role if the
+ * room has none (bots never host), and an announcement to the room
+ */
+function addPlayer(room, player) {
+    room.players.set(player.id, player);
+    if (!room.scores.has(getScoreKey(room, player))) room.scores.set(getScoreKey(room, player), 0);
+    if (!room.hostId && !player.isBot) room.hostId = player.id;
+    announcePlayer(room, player);
+}
+
+/**
+ * Credit the time a player held `relic` to their match stats (called
+ * whenever a carry ends: capture or drop)
+ */
+function endCarry(room, player, relic) {
+    player.matchStats.carryTime += room.now() - relic.heldSince;
+}
+
+/**
+ * Drop the relic a player carries (if any) where they stand, or at
+ * `position` for a throw
+ * Position is only revealed through each player's snapshot
+ * Returns the dropped relic
+ */
+function dropRelic(room, player, position = { x: player.x, y: player.y }) {
+    const relic = getHeldRelic(room, player);
+    if (!relic) return null;
+
+    endCarry(room, player, relic);
+    relic.holderId = null;
+    relic.isHeld = false;
+    relic.atSpawn = false;
+    relic.position = { x: position.x, y: position.y };
+    player.hasRelic = false;
+
+    console.log(`📍 Relic ${relic.id} dropped at (${Math.floor(position.x)}, ${Math.floor(position.y)})`);
+    raiseEvent(room, 'relicDropped', { playerId: player.id, relicId: relic.id });
+    return relic;
+}
+
+/**
+ * PLAYER AWAY (connection dropped)
+ * Slot, score, base and position are held for SESSION_GRACE_PERIOD;
+ * advanceRoom removes the player if it has not resumed by then
+ * 
+ * EDGE CASE: A held relic is dropped so the match can go on, and is
+ * handed back on resume if nobody touched it in the meantime
+ */
+function markPlayerAway(room, player) {
+    player.awayUntil = room.now() + SESSION_GRACE_PERIOD;
+    player.inputQueue = [];
+
+    const dropped = dropRelic(room, player);
+    if (dropped) dropped.droppedBy = player.id;
+
+    raiseEvent(room, 'playerAway', { playerId: player.id });
+}
+
+/**
+ * RESUME
+ * A held slot is back in play: the new client starts from scratch with a
+ * fresh input sequence, and a relic dropped by the disconnect is handed
+ * back if nobody touched it in the meantime
+ */
+function resumePlayer(room, player) {
+    player.awayUntil = null;
+    player.lastProcessedSeq = 0;
+    player.inputQueue = [];
+    player.moveTokens = MOVE_BUDGET_PER_SECOND + MOVE_BUDGET_BURST;
+    player.lastMoveRefill = room.now();
+
+    const relic = room.relics.find(r => r.droppedBy === player.id && !r.isHeld && !r.isRespawning);
+    if (relic) {
+        relic.isHeld = true;
+        relic.holderId = player.id;
+        relic.droppedBy = null;
+        relic.heldSince = room.now();
+        relic.revealed = false;
+        player.hasRelic = true;
+        console.log(`✨ ${player.name} got relic ${relic.id} back`);
+        raiseEvent(room, 'relicGrabbed', { playerId: player.id, relicId: relic.id });
+    }
+
+    console.log(`🔁 ${player.name} resumed in ${room.name}`);
+    raiseEvent(room, 'playerReturned', { playerId: player.id });
+}
+
+/**
+ * REMOVE PLAYER
+ * Frees the player's slot and notifies the rest of the room
+ * Called when a player leaves, or when the grace period runs out
+ * 
+ * EDGE CASE: If the player held the relic, drop it at their position
+ * EDGE CASE: Host leaves -> longest-standing remaining human becomes host
+ * EDGE CASE: A human leaves -> a bot takes over the free slot if botFill
+ * asks for one (unless no humans are left; the server closes such rooms)
+ */
+function removePlayer(room, player) {
+    // Handle relic drop if player was holding one
+    dropRelic(room, player);
+    room.relics.forEach(relic => {
+        if (relic.droppedBy === player.id) relic.droppedBy = null;
+    });
+
+    // Remove from the room's state (a team keeps its score while anyone is left)
+    room.players.delete(player.id);
+    if (getTeammates(room, player).length === 0) {
+        room.scores.delete(getScoreKey(room, player));
+        room.teamExploredTiles.delete(player.baseId);
+    }
+
+    if (room.hostId === player.id) {
+        const nextHost = Array.from(room.players.values()).find(p => !p.isBot);
+        room.hostId = nextHost ? nextHost.id : null;
+        if (room.hostId) raiseEvent(room, 'hostChanged', { playerId: room.hostId });
+    }
+
+    // Notify remaining players
+    room.sink.broadcast(room, 'playerDisconnected', {
+        id: player.id,
+        timestamp: room.now()
+    });
+
+    if (!player.isBot && getHumanCount(room) > 0) fillBots(room);
+    room.sink.playerRemoved(room, player);
+}
+
+module.exports = {
+    // Constants and rules
+    MAX_SPEED, PLAYER_RADIUS, POSITION_PRECISION, MAX_NET_ID, SESSION_GRACE_PERIOD,
+    DEFAULT_RULES, RULE_LIMITS, GAME_MODES, PICKUP_TYPE_IDS,
+    sanitizeRules, getModeList,
+    // Rooms and geometry
+    NULL_SINK, createRoom, getDistance, checkCollision, findUnreachable, getPickupSpots,
+    // Fog of war and player status
+    getVisualRange, hasEffect, isStunned, isCarrierRevealed,
+    canSee, getVisiblePlayers, getVisibleRelics, getVisiblePickups, getVisibleGameState,
+    // Simulation
+    queuePlayerInput, advanceRoom, handlePlayerMove, handleRelicAttempt, handleBaseAttempt,
+    handleTackleAttempt, handleDropAttempt, resetGame,
+    // Teams, slots and players
+    isTeamMode, getTeammates, getScoreKey, getRoomCapacity, getFreeBaseIds, allocateBaseSlot, getHumanCount,
+    fillBots, makeRoomForHuman, createPlayer, addPlayer, dropRelic, markPlayerAway, resumePlayer, removePlayer
+};
@@ -0,0 +1,89 @@
+/**
+ * ============================================================================
+ * RATING.JS - SKILL RATING
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Elo for free-for-all: a match between n players is scored as every
+ * pairing of players on different sides, each one a small Elo game won by
+ * whoever finished with more points (equal points = a draw). A player's
+ * change is the sum over their pairings, scaled by K_FACTOR / opponents so
+ * a 4-player match moves a rating about as much as one duel:
+ *
+ *   expected(a, b) = 1 / (1 + 10 ^ ((b - a) / 400))
+ *   change(a)      = K / opponents * sum(actual(a, b) - expected(a, b))
+ *
+ * In 1v1 this is plain Elo. Finishing 2nd of 4 beats the two below you and
+ * loses to the winner; teammates share a side and are never paired.
+ * New players move faster (PROVISIONAL_K_FACTOR) until their rating has
+ * settled over PROVISIONAL_MATCHES.
+ */
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 64;
+const PROVISIONAL_MATCHES = 10;
+
+/**
+ * Chance (0-1) that a player rated `rating` beats one rated `opponentRating`
+ */
+function getExpectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function getKFactor(entry) {
+    return entry.ratedMatches < PROVISIONAL_MATCHES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+/**
+ * RATING CHANGES FOR ONE MATCH
+ * entries: [{ id, rating, ratedMatches, score, side }]
+ * - score: final points (more = better placement)
+ * - side: players sharing a side (a team) are not rated against each other
+ * Returns Map id -> rating change (rounded to 0.1); players without an
+ * opponent (everyone on one side) are left out, their match is not rated
+ */
+function getRatingChanges(entries) {
+    const changes = new Map();
+    entries.forEach(entry => {
+        const opponents = entries.filter(other => other.side !== entry.side);
+        if (opponents.length === 0) return;
+
+        const kFactor = getKFactor(entry);
+        const total = opponents.reduce((sum, other) => {
+            const actual = entry.score > other.score ? 1 : entry.score === other.score ? 0.5 : 0;
+            return sum + actual - getExpectedScore(entry.rating, other.rating);
+        }, 0);
+        changes.set(entry.id, Math.round(kFactor / opponents.length * total * 10) / 10);
+    });
+    return changes;
+}
+
+/**
+ * RATING CHANGES FOR WALKING OUT
+ * leaver loses to every entry on another side (entries as in
+ * getRatingChanges, scores unused); only those pairings are rated, each
+ * weighed like one of the leaver's pairings at match end. Every opponent
+ * gains exactly what the leaver loses to them, so no rating is made up
+ * Returns Map id -> rating change; empty without an opponent
+ */
+function getAbandonChanges(leaver, entries) {
+    const changes = new Map();
+    const opponents = entries.filter(other => other.side !== leaver.side);
+    if (opponents.length === 0) return changes;
+
+    const kFactor = getKFactor(leaver);
+    let total = 0;
+    opponents.forEach(other => {
+        const gain = Math.round(kFactor / opponents.length * getExpectedScore(leaver.rating, other.rating) * 10) / 10;
+        changes.set(other.id, gain);
+        total += gain;
+    });
+    changes.set(leaver.id, -Math.round(total * 10) / 10);
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_RATING, K_FACTOR, PROVISIONAL_K_FACTOR, PROVISIONAL_MATCHES,
+    getExpectedScore, getRatingChanges, getAbandonChanges
+};
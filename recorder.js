@@ -0,0 +1,411 @@
+/**
+ * ============================================================================
+ * RECORDER.JS - MATCH RECORDING
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Writes every match to a compact log so it can be watched again in the
+ * replay viewer (replay.html) - "I was in range when I pressed E" can be
+ * checked frame by frame, from the full map or any player's fogged view.
+ *
+ * One match = one file, RECORDINGS_DIR/<id>.jsonl, one JSON object per line:
+ * - Line 1, the header:
+ *     { version, id, room, map, rules, tickRate, startedAt }
+ *     map is the map JSON the match was played on, startedAt a wall-clock
+ *     timestamp (ms)
+ * - Then one frame per tick in which something changed:
+ *     t: ms since the start of the match, k: room tick
+ *     j: players who joined  [[netId, id, name, baseId, color, isBot]]
+ *     l: netIds of players who left
+ *     p: changed players     [[netId, x, y, flags, visualRange]]
+ *     r: every relic, when any changed  [[x, y, holderNetId, state]]
+ *     u: every pickup, when any changed [[id, type, x, y]]
+ *     s: scores, when they changed  { scoreKey: score }
+ *     i: every input the tick resolved, in resolution order, accepted
+ *        or not  [[netId, type, x, y, accepted, ...extra]]
+ *        x/y: where the player stood before the input was handled
+ *        accepted: 1, or 0 when the server turned it down (a move into
+ *        a wall, a tackle out of range, a grab while stunned...)
+ *        extra: seq, dx, dy for moves (dx/dy at POSITION_PRECISION, 0 for
+ *        a move sent as a direction); dx, dy (throw direction) for drops
+ *     e: public game events, exactly as sent in snapshots
+ *   Positions are integers at POSITION_PRECISION (x * 10). Moves dropped
+ *   by the rate limit never reach a tick and are not listed.
+ * - Last line, when the match ends or the room closes:
+ *     { t, end: true }
+ *   Only files with this line are listed and served: a match still being
+ *   played would show every player's position to anyone who asked
+ *
+ * Only matches worth watching are kept: one that was decided (a win or
+ * the time running out) or lasted MIN_KEPT_DURATION. Rule changes and
+ * quick exits delete theirs when they stop, so they can never push real
+ * matches out. Recordings older than MAX_RECORDING_AGE are
+ * deleted, and the oldest beyond MAX_RECORDINGS.
+ *
+ * Player flags: PLAYER_FLAGS below; relic state: RELIC_STATES
+ * (holderNetId is 0 while nobody holds the relic)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    POSITION_PRECISION, PICKUP_TYPE_IDS,
+    getVisualRange, hasEffect, isStunned, isCarrierRevealed
+} = require('./engine');
+
+const RECORDING_VERSION = 2;
+const MAX_RECORDINGS = 100;             // Finished recordings kept; the oldest go beyond this
+const MAX_RECORDING_AGE = 7 * 24 * 60 * 60 * 1000; // ms; older files are deleted
+const MIN_KEPT_DURATION = 60000;        // ms; undecided matches shorter than this are not kept
+const RECORDING_ID_PATTERN = /^\d+-\d+-\d+$/;
+let recordingCount = 0;                 // Tells apart recordings started in the same ms
+
+/**
+ * Bits of a recorded player's flags (replay.js reads the same values)
+ * Effects get one bit each, starting at EFFECT_FLAG_SHIFT in
+ * PICKUP_TYPE_IDS order
+ */
+const PLAYER_FLAGS = {
+    hasRelic: 1,
+    away: 2,
+    stunned: 4,
+    revealed: 8
+};
+const EFFECT_FLAG_SHIFT = 4;
+
+/**
+ * Recorded relic states: 'spawn' relics rest on their public spawn point
+ * (everyone sees them), 'loose' ones were dropped somewhere in the fog
+ */
+const RELIC_STATES = { spawn: 0, held: 1, respawning: 2, loose: 3 };
+
+// ============================================================================
+// FRAMES - What Changed This Tick
+// ============================================================================
+
+/**
+ * Fresh recording state for a room's current match (no file involved)
+ * The last* fields hold what was written last, so frames only carry changes
+ */
+function createRecording(room, tickRate) {
+    const id = `${Date.now()}-${room.id}-${++recordingCount}`;
+    return {
+        id: id,
+        startedAt: room.now(),
+        decided: false,
+        header: {
+            version: RECORDING_VERSION,
+            id: id,
+            room: room.name,
+            map: {
+                name: room.map.name,
+                width: room.map.width,
+                height: room.map.height,
+                tileSize: room.map.tileSize,
+                bases: room.map.bases,
+                obstacles: room.map.obstacles,
+                relicSpawns: room.map.relicSpawns
+            },
+            rules: room.rules,
+            tickRate: tickRate,
+            startedAt: Date.now()
+        },
+        stream: null,
+        roster: new Map(),       // netId -> player.id
+        lastPlayers: new Map(),  // netId -> encoded entry
+        lastRelics: '',
+        lastPickups: '',
+        lastScores: ''
+    };
+}
+
+function encodePosition(value) {
+    return Math.round(value * POSITION_PRECISION);
+}
+
+/**
+ * One resolved input as a frame's i entry (see the format above)
+ */
+function encodeInput(input) {
+    const data = input.data || {};
+    const entry = [input.player.netId, input.type, encodePosition(input.x), encodePosition(input.y),
+        input.accepted ? 1 : 0];
+    if (input.type === 'move') {
+        entry.push(Number(data.seq) || 0, encodePosition(Number(data.dx) || 0), encodePosition(Number(data.dy) || 0));
+    }
+    if (input.type === 'drop' && input.data) {
+        entry.push(Number(data.dx) || 0, Number(data.dy) || 0);
+    }
+    return entry;
+}
+
+function getPlayerFlags(room, player, now) {
+    let flags = 0;
+    if (player.hasRelic) flags |= PLAYER_FLAGS.hasRelic;
+    if (player.awayUntil !== null) flags |= PLAYER_FLAGS.away;
+    if (isStunned(room, player, now)) flags |= PLAYER_FLAGS.stunned;
+    if (isCarrierRevealed(room, player, now)) flags |= PLAYER_FLAGS.revealed;
+    PICKUP_TYPE_IDS.forEach((type, index) => {
+        if (hasEffect(room, player, type, now)) flags |= 1 << (EFFECT_FLAG_SHIFT + index);
+    });
+    return flags;
+}
+
+function getRelicState(relic) {
+    if (relic.isHeld) return RELIC_STATES.held;
+    if (relic.isRespawning) return RELIC_STATES.respawning;
+    return relic.atSpawn ? RELIC_STATES.spawn : RELIC_STATES.loose;
+}
+
+/**
+ * Build the frame for the tick that just ran (see the format above)
+ * Returns null when nothing changed
+ */
+function captureFrame(recording, room, inputs, events) {
+    const now = room.now();
+    const frame = { t: now - recording.startedAt, k: room.tick };
+    const netIds = new Map(Array.from(room.players.values()).map(p => [p.id, p.netId]));
+
+    // Roster: a reused netId counts as a leave plus a join
+    const left = [];
+    recording.roster.forEach((playerId, netId) => {
+        const player = room.players.get(playerId);
+        if (!player || player.netId !== netId) {
+            left.push(netId);
+            recording.roster.delete(netId);
+            recording.lastPlayers.delete(netId);
+        }
+    });
+    const joined = [];
+    room.players.forEach(player => {
+        if (recording.roster.get(player.netId) === player.id) return;
+        recording.roster.set(player.netId, player.id);
+        joined.push([player.netId, player.id, player.name, player.baseId, player.color, player.isBot]);
+    });
+
+    const moved = [];
+    room.players.forEach(player => {
+        const entry = [player.netId, encodePosition(player.x), encodePosition(player.y),
+            getPlayerFlags(room, player, now), Math.round(getVisualRange(room, player))];
+        const encoded = entry.join(',');
+        if (recording.lastPlayers.get(player.netId) === encoded) return;
+        recording.lastPlayers.set(player.netId, encoded);
+        moved.push(entry);
+    });
+
+    const relics = room.relics.map(relic => [
+        encodePosition(relic.position.x),
+        encodePosition(relic.position.y),
+        relic.isHeld ? netIds.get(relic.holderId) || 0 : 0,
+        getRelicState(relic)
+    ]);
+    const pickups = room.pickups.map(pickup => [pickup.id, pickup.type, pickup.x, pickup.y]);
+    const scores = Object.fromEntries(room.scores);
+    const actions = inputs.map(encodeInput);
+
+    if (joined.length > 0) frame.j = joined;
+    if (left.length > 0) frame.l = left;
+    if (moved.length > 0) frame.p = moved;
+    if (JSON.stringify(relics) !== recording.lastRelics) {
+        recording.lastRelics = JSON.stringify(relics);
+        frame.r = relics;
+    }
+    if (JSON.stringify(pickups) !== recording.lastPickups) {
+        recording.lastPickups = JSON.stringify(pickups);
+        frame.u = pickups;
+    }
+    if (JSON.stringify(scores) !== recording.lastScores) {
+        recording.lastScores = JSON.stringify(scores);
+        frame.s = scores;
+    }
+    if (actions.length > 0) frame.i = actions;
+    if (events.length > 0) frame.e = events;
+
+    return Object.keys(frame).length > 2 ? frame : null;
+}
+
+// ============================================================================
+// FILES - One Log per Match
+// ============================================================================
+
+/**
+ * Start recording a room's current match into dir
+ * Write errors are logged and end the recording; the match goes on
+ */
+function startRecording(room, dir, tickRate) {
+    const recording = createRecording(room, tickRate);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        pruneRecordings(dir);
+    } catch (err) {
+        console.log(`⚠️  Could not prepare ${dir}: ${err.message}`);
+        return recording;
+    }
+
+    recording.path = path.join(dir, `${recording.id}.jsonl`);
+    recording.stream = fs.createWriteStream(recording.path, { flags: 'wx' });
+    recording.stream.on('error', err => {
+        console.log(`⚠️  Recording ${recording.id} failed: ${err.message}`);
+        recording.stream = null;
+    });
+    recording.stream.write(JSON.stringify(recording.header) + '\n');
+    console.log(`🎥 Recording ${room.name} as ${recording.id}`);
+    return recording;
+}
+
+/**
+ * Append the tick that just ran (called from the engine sink's ticked)
+ */
+function recordTick(recording, room, inputs, events) {
+    if (!recording.stream) return;
+    if (events.some(event => event.type === 'timeUp' || (event.type === 'score' && event.winningPlayer))) {
+        recording.decided = true;
+    }
+    const frame = captureFrame(recording, room, inputs, events);
+    if (frame) recording.stream.write(JSON.stringify(frame) + '\n');
+}
+
+/**
+ * Finish the file with its end line - or delete it when the match was
+ * not worth keeping (see the top of this file)
+ */
+function stopRecording(recording, room) {
+    if (!recording.stream) return;
+    const stream = recording.stream;
+    const duration = room.now() - recording.startedAt;
+    recording.stream = null;
+
+    if (!recording.decided && duration < MIN_KEPT_DURATION) {
+        stream.on('close', () => {
+            try {
+                fs.unlinkSync(recording.path);
+            } catch (err) {
+                console.log(`⚠️  Could not delete recording ${recording.id}: ${err.message}`);
+            }
+        });
+        stream.destroy();
+        return;
+    }
+    stream.end(JSON.stringify({ t: duration, end: true }) + '\n');
+}
+
+/**
+ * Delete recordings older than MAX_RECORDING_AGE (crashed ones too), then
+ * the oldest finished ones so a new one keeps dir at MAX_RECORDINGS.
+ * Matches still being recorded are never counted or touched
+ * (ids start with their creation time, so name order is age order)
+ */
+function pruneRecordings(dir, now = Date.now()) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.jsonl')).sort();
+    const expired = files.filter(file => now - parseInt(file, 10) > MAX_RECORDING_AGE);
+    const finished = files.filter(file => !expired.includes(file) && readEndLine(path.join(dir, file)));
+    expired.concat(finished.slice(0, Math.max(0, finished.length - MAX_RECORDINGS + 1))).forEach(file => {
+        fs.unlinkSync(path.join(dir, file));
+    });
+}
+
+/**
+ * First line of a file, read in small chunks (recordings can be large)
+ */
+function readFirstLine(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const chunk = Buffer.alloc(4096);
+        const parts = [];
+        let position = 0;
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position)) > 0) {
+            const newline = chunk.subarray(0, bytesRead).indexOf(10);
+            if (newline !== -1) {
+                parts.push(Buffer.from(chunk.subarray(0, newline)));
+                break;
+            }
+            parts.push(Buffer.from(chunk.subarray(0, bytesRead)));
+            position += bytesRead;
+        }
+        return Buffer.concat(parts).toString('utf8');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Last line of a file (the end line is short; a file whose last 4 KB hold
+ * no complete line has none)
+ */
+function readLastLine(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        const length = Math.min(size, 4096);
+        const chunk = Buffer.alloc(length);
+        fs.readSync(fd, chunk, 0, length, size - length);
+        const lines = chunk.toString('utf8').trimEnd().split('\n');
+        return lines[lines.length - 1];
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * The end line of a finished recording, or null while it is still being
+ * written (or was cut off by a crash)
+ */
+function readEndLine(file) {
+    try {
+        const line = JSON.parse(readLastLine(file));
+        return line && line.end === true ? line : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Finished recordings in dir, newest first:
+ *   [{ id, room, map, mode, startedAt, duration }]
+ * duration (ms) is the time of the end line
+ */
+function listRecordings(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.jsonl'))
+        .sort()
+        .reverse()
+        .map(file => {
+            try {
+                const filePath = path.join(dir, file);
+                const end = readEndLine(filePath);
+                if (!end) return null;
+                const header = JSON.parse(readFirstLine(filePath));
+                return {
+                    id: path.basename(file, '.jsonl'),
+                    room: header.room,
+                    map: header.map.name,
+                    mode: header.rules.mode,
+                    startedAt: header.startedAt,
+                    duration: end.t
+                };
+            } catch (err) {
+                console.log(`⚠️  Skipping recording ${file}: ${err.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Path of a finished recording by id, or null for malformed or unknown
+ * ids and for matches still being played
+ */
+function getRecordingPath(dir, id) {
+    if (!RECORDING_ID_PATTERN.test(id)) return null;
+    const filePath = path.join(dir, `${id}.jsonl`);
+    return fs.existsSync(filePath) && readEndLine(filePath) ? filePath : null;
+}
+
+module.exports = {
+    RECORDING_VERSION, MAX_RECORDINGS, MAX_RECORDING_AGE, MIN_KEPT_DURATION,
+    PLAYER_FLAGS, EFFECT_FLAG_SHIFT, RELIC_STATES,
+    createRecording, captureFrame,
+    startRecording, recordTick, stopRecording, pruneRecordings, listRecordings, getRecordingPath
+};
@@ -8,24 +8,83 @@
  * - Authoritative server: All game logic and validation happens server-side
  * - Clients send input commands, server processes and broadcasts state
  * - Uses Socket.IO for real-time bidirectional communication
- * - Implements collision detection, conflict resolution, and state management
+ * - The rules themselves (collisions, relics, scoring, bots, ...) live in
+ *   engine.js, a headless simulation with no network code; this file
+ *   connects it to sockets, sessions, map files and the snapshot format
  * 
  * DESIGN CONSTRAINT: Secrecy/Incomplete Information
  * - Server tracks global explored tiles but doesn't force-sync to clients
  * - Each client independently discovers the map through movement
  * - Relic position is only revealed to players who can see it
- * - Player positions are broadcast, but fog of war is client-side
+ * - Player positions are filtered per recipient (interest management),
+ *   so a client never receives coordinates outside its own vision
+ * 
+ * ROOMS:
+ * - Every match lives in a room that owns its own state, tick timer and
+ *   Socket.IO channel; players pick or create rooms from a lobby
+ * - A new room is created automatically when every room is full
+ * 
+ * SPECTATORS:
+ * - Sockets can watch a room (or are sent there when it is full); they get
+ *   unfogged snapshots and chat, and can take over a slot once one frees up
+ * 
+ * SESSIONS:
+ * - Joining a room issues a session token; a dropped player's slot, score,
+ *   base and exploration are held for SESSION_GRACE_PERIOD so the client
+ *   can resume on a new socket (player ids stay stable, socket ids change)
+ * 
+ * BOTS:
+ * - Rooms with fewer humans than rules.botFill get server-side bot players;
+ *   they see through the fog like anyone else, path around obstacles on a
+ *   grid and play through the same input queue, giving way when humans join
+ * 
+ * ACCOUNTS:
+ * - Optional name + password accounts (see accounts.js) keep career stats
+ *   across matches: matches played, wins, captures, steals, carry time
+ * - Every finished match updates the skill rating of the account players
+ *   in it (see rating.js); the best are listed by the leaderboard API
+ * 
+ * REPLAYS:
+ * - Every match is recorded to recordings/ (see recorder.js) and served to
+ *   the replay viewer (replay.html) through the replay API
+ * 
+ * SIMULATION LOOP:
+ * - Socket handlers only queue inputs; nothing mutates state outside the tick
+ * - Each room runs a fixed-rate loop (TICK_RATE Hz) that lets the engine
+ *   drain input queues in arrival order and advance timers, then sends one
+ *   snapshot per client
  * 
  * DATA MINIMIZATION STRATEGY:
- * - Only send position updates when players move (event-driven)
+ * - One snapshot per tick instead of a broadcast per input message
+ * - Snapshots are binary deltas against the last snapshot the client
+ *   acknowledged, keyed by one-byte entity ids instead of socket ids
  * - Use compact data structures (Maps instead of arrays)
  * - Aggregate multiple tile explorations into single messages
  * - Timestamp-based conflict resolution avoids redundant state sync
  */
 
+
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    PLAYER_RADIUS, MAX_NET_ID, SESSION_GRACE_PERIOD,
+    DEFAULT_RULES, GAME_MODES, sanitizeRules, getModeList,
+    createRoom, checkCollision, findUnreachable, getVisibleGameState,
+    queuePlayerInput, advanceRoom, resetGame,
+    isTeamMode, getTeammates, getScoreKey, getRoomCapacity, getFreeBaseIds, allocateBaseSlot, getHumanCount,
+    fillBots, makeRoomForHuman, createPlayer, addPlayer, markPlayerAway, resumePlayer, removePlayer
+} = require('./engine');
+const { captureViewState, encodeSnapshot } = require('./snapshot');
+const { startRecording, recordTick, stopRecording, listRecordings, getRecordingPath } = require('./recorder');
+const {
+    loadAccounts, saveAccounts, getAccountKey, getAccount, login, issueToken, findAccountByToken,
+    revokeToken, recordMatch, recordRating, getPublicProfile, getLeaderboard
+} = require('./accounts');
+const { getRatingChanges, getAbandonChanges } = require('./rating');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,400 +110,816 @@ const PORT = process.env.PORT || 3000;
 // ============================================================================
 // GAME CONSTANTS - Tuned for balanced gameplay
 // ============================================================================
-const MAX_SCORE = 3;                    // Win condition
-const MAX_SPEED = 5;                    // Pixels per movement update
-const RELIC_GRAB_RANGE = 100;           // Pickup radius (increased from 60)
-const BASE_CAPTURE_RANGE = 100;         // Scoring radius (increased from 75)
-const PLAYER_RADIUS = 17;               // Collision size
-const RELIC_RESPAWN_DELAY = 5000;       // 5 seconds between captures
-const GAME_RESET_DELAY = 10000;         // 10 seconds after game end
+const MAX_CHAT_LENGTH = 100;            // Matches the chat input maxlength
+const TICK_RATE = 30;                   // Simulation ticks per second
+const TICK_INTERVAL = 1000 / TICK_RATE; // Milliseconds per tick
+const SNAPSHOT_HISTORY = 64;            // Sent snapshots kept per client as delta baselines (~2s)
+const MAX_ROOM_NAME_LENGTH = 24;        // Lobby display limit
+const UNSAFE_NAME_PATTERN = /[<>&"'`\u0000-\u001f]/; // Player and room names: plain text
+const LOBBY_CHANNEL = 'lobby';          // Socket.IO room for sockets browsing rooms
+const MAPS_DIR = path.join(__dirname, 'maps');
+const DEFAULT_MAP = 'default';          // maps/default.json
+const MAX_MAP_SIZE = 6500;              // Positions are sent as u16 at 0.1px precision
+const MAX_MAP_OBSTACLES = 150;          // Keeps the reachability check in validateMap fast
+const EDITOR_MAX_MAP_SIZE = 2000;       // Editor maps are validated on request; keep that well under 0.2s
+const MAP_NAME_PATTERN = /^[^<>&"'`\u0000-\u001f]{1,40}$/; // Map and base names: plain text
+const MAP_EDITOR_KEY = process.env.MAP_EDITOR_KEY || null; // Lets other machines save maps (see MAP EDITOR API)
+const GENERATED_MAP_ID = 'generated';   // Pseudo map id: build a map from a seed
+const RECORDINGS_DIR = path.join(__dirname, 'recordings'); // Match logs for the replay viewer
+const ACCOUNTS_FILE = path.join(__dirname, 'data', 'accounts.json');
 
 // ============================================================================
-// AUTHORITATIVE GAME STATE - Single Source of Truth
+// AUTHORITATIVE GAME STATE - One Source of Truth per Room
 // ============================================================================
 
 /**
- * PlayerMap: Stores all active players
- * Key: socket.id (string)
- * Value: { id, name, x, y, score, hasRelic, baseId, color }
+ * Rooms: All running matches
+ * Key: room id (number)
+ * Value: room object created by openRoom()
+ */
+const Rooms = new Map();
+let nextRoomId = 1;
+
+/**
+ * Sessions: Resume tokens for players currently holding a slot
+ * Key: session token (random hex string)
+ * Value: { roomId, playerId }
  */
-const PlayerMap = new Map();
+const Sessions = new Map();
 
 /**
- * ScoreMap: Tracks player scores separately for efficient lookup
- * Key: socket.id (string)
- * Value: score (number)
+ * Accounts: Registered players and their career stats (see accounts.js)
+ * A logged-in socket carries its account key in socket.data.accountKey;
+ * players joined from it carry the same key as player.accountKey
+ * A damaged accounts file with no usable backup stops the server here
  */
-const ScoreMap = new Map();
+let Accounts;
+try {
+    Accounts = loadAccounts(ACCOUNTS_FILE);
+} catch (err) {
+    console.log(`❌ ${err.message}`);
+    process.exit(1);
+}
 
 /**
- * GlobalExploredTiles: Tracks which tiles have been discovered
- * Used to initialize new players with existing exploration data
- * Format: Set of strings like "x:10,y:20"
+ * OPEN A ROOM
+ * The room's game state comes from the engine (see createRoom in
+ * engine.js); the server adds the network side:
+ * - channel: Socket.IO room name used for room-wide broadcasts
+ * - timer: the room's tick interval
+ * - recording: the log of the match being played (see recorder.js)
  */
-const GlobalExploredTiles = new Set();
+function openRoom(name, map = Maps.get(DEFAULT_MAP), rules = DEFAULT_RULES) {
+    const room = createRoom(nextRoomId++, name, map, rules, { sink: SOCKET_SINK });
+    room.channel = `room:${room.id}`;
+    room.timer = setInterval(() => runTick(room), TICK_INTERVAL);
+    room.recording = startRecording(room, RECORDINGS_DIR, TICK_RATE);
+    Rooms.set(room.id, room);
+    return room;
+}
 
 /**
- * RelicState: The objective item state
- * - position: {x, y} coordinates
- * - isHeld: boolean
- * - holderId: socket.id of holder (or null)
- * - isRespawning: prevents pickup during respawn delay
+ * Engine event sink (see EVENT SINK in engine.js) backed by Socket.IO
+ * Players without a socket (bots, away players) receive nothing
  */
-let RelicState = {
-    position: { x: 500, y: 500 },
-    isHeld: false,
-    holderId: null,
-    isRespawning: false
+const SOCKET_SINK = {
+    send(room, viewer, type, data) {
+        if (viewer.socketId) io.to(viewer.socketId).emit(type, data);
+    },
+    broadcast(room, type, data) {
+        io.to(room.channel).emit(type, data);
+    },
+    playerRemoved(room, player) {
+        if (player.snapshotsSent > 0) {
+            console.log(`📶 Sent ${(player.bytesSent / 1024).toFixed(1)} KB of snapshots (avg ${Math.round(player.bytesSent / player.snapshotsSent)} B/tick)`);
+        }
+        Sessions.delete(player.sessionToken);
+
+        if (room.resetAt === null && player.accountKey) recordAbandonedMatch(room, player);
+
+        // EDGE CASE: Last human leaves -> room is closed (bots go with it)
+        if (getHumanCount(room) === 0) {
+            destroyRoom(room);
+        }
+        broadcastRoomList();
+    },
+    ticked(room, inputs, events) {
+        if (room.recording) recordTick(room.recording, room, inputs, events);
+    },
+    matchStarted(room) {
+        // Every match gets its own recording
+        stopRecording(room.recording, room);
+        room.recording = startRecording(room, RECORDINGS_DIR, TICK_RATE);
+    },
+    matchEnded(room, result) {
+        const changes = getRatingChanges(getRatingEntries(result.players));
+        result.players.forEach(entry => recordAccountMatch(entry.player, entry, changes.get(entry.player.id)));
+    }
 };
 
-// ============================================================================
-// MAP CONFIGURATION - Defines playable space
-// ============================================================================
+/**
+ * Add a match to the player's account (guests and bots have none) and
+ * show the player their new totals
+ * ratingChange is undefined when the match was not rated for them
+ */
+function recordAccountMatch(player, result, ratingChange) {
+    const account = player.accountKey ? Accounts.accounts.get(player.accountKey) : null;
+    if (!account) return;
+    recordMatch(Accounts, account, result);
+    if (ratingChange !== undefined) {
+        recordRating(Accounts, account, ratingChange);
+        console.log(`📈 ${account.name}: ${ratingChange >= 0 ? '+' : ''}${ratingChange} -> ${account.rating}`);
+    }
+    if (player.socketId) io.to(player.socketId).emit('accountStats', getPublicProfile(account));
+}
 
 /**
- * BASE_POSITIONS: Home bases for each player
- * Players must return relic here to score
+ * Walking out of a match still counts as playing it - and as losing to
+ * every account player of another side still in the room, who gain what
+ * the leaver loses (see getAbandonChanges). With no rated opponent
+ * nothing is recorded: there was nobody to walk out on
  */
-const BASE_POSITIONS = {
-    player1: { x: 100, y: 100, w: 100, h: 100, color: '#3498db' },
-    player2: { x: 900, y: 900, w: 100, h: 100, color: '#2ecc71' },
-    player3: { x: 900, y: 100, w: 100, h: 100, color: '#e74c3c' },
-    player4: { x: 100, y: 900, w: 100, h: 100, color: '#f39c12' }
-};
+function recordAbandonedMatch(room, player) {
+    const toStanding = (p) => ({ player: p, scoreKey: getScoreKey(room, p), score: 0 });
+    const [leaver] = getRatingEntries([toStanding(player)]);
+    if (!leaver) return;
+    const others = getRatingEntries(Array.from(room.players.values()).map(toStanding));
+    const changes = getAbandonChanges(leaver, others);
+    if (!changes.has(player.id)) return;
+
+    recordAccountMatch(player, { won: false, stats: player.matchStats }, changes.get(player.id));
+    others.forEach(entry => {
+        if (!changes.has(entry.id)) return;
+        const opponent = room.players.get(entry.id);
+        const account = Accounts.accounts.get(opponent.accountKey);
+        // Their own match goes on and is rated when it ends
+        recordRating(Accounts, account, changes.get(entry.id), false);
+        console.log(`📈 ${account.name}: +${changes.get(entry.id)} -> ${account.rating} (${player.name} walked out)`);
+        if (opponent.socketId) io.to(opponent.socketId).emit('accountStats', getPublicProfile(account));
+    });
+}
 
 /**
- * OBSTACLES: Static collision boxes that block movement
- * Format: { x, y, w, h } - center point and dimensions
+ * RATED PLAYERS
+ * Match standings ([{ player, scoreKey, score }], like matchEnded's) in
+ * the form rating.js takes: [{ id, rating, ratedMatches, score, side }]
+ * Only account players are rated, against each other: beating bots or
+ * throwaway guest tabs proves nothing
  */
-const OBSTACLES = [
-    { x: 300, y: 300, w: 80, h: 80 },
-    { x: 700, y: 700, w: 120, h: 60 },
-    { x: 500, y: 200, w: 60, h: 100 },
-    { x: 200, y: 700, w: 100, h: 50 }
-];
+function getRatingEntries(players) {
+    return players
+        .map(entry => ({ ...entry, account: entry.player.accountKey ? Accounts.accounts.get(entry.player.accountKey) : null }))
+        .filter(entry => entry.account)
+        .map(({ player, account, scoreKey, score }) => ({
+            id: player.id,
+            rating: account.rating,
+            ratedMatches: account.ratedMatches,
+            score: score,
+            side: scoreKey
+        }));
+}
+
+/**
+ * Stop a room's timers and forget it (called once it has no humans)
+ * Remaining spectators are sent back to the lobby
+ */
+function destroyRoom(room) {
+    clearInterval(room.timer);
+    Rooms.delete(room.id);
+    stopRecording(room.recording, room);
+    room.recording = null;
+
+    room.spectators.forEach(spectator => {
+        const socket = io.sockets.sockets.get(spectator.socketId);
+        if (!socket) return;
+        detachSocket(room, socket);
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('roomClosed', { roomId: room.id });
+    });
+    room.spectators.clear();
+
+    console.log(`🏚️  Closed ${room.name}`);
+}
 
 // ============================================================================
-// HELPER FUNCTIONS - Validation and Utilities
+// MAP LOADING - Data-Driven Playable Space
 // ============================================================================
 
 /**
- * Calculate Euclidean distance between two points
- * Used for proximity checks (relic grabbing, base scoring)
+ * Maps: Every valid map found in MAPS_DIR at startup
+ * Key: map id (file name without .json)
+ * Value: validated map object (with its id)
  */
-function getDistance(p1, p2) {
-    return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+const Maps = new Map();
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isRect(value) {
+    return value !== null && typeof value === 'object' &&
+        isFiniteNumber(value.x) && isFiniteNumber(value.y) &&
+        isFiniteNumber(value.w) && isFiniteNumber(value.h) &&
+        value.w > 0 && value.h > 0;
+}
+
+function isPoint(value) {
+    return value !== null && typeof value === 'object' &&
+        isFiniteNumber(value.x) && isFiniteNumber(value.y);
 }
 
 /**
- * AUTHORITATIVE COLLISION DETECTION
- * Validates proposed player positions against:
- * 1. Map boundaries (0-1000)
- * 2. Static obstacles (AABB collision)
- * 
- * Returns: true if collision detected (movement invalid)
+ * MAP VALIDATION
+ * Returns a list of human-readable problems (empty when the map is valid)
+ * Checks shape and types, that every base center and relic spawn
+ * is a legal position (inside the bounds and clear of obstacles), and
+ * that every base can walk to every relic spawn
+ * maxSize: largest width/height accepted (smaller for editor requests)
  */
-function checkCollision(newX, newY) {
-    // Boundary check - keep players inside 1000x1000 map
-    if (newX < PLAYER_RADIUS || newX > 1000 - PLAYER_RADIUS || 
-        newY < PLAYER_RADIUS || newY > 1000 - PLAYER_RADIUS) {
-        return true; 
-    }
+function validateMap(map, maxSize = MAX_MAP_SIZE) {
+    const errors = [];
+    if (map === null || typeof map !== 'object') return ['map must be an object'];
 
-    // Obstacle collision using Axis-Aligned Bounding Box (AABB)
-    for (const obs of OBSTACLES) {
-        const obsLeft = obs.x - obs.w / 2;
-        const obsRight = obs.x + obs.w / 2;
-        const obsTop = obs.y - obs.h / 2;
-        const obsBottom = obs.y + obs.h / 2;
-
-        const playerLeft = newX - PLAYER_RADIUS;
-        const playerRight = newX + PLAYER_RADIUS;
-        const playerTop = newY - PLAYER_RADIUS;
-        const playerBottom = newY + PLAYER_RADIUS;
-
-        // Check if rectangles overlap
-        if (playerRight > obsLeft && playerLeft < obsRight && 
-            playerBottom > obsTop && playerTop < obsBottom) {
-            return true; // Collision detected
+    if (typeof map.name !== 'string' || map.name.trim() === '' || !MAP_NAME_PATTERN.test(map.name)) {
+        errors.push('name must be 1-40 characters without < > & " \' or `');
+    }
+    ['width', 'height'].forEach(key => {
+        if (!isFiniteNumber(map[key]) || map[key] < PLAYER_RADIUS * 4 || map[key] > maxSize) {
+            errors.push(`${key} must be a number between ${PLAYER_RADIUS * 4} and ${maxSize}`);
         }
+    });
+    if (!isFiniteNumber(map.tileSize) || map.tileSize < 10) errors.push('tileSize must be a number >= 10');
+
+    if (!Array.isArray(map.obstacles) || !map.obstacles.every(isRect)) {
+        errors.push('obstacles must be an array of { x, y, w, h } with positive sizes');
+    } else if (map.obstacles.length > MAX_MAP_OBSTACLES) {
+        errors.push(`maps can have at most ${MAX_MAP_OBSTACLES} obstacles`);
+    }
+    if (map.bases === null || typeof map.bases !== 'object' || Array.isArray(map.bases)) {
+        errors.push('bases must be an object keyed by base id');
+    } else {
+        const baseIds = Object.keys(map.bases);
+        if (baseIds.length < 1 || baseIds.length > MAX_NET_ID) errors.push(`bases must have 1-${MAX_NET_ID} entries`);
+        baseIds.forEach(baseId => {
+            const base = map.bases[baseId];
+            if (!isRect(base)) {
+                errors.push(`base ${baseId} must have x, y, w, h`);
+            } else if (typeof base.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(base.color)) {
+                errors.push(`base ${baseId} color must look like #rrggbb`);
+            } else if (typeof base.name !== 'string' || !MAP_NAME_PATTERN.test(base.name)) {
+                errors.push(`base ${baseId} name must be 1-40 characters without < > & " ' or \``);
+            }
+        });
+    }
+    if (!Array.isArray(map.relicSpawns) || map.relicSpawns.length < 1 || !map.relicSpawns.every(isPoint)) {
+        errors.push('relicSpawns must be a non-empty array of { x, y }');
+    }
+
+    // Positions can only be checked once the shape is right
+    if (errors.length > 0) return errors;
+
+    Object.entries(map.bases).forEach(([baseId, base]) => {
+        if (checkCollision(map, base.x, base.y)) errors.push(`base ${baseId} spawn point is blocked or out of bounds`);
+    });
+    map.relicSpawns.forEach((spawn, i) => {
+        if (checkCollision(map, spawn.x, spawn.y)) errors.push(`relic spawn ${i} is blocked or out of bounds`);
+    });
+    if (errors.length > 0) return errors;
+
+    findUnreachable(map).forEach(({ baseId, spawnIndex }) => {
+        errors.push(`base ${baseId} has no walkable path to relic spawn ${spawnIndex}`);
+    });
+    return errors;
+}
+
+/**
+ * Load every maps/*.json file, skipping (and reporting) invalid ones
+ * The default map is required: the server refuses to start without it
+ */
+function loadMaps() {
+    fs.readdirSync(MAPS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const mapId = path.basename(file, '.json');
+            let map;
+            try {
+                map = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8'));
+            } catch (err) {
+                console.log(`⚠️  Skipping map ${file}: ${err.message}`);
+                return;
+            }
+
+            const errors = validateMap(map);
+            if (errors.length > 0) {
+                console.log(`⚠️  Skipping map ${file}:\n   - ${errors.join('\n   - ')}`);
+                return;
+            }
+
+            Maps.set(mapId, { id: mapId, ...map });
+            console.log(`🗺️  Loaded map ${mapId} (${map.name}, ${Object.keys(map.bases).length} bases)`);
+        });
+
+    if (!Maps.has(DEFAULT_MAP)) {
+        throw new Error(`Default map ${DEFAULT_MAP}.json is missing or invalid`);
     }
-    return false; // No collision
 }
 
 // ============================================================================
-// GAME LOGIC HANDLERS - Server-Authoritative Actions
+// MAP GENERATION - Seeded Procedural Layouts
 // ============================================================================
 
+const GENERATED_MAP_SIZE = 1000;
+const GENERATED_OBSTACLE_ATTEMPTS = 40;   // Candidate obstacles tried per map
+const GENERATED_OBSTACLES = [8, 16];      // Min/max obstacles on a generated map
+const GENERATED_BASE_INSET = 100;         // Base centers sit this far from the edges
+const GENERATED_CLEARANCE = 70;           // Free space kept around bases and spawns
+const GENERATED_BASES = [
+    { id: 'player1', corner: [0, 0], color: '#3498db', name: 'BLUE BASE' },
+    { id: 'player2', corner: [1, 1], color: '#2ecc71', name: 'GREEN BASE' },
+    { id: 'player3', corner: [1, 0], color: '#e74c3c', name: 'RED BASE' },
+    { id: 'player4', corner: [0, 1], color: '#f39c12', name: 'YELLOW BASE' }
+];
+
 /**
- * MOVEMENT HANDLER
- * Processes player movement requests with validation
- * 
- * Input: { id, dir (N/S/E/W), timestamp }
- * Validation: Speed limits, collision detection
- * Output: Broadcast updated positions to all clients
- * 
- * DATA MINIMIZATION: Only broadcasts when movement is valid
+ * Small deterministic PRNG (mulberry32): same seed -> same map everywhere
+ * Returns a function yielding floats in [0, 1)
  */
-function handlePlayerMove(data) {
-    const player = PlayerMap.get(data.id);
-    if (!player) {
-        console.log(`⚠️  Movement from unknown player: ${data.id}`);
-        return;
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Parse a user-supplied seed; anything unusable gets a fresh random seed
+ */
+function normalizeSeed(seed) {
+    const value = Number(seed);
+    if (seed !== null && seed !== '' && Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF) {
+        return value;
     }
+    return crypto.randomInt(0, 2 ** 31);
+}
+
+/**
+ * PROCEDURAL MAP GENERATOR
+ * Builds a map in the standard format from a seed:
+ * - Four corner bases and a center relic spawn (plus extra spawns)
+ * - Obstacles are proposed one at a time and kept only if the map still
+ *   passes validateMap, so every base can always reach every relic spawn
+ * - symmetric: obstacles and spawns are mirrored into all four quadrants,
+ *   giving every base the same surroundings
+ */
+function generateMap(seed, symmetric) {
+    const random = createRandom(seed);
+    const size = GENERATED_MAP_SIZE;
+    const between = (min, max) => min + random() * (max - min);
+
+    const bases = {};
+    GENERATED_BASES.forEach(({ id, corner, color, name }) => {
+        bases[id] = {
+            x: corner[0] ? size - GENERATED_BASE_INSET : GENERATED_BASE_INSET,
+            y: corner[1] ? size - GENERATED_BASE_INSET : GENERATED_BASE_INSET,
+            w: 100,
+            h: 100,
+            color: color,
+            name: name
+        };
+    });
 
-    let deltaX = 0;
-    let deltaY = 0;
+    // Mirror a rect/point into every quadrant (or leave it alone)
+    const mirror = (shape) => {
+        if (!symmetric) return [shape];
+        return [
+            shape,
+            { ...shape, x: size - shape.x },
+            { ...shape, y: size - shape.y },
+            { ...shape, x: size - shape.x, y: size - shape.y }
+        ];
+    };
 
-    // Use deltas if provided (more accurate), otherwise use direction
-    if (data.dx !== undefined && data.dy !== undefined) {
-        deltaX = data.dx;
-        deltaY = data.dy;
-        console.log(`📍 ${player.name} moving with deltas: dx=${deltaX}, dy=${deltaY}`);
+    // Center spawn plus extras: one per quadrant when symmetric, two anywhere otherwise
+    const relicSpawns = [{ x: size / 2, y: size / 2 }];
+    if (symmetric) {
+        const offset = Math.round(between(250, 350));
+        relicSpawns.push(...mirror({ x: offset, y: offset }));
     } else {
-        // Fallback to direction-based movement
-        if (data.dir === 'N') deltaY = -MAX_SPEED;
-        if (data.dir === 'S') deltaY = MAX_SPEED;
-        if (data.dir === 'E') deltaX = MAX_SPEED;
-        if (data.dir === 'W') deltaX = -MAX_SPEED;
-    }
-    
-    // Validate movement exists
-    if (deltaX === 0 && deltaY === 0) {
-        console.log(`⚠️  No movement for ${player.name}`);
-        return; // No movement, don't broadcast
+        for (let i = 0; i < 2; i++) {
+            relicSpawns.push({ x: Math.round(between(200, 800)), y: Math.round(between(200, 800)) });
+        }
     }
-    
-    // Calculate proposed new position
-    const newX = player.x + deltaX;
-    const newY = player.y + deltaY;
-
-    // AUTHORITATIVE VALIDATION: Check collision
-    if (checkCollision(newX, newY)) {
-        console.log(`🚫 Collision detected for ${player.name} at (${Math.floor(newX)}, ${Math.floor(newY)})`);
-        // Invalid move - server rejects without broadcasting
-        // Client prediction will be corrected on next valid update
-        return;
+
+    const map = {
+        name: `${symmetric ? 'Symmetric' : 'Wild'} #${seed}`,
+        seed: seed,
+        symmetric: symmetric,
+        width: size,
+        height: size,
+        tileSize: 50,
+        bases: bases,
+        obstacles: [],
+        relicSpawns: relicSpawns
+    };
+
+    // Keep the area around bases and spawns open
+    const keepClear = Object.values(bases).concat(relicSpawns);
+    const blocksKeyArea = (obs) => keepClear.some(point =>
+        Math.abs(point.x - obs.x) < obs.w / 2 + GENERATED_CLEARANCE &&
+        Math.abs(point.y - obs.y) < obs.h / 2 + GENERATED_CLEARANCE);
+
+    const limit = symmetric ? size / 2 : size;
+    const target = Math.round(between(GENERATED_OBSTACLES[0], GENERATED_OBSTACLES[1]));
+    for (let i = 0; i < GENERATED_OBSTACLE_ATTEMPTS && map.obstacles.length < target; i++) {
+        const candidate = {
+            x: Math.round(between(40, limit - 20)),
+            y: Math.round(between(40, limit - 20)),
+            w: Math.round(between(40, 140)),
+            h: Math.round(between(40, 140))
+        };
+        const pieces = mirror(candidate);
+        if (pieces.some(blocksKeyArea)) continue;
+
+        map.obstacles.push(...pieces);
+        if (validateMap(map).length > 0) {
+            map.obstacles.length -= pieces.length;
+        }
     }
 
-    // Update authoritative position
-    player.x = newX;
-    player.y = newY;
-    
-    console.log(`✅ ${player.name} moved to (${Math.floor(newX)}, ${Math.floor(newY)})`);
-    
-    // Broadcast updated state to ALL clients
-    const playersUpdate = Array.from(PlayerMap.values()).map(p => ({
-        id: p.id,
-        x: Math.floor(p.x),
-        y: Math.floor(p.y),
-        hasRelic: p.hasRelic,
-        timestamp: Date.now()
-    }));
-    
-    io.emit('playerUpdate', playersUpdate);
+    return map;
 }
 
 /**
- * RELIC GRAB HANDLER
- * Handles attempts to pick up the relic
- * 
- * CONFLICT RESOLUTION: Uses timestamp to resolve simultaneous grabs
- * If multiple players attempt within same frame, earliest timestamp wins
+ * Map for a new room: a loaded map by id, or a generated one
  */
-function handleRelicAttempt(data) {
-    const player = PlayerMap.get(data.id);
-    
-    // Validation checks
-    if (!player) {
-        console.log(`⚠️  Relic attempt from unknown player: ${data.id}`);
-        return;
-    }
-    
-    if (RelicState.isHeld) {
-        console.log(`⚠️  ${player.name} tried to grab held relic`);
-        return; // Relic already taken
-    }
-    
-    if (RelicState.isRespawning) {
-        console.log(`⚠️  ${player.name} tried to grab respawning relic`);
-        return; // Relic is respawning
+function resolveRoomMap(data) {
+    if (data.mapId === GENERATED_MAP_ID) {
+        const seed = normalizeSeed(data.seed);
+        const map = { id: GENERATED_MAP_ID, ...generateMap(seed, !!data.symmetric) };
+        console.log(`🎲 Generated ${map.name} (${map.obstacles.length} obstacles)`);
+        return map;
     }
+    return Maps.get(data.mapId) || Maps.get(DEFAULT_MAP);
+}
 
-    // PROXIMITY CHECK: Player must be close enough
-    const dist = getDistance(player, RelicState.position);
-    console.log(`🎯 ${player.name} at (${Math.floor(player.x)}, ${Math.floor(player.y)}) attempting grab`);
-    console.log(`   Relic at (${Math.floor(RelicState.position.x)}, ${Math.floor(RelicState.position.y)})`);
-    console.log(`   Distance: ${Math.floor(dist)} (max: ${RELIC_GRAB_RANGE})`);
-    
-    if (dist > RELIC_GRAB_RANGE) {
-        console.log(`⚠️  ${player.name} too far from relic (${Math.floor(dist)} > ${RELIC_GRAB_RANGE})`);
-        console.log(`   Move ${Math.floor(dist - RELIC_GRAB_RANGE)} pixels closer!`);
-        return;
-    }
+// ============================================================================
+// HELPER FUNCTIONS - Validation and Utilities
+// ============================================================================
 
-    // SUCCESSFUL GRAB - Update authoritative state
-    RelicState.isHeld = true;
-    RelicState.holderId = player.id;
-    player.hasRelic = true;
+/**
+ * Resolve the room a socket is playing in (null while in the lobby)
+ */
+function getSocketRoom(socket) {
+    return Rooms.get(socket.data.roomId) || null;
+}
 
-    console.log(`✨ ${player.name} grabbed the relic!`);
+/**
+ * Resolve the player owned by a socket
+ * Actions are always bound to the sender - client-supplied ids are ignored
+ */
+function getSocketPlayer(socket) {
+    const room = getSocketRoom(socket);
+    return room ? room.players.get(socket.data.playerId) : undefined;
+}
 
-    // Broadcast relic status change
-    io.emit('relicStatus', {
-        isHeld: RelicState.isHeld,
-        holderId: RelicState.holderId,
-        position: RelicState.position,
-        timestamp: Date.now()
-    });
+/**
+ * Resolve whoever receives snapshots on a socket: player or spectator
+ */
+function getSocketViewer(socket) {
+    const room = getSocketRoom(socket);
+    if (!room) return undefined;
+    return room.players.get(socket.data.playerId) || room.spectators.get(socket.id);
+}
 
-    // Broadcast player state update (hasRelic flag changed)
-    io.emit('playerUpdate', Array.from(PlayerMap.values()).map(p => ({
-        id: p.id,
-        x: Math.floor(p.x),
-        y: Math.floor(p.y),
-        hasRelic: p.hasRelic,
-        timestamp: Date.now()
-    })));
+/**
+ * Resolve the account a socket is logged in to (null for guests)
+ */
+function getSocketAccount(socket) {
+    return Accounts.accounts.get(socket.data.accountKey) || null;
 }
 
 /**
- * BASE SCORING HANDLER
- * Handles attempts to score the relic at player's base
- * 
- * WIN CONDITION: First player to reach MAX_SCORE wins
- * GAME FLOW: Relic respawns after delay, or game resets if someone wins
+ * Log a socket in and hand the client its profile and login token
  */
-function handleBaseAttempt(data) {
-    const player = PlayerMap.get(data.id);
-    
-    // Validation
-    if (!player) {
-        console.log(`⚠️  Base attempt from unknown player: ${data.id}`);
-        return;
+function signInSocket(socket, account, token, created) {
+    socket.data.accountKey = getAccountKey(account.name);
+    console.log(`👤 ${account.name} logged in on ${socket.id}`);
+    socket.emit('account', { ...getPublicProfile(account), token: token, created: created });
+}
+
+// ============================================================================
+// WIRE FORMAT - Binary Delta Snapshots (layout in snapshot.js)
+// ============================================================================
+
+/**
+ * Send this tick's snapshot to one recipient
+ * Deltas are taken against the newest snapshot the client acknowledged;
+ * without a usable baseline a full snapshot is sent instead
+ */
+function sendSnapshot(room, viewer, events, now) {
+    if (!viewer.socketId) return; // Away - a full snapshot follows on resume
+
+    const state = captureViewState(room, viewer);
+    const baseline = viewer.snapshotHistory.get(viewer.ackedTick) || null;
+    const buffer = encodeSnapshot(room, viewer, state, baseline, viewer.ackedTick, events, now);
+
+    viewer.snapshotHistory.set(room.tick, state);
+    if (viewer.snapshotHistory.size > SNAPSHOT_HISTORY) {
+        viewer.snapshotHistory.delete(viewer.snapshotHistory.keys().next().value);
     }
-    
-    if (!player.hasRelic) {
-        console.log(`⚠️  ${player.name} tried to score without relic`);
-        return;
+    viewer.bytesSent += buffer.length;
+    viewer.snapshotsSent++;
+
+    io.to(viewer.socketId).emit('snapshot', buffer);
+}
+
+/**
+ * SNAPSHOT ACK HANDLER
+ * Client confirms it decoded a tick; that tick becomes the delta baseline
+ * Older history can never be referenced again, so it is dropped
+ */
+function handleSnapshotAck(socket, data) {
+    const viewer = getSocketViewer(socket);
+    if (!viewer || !data || !Number.isInteger(data.tick)) return;
+    if (data.tick <= viewer.ackedTick || !viewer.snapshotHistory.has(data.tick)) return;
+
+    viewer.ackedTick = data.tick;
+    for (const tick of viewer.snapshotHistory.keys()) {
+        if (tick >= data.tick) break;
+        viewer.snapshotHistory.delete(tick);
     }
+}
 
-    // Find player's assigned base
-    const playerBase = BASE_POSITIONS[player.baseId];
-    if (!playerBase) {
-        console.log(`⚠️  No base found for ${player.name} (${player.baseId})`);
+// ============================================================================
+// SIMULATION LOOP - Fixed-Rate Tick
+// ============================================================================
+
+/**
+ * INPUT QUEUE
+ * Socket handlers call this instead of touching game state directly
+ * (see queuePlayerInput in engine.js)
+ */
+function queueInput(socket, type, data) {
+    const player = getSocketPlayer(socket);
+    if (!player) {
+        console.log(`⚠️  ${type} input from unknown player: ${socket.id}`);
         return;
     }
 
-    // PROXIMITY CHECK: Must be at their base
-    const dist = getDistance(player, playerBase);
-    if (dist > BASE_CAPTURE_RANGE) {
-        console.log(`⚠️  ${player.name} too far from base (${Math.floor(dist)} > ${BASE_CAPTURE_RANGE})`);
-        return;
+    queuePlayerInput(getSocketRoom(socket), player, type, data);
+}
+
+/**
+ * TICK (one per room, run by the room's interval)
+ * 1. advanceRoom: bots, queued inputs and timers (see engine.js)
+ * 2. Send one fogged, delta-compressed snapshot per player (unfogged for spectators)
+ */
+function runTick(room) {
+    const events = advanceRoom(room);
+    const now = room.now();
+    room.players.forEach(viewer => sendSnapshot(room, viewer, events, now));
+    room.spectators.forEach(viewer => sendSnapshot(room, viewer, events, now));
+}
+
+// ============================================================================
+// LOBBY - Room Membership
+// ============================================================================
+
+/**
+ * Public base list of a map (lobby colour picker)
+ */
+function getBaseList(map) {
+    return Object.entries(map.bases).map(([id, base]) => ({ id, ...base }));
+}
+
+/**
+ * Maps offered when creating a room
+ */
+function getMapList() {
+    return Array.from(Maps.values()).map(map => ({
+        id: map.id,
+        name: map.name,
+        maxPlayers: Object.keys(map.bases).length
+    })).concat({ id: GENERATED_MAP_ID, name: 'Procedural', maxPlayers: GENERATED_BASES.length });
+}
+
+/**
+ * Public room summaries shown in the lobby
+ * Bots don't count against joining: players is the human count
+ */
+function getRoomList() {
+    return Array.from(Rooms.values()).map(room => ({
+        id: room.id,
+        name: room.name,
+        mapName: room.map.name,
+        modeName: GAME_MODES[room.rules.mode].name,
+        players: getHumanCount(room),
+        bots: room.players.size - getHumanCount(room),
+        maxPlayers: getRoomCapacity(room),
+        spectators: room.spectators.size,
+        freeBases: getFreeBaseIds(room, true).map(baseId => ({ id: baseId, color: room.map.bases[baseId].color }))
+    }));
+}
+
+/**
+ * Push the current room list to every socket browsing the lobby
+ */
+function broadcastRoomList() {
+    io.to(LOBBY_CHANNEL).emit('roomList', getRoomList());
+}
+
+/**
+ * First room with a free slot, or a freshly created one when all are full
+ */
+function findOpenRoom() {
+    for (const room of Rooms.values()) {
+        if (getHumanCount(room) < getRoomCapacity(room)) return room;
     }
+    return openRoom();
+}
+
+/**
+ * Socket payloads come straight from clients: anything but a plain object
+ * (null, a number, an array) reads as an empty one
+ */
+function readPayload(data) {
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
 
-    // SUCCESSFUL SCORE! - Update score
-    let currentScore = ScoreMap.get(player.id) || 0;
-    currentScore++;
-    ScoreMap.set(player.id, currentScore);
+/**
+ * Trim a user-supplied room or player name to something displayable
+ */
+function sanitizeName(name, maxLength) {
+    if (typeof name !== 'string') return '';
+    return name.trim().slice(0, maxLength);
+}
 
-    console.log(`⭐ ${player.name} SCORED! (${currentScore}/${MAX_SCORE})`);
+/**
+ * Player and room names are shown to everyone in the room: refuse the
+ * characters HTML cares about instead of quietly changing the name
+ * Returns true after telling the sender what was wrong
+ */
+function rejectUnsafeNames(socket, ...names) {
+    if (!names.some(name => typeof name === 'string' && UNSAFE_NAME_PATTERN.test(name))) return false;
+    socket.emit('error', { message: 'Names cannot contain < > & " \' or `' });
+    return true;
+}
 
-    // Reset relic state
-    player.hasRelic = false;
-    RelicState.isHeld = false;
-    RelicState.holderId = null;
-    RelicState.isRespawning = true;
+/**
+ * Name a socket joins rooms under: its account name when logged in
+ * Guests cannot pose as a registered player, they are marked instead
+ */
+function resolvePlayerName(socket, name) {
+    const account = getSocketAccount(socket);
+    if (account) return account.name;
+    const requested = sanitizeName(name, MAX_CHAT_LENGTH);
+    return requested && getAccount(Accounts, requested) ? `${requested} (guest)` : requested;
+}
 
-    // Check win condition
-    let winningPlayer = null;
-    if (currentScore >= MAX_SCORE) {
-        winningPlayer = player.id;
-        console.log(`🏆 ${player.name} WINS THE GAME!`);
+/**
+ * ADD PLAYER TO ROOM
+ * Moves the socket from the lobby channel into the room channel
+ * 
+ * EDGE CASE HANDLING:
+ * - Rejects if the room is full (every base taken by humans)
+ * - A bot gives up its slot if that is the only way in, or if it holds
+ *   the preferred base
+ * - Assigns a free base and its color, honouring the preferred base if free
+ * - First player in becomes the room host
+ * - Sends fogged game state to the new player only
+ * - Notifies existing players in the room of the new arrival
+ */
+function addPlayerToRoom(room, socket, name, preferredBaseId) {
+    // Claim a free base slot
+    makeRoomForHuman(room, preferredBaseId);
+    const baseId = allocateBaseSlot(room, preferredBaseId);
+    if (!baseId) {
+        const capacity = getRoomCapacity(room);
+        console.log(`⛔ ${room.name} full, rejecting ${socket.id}`);
+        socket.emit('error', { message: `Room is full (${capacity}/${capacity} players)` });
+        return false;
     }
+    const base = room.map.bases[baseId];
+    
+    const playerName = name || `Player_${Object.keys(room.map.bases).indexOf(baseId) + 1}`;
+    const newPlayer = createPlayer(room, socket.id, playerName, baseId);
+    newPlayer.accountKey = socket.data.accountKey || null;
+    newPlayer.sessionToken = crypto.randomBytes(16).toString('hex');
+    Sessions.set(newPlayer.sessionToken, { roomId: room.id, playerId: newPlayer.id });
+
+    attachSocket(room, newPlayer, socket);
+
+    console.log(`✅ ${playerName} joined ${room.name} as ${baseId} at (${base.x}, ${base.y})`);
+
+    // Add to the room's authoritative state and notify everyone of the new arrival
+    addPlayer(room, newPlayer);
+
+    // Send fogged game state to NEW player only
+    socket.emit('gameStart', getVisibleGameState(room, newPlayer));
+    fillBots(room);
+    broadcastRoomList();
+    return true;
+}
+
+/**
+ * Bind a socket to a player: room channel, lookup data, session token
+ */
+function attachSocket(room, player, socket) {
+    player.socketId = socket.id;
+    socket.leave(LOBBY_CHANNEL);
+    socket.join(room.channel);
+    socket.data.roomId = room.id;
+    socket.data.playerId = player.id;
 
-    // Broadcast score update
-    io.emit('scoreUpdate', {
-        scoreMap: Object.fromEntries(ScoreMap),
-        scoringPlayer: player.id,
-        winningPlayer: winningPlayer,
-        timestamp: Date.now()
+    socket.emit('session', {
+        token: player.sessionToken,
+        playerId: player.id,
+        roomId: room.id
     });
+}
 
-    // Handle relic lifecycle
-    if (!winningPlayer) {
-        // Normal scoring - respawn relic after delay
-        io.emit('relicStatus', {
-            isHeld: false,
-            holderId: null,
-            position: RelicState.position,
-            timestamp: Date.now()
-        });
+/**
+ * Unbind a socket from its room (the player object is left untouched)
+ */
+function detachSocket(room, socket) {
+    socket.leave(room.channel);
+    socket.data.roomId = null;
+    socket.data.playerId = null;
+}
 
-        setTimeout(() => {
-            // Respawn at center
-            RelicState.position = { x: 500, y: 500 };
-            RelicState.isRespawning = false;
-            
-            io.emit('relicStatus', {
-                isHeld: false,
-                holderId: null,
-                position: RelicState.position,
-                timestamp: Date.now()
-            });
-            
-            console.log(`🔄 Relic respawned at center`);
-        }, RELIC_RESPAWN_DELAY);
-    } else {
-        // Game won - reset after delay
-        setTimeout(() => {
-            resetGame();
-        }, GAME_RESET_DELAY);
+/**
+ * RESUME SESSION
+ * Re-binds a held slot to a new socket and sends it a fresh game state
+ * (the slot itself is restored by resumePlayer in engine.js)
+ * 
+ * EDGE CASE: The old socket may still look alive (ping timeout not yet hit);
+ * it is detached and closed so only one connection drives the player
+ */
+function reattachPlayer(room, player, socket) {
+    if (player.socketId) {
+        const oldSocket = io.sockets.sockets.get(player.socketId);
+        if (oldSocket) {
+            detachSocket(room, oldSocket);
+            oldSocket.disconnect(true);
+        }
     }
+
+    attachSocket(room, player, socket);
+
+    // The new client starts from scratch: full snapshot, fresh input sequence
+    player.snapshotHistory.clear();
+    player.ackedTick = 0;
+    resumePlayer(room, player);
+
+    socket.emit('gameStart', getVisibleGameState(room, player));
 }
 
 /**
- * GAME RESET
- * Resets all state after a game ends
- * Players return to their spawn positions
+ * ADD SPECTATOR TO ROOM
+ * Watchers get the full, unfogged game state and the room's chat
  */
-function resetGame() {
-    console.log(`🔄 Resetting game...`);
-    
-    // Reset all player states
-    PlayerMap.forEach(p => {
-        p.hasRelic = false;
-        const base = BASE_POSITIONS[p.baseId];
-        if (base) {
-            p.x = base.x;
-            p.y = base.y;
-        }
-    });
-    
-    // Clear scores
-    ScoreMap.clear();
-    PlayerMap.forEach(p => ScoreMap.set(p.id, 0));
-    
-    // Reset relic
-    RelicState = {
-        position: { x: 500, y: 500 },
-        isHeld: false,
-        holderId: null,
-        isRespawning: false
+function addSpectatorToRoom(room, socket, name) {
+    const spectator = {
+        id: socket.id,
+        socketId: socket.id,
+        name: name || 'Spectator',
+        isSpectator: true,
+        lastProcessedSeq: 0,
+        snapshotHistory: new Map(),
+        ackedTick: 0,
+        bytesSent: 0,
+        snapshotsSent: 0
     };
-    
-    // Clear exploration (fresh start)
-    GlobalExploredTiles.clear();
-    
-    // Notify all clients of reset
-    io.emit('gameStart', {
-        allPlayers: Array.from(PlayerMap.values()),
-        relicState: RelicState,
-        scoreMap: Object.fromEntries(ScoreMap),
-        exploredTiles: Array.from(GlobalExploredTiles)
-    });
-    
-    console.log(`✅ Game reset complete`);
+    room.spectators.set(socket.id, spectator);
+
+    socket.leave(LOBBY_CHANNEL);
+    socket.join(room.channel);
+    socket.data.roomId = room.id;
+
+    console.log(`👁️  ${spectator.name} is spectating ${room.name}`);
+
+    socket.emit('gameStart', { ...getVisibleGameState(room, spectator), spectating: true });
+    broadcastRoomList();
+}
+
+/**
+ * Take a socket out of its current room right away (no grace period)
+ */
+function leaveCurrentRoom(socket) {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const player = getSocketPlayer(socket);
+    detachSocket(room, socket);
+    if (player) {
+        removePlayer(room, player);
+    } else if (room.spectators.delete(socket.id)) {
+        broadcastRoomList();
+    }
 }
 
 // ============================================================================
@@ -454,78 +929,212 @@ function resetGame() {
 io.on('connection', (socket) => {
     console.log(`🔌 New connection: ${socket.id}`);
 
+    // Every socket starts out browsing the lobby
+    socket.join(LOBBY_CHANNEL);
+    socket.emit('lobbyInfo', {
+        bases: getBaseList(Maps.get(DEFAULT_MAP)),
+        maps: getMapList(),
+        modes: getModeList()
+    });
+    socket.emit('roomList', getRoomList());
+
     /**
-     * JOIN GAME HANDLER
-     * Initializes new player and adds to game state
-     * 
-     * EDGE CASE HANDLING:
-     * - Rejects if game is full (4 players)
-     * - Assigns unique base and color
-     * - Sends full game state to new player
-     * - Notifies existing players of new arrival
+     * LOBBY HANDLERS
+     * - listRooms: refresh the room list for this socket
+     * - createRoom: open a new named room on a chosen map (or a map
+     *   generated from { mapId: 'generated', seed, symmetric }) and join it
+     * - joinRoom: join a specific room by id (spectate if it is full)
+     * - spectateRoom: watch a room without taking a slot
+     * - takeSlot: spectator claims a free base in the room being watched
+     * - joinGame: quick play, joins the first room with a free slot
+     * - leaveRoom: return to the lobby
+     * Joins may carry a preferred baseId (falls back to any free base)
+     * A socket is in at most one room; joining another leaves the current one
      */
-    socket.on('joinGame', (data) => {
-        // Check capacity
-        if (PlayerMap.size >= 4) {
-            console.log(`⛔ Game full, rejecting ${socket.id}`);
-            socket.emit('error', { message: 'Game is full (4/4 players)' });
+    socket.on('listRooms', () => {
+        socket.emit('roomList', getRoomList());
+    });
+
+    socket.on('createRoom', (payload) => {
+        const data = readPayload(payload);
+        if (rejectUnsafeNames(socket, data.name, data.roomName)) return;
+        leaveCurrentRoom(socket);
+
+        const room = openRoom(sanitizeName(data.roomName, MAX_ROOM_NAME_LENGTH), resolveRoomMap(data), sanitizeRules(data));
+        addPlayerToRoom(room, socket, resolvePlayerName(socket, data.name), data.baseId);
+    });
+
+    socket.on('joinRoom', (payload) => {
+        const data = readPayload(payload);
+        const room = Rooms.get(data.roomId);
+        if (!room) {
+            socket.emit('error', { message: 'Room no longer exists' });
             return;
         }
+        const current = getSocketRoom(socket);
+        if (current === room || rejectUnsafeNames(socket, data.name)) return;
+        leaveCurrentRoom(socket);
 
-        // Assign player number (1-4)
-        const playerNumber = PlayerMap.size + 1;
-        const baseId = `player${playerNumber}`;
-        const base = BASE_POSITIONS[baseId];
-        
-        const playerName = data.name || `Player_${playerNumber}`;
-        const playerColor = base.color;
-
-        // Create player object
-        const newPlayer = {
-            id: socket.id,
-            name: playerName,
-            x: base.x,
-            y: base.y,
-            score: 0,
-            hasRelic: false,
-            baseId: baseId,
-            color: playerColor,
-            baseColor: playerColor
-        };
+        // Full rooms still have room for watchers
+        const name = resolvePlayerName(socket, data.name);
+        if (getFreeBaseIds(room, true).length === 0) {
+            addSpectatorToRoom(room, socket, name);
+            return;
+        }
+        addPlayerToRoom(room, socket, name, data.baseId);
+    });
 
-        // Add to authoritative state
-        PlayerMap.set(socket.id, newPlayer);
-        ScoreMap.set(socket.id, 0);
-
-        console.log(`✅ ${playerName} joined as ${baseId} at (${base.x}, ${base.y})`);
-
-        // Notify ALL players of new arrival
-        io.emit('newPlayer', {
-            id: newPlayer.id,
-            name: newPlayer.name,
-            x: newPlayer.x,
-            y: newPlayer.y,
-            color: newPlayer.color,
-            baseColor: newPlayer.baseColor,
-            timestamp: Date.now()
-        });
+    socket.on('spectateRoom', (payload) => {
+        const data = readPayload(payload);
+        const room = Rooms.get(data.roomId);
+        if (!room) {
+            socket.emit('error', { message: 'Room no longer exists' });
+            return;
+        }
+        if (getSocketRoom(socket) === room || rejectUnsafeNames(socket, data.name)) return;
+        leaveCurrentRoom(socket);
 
-        // Send complete game state to NEW player only
-        socket.emit('gameStart', {
-            allPlayers: Array.from(PlayerMap.values()),
-            relicState: RelicState,
-            scoreMap: Object.fromEntries(ScoreMap),
-            exploredTiles: Array.from(GlobalExploredTiles)
-        });
+        addSpectatorToRoom(room, socket, resolvePlayerName(socket, data.name));
+    });
+
+    socket.on('takeSlot', (payload) => {
+        const data = readPayload(payload);
+        const room = getSocketRoom(socket);
+        const spectator = room ? room.spectators.get(socket.id) : null;
+        if (!spectator) return;
+        if (getFreeBaseIds(room, true).length === 0) {
+            socket.emit('error', { message: 'No free slot yet' });
+            return;
+        }
+
+        room.spectators.delete(socket.id);
+        console.log(`🎮 ${spectator.name} takes a slot in ${room.name}`);
+        addPlayerToRoom(room, socket, spectator.name, data.baseId);
+    });
+
+    socket.on('setRules', (payload) => {
+        const data = readPayload(payload);
+        const room = getSocketRoom(socket);
+        const player = getSocketPlayer(socket);
+        if (!room || !player) return;
+        if (room.hostId !== player.id) {
+            socket.emit('error', { message: 'Only the host can change the rules' });
+            return;
+        }
+
+        const rules = sanitizeRules(data);
+        if (rules.teamSize !== room.rules.teamSize) {
+            socket.emit('error', { message: 'Team size is fixed once the room is open' });
+            return;
+        }
+
+        // New rules start a fresh match (with as many bots as they ask for)
+        room.rules = rules;
+        console.log(`📜 ${player.name} changed the rules of ${room.name} (${GAME_MODES[room.rules.mode].name})`);
+        fillBots(room);
+        resetGame(room);
+        broadcastRoomList();
+    });
+
+    socket.on('joinGame', (payload) => {
+        const data = readPayload(payload);
+        if (getSocketRoom(socket) || rejectUnsafeNames(socket, data.name)) return;
+        addPlayerToRoom(findOpenRoom(), socket, resolvePlayerName(socket, data.name), data.baseId);
+    });
+
+    socket.on('leaveRoom', () => {
+        const room = getSocketRoom(socket);
+        const viewer = getSocketViewer(socket);
+        if (!room || !viewer) return;
+
+        console.log(`🚪 ${viewer.name} left ${room.name}`);
+        leaveCurrentRoom(socket);
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('roomList', getRoomList());
+    });
+
+    /**
+     * ACCOUNT HANDLERS
+     * - login { name, password }: log in, registering the name if nobody
+     *   owns it yet; or login { token } with the token of an earlier login
+     *   -> account { name, stats, token, created } or loginFailed { reason }
+     * - logout { token }: forget this device's token -> loggedOut
+     * Being logged in changes nothing for a room already joined; the
+     * account applies from the next join
+     */
+    socket.on('login', (payload) => {
+        const data = readPayload(payload);
+        if (socket.data.loggingIn) return;
+
+        if (data.token !== undefined) {
+            const account = findAccountByToken(Accounts, data.token);
+            if (!account) {
+                socket.emit('loginFailed', { reason: 'Saved login expired, please log in again' });
+                return;
+            }
+            signInSocket(socket, account, data.token, false);
+            return;
+        }
+
+        // Password hashing is slow on purpose: one attempt at a time per socket
+        socket.data.loggingIn = true;
+        login(Accounts, data.name, data.password)
+            .then(result => {
+                if (result.error) {
+                    socket.emit('loginFailed', { reason: result.error });
+                    return;
+                }
+                signInSocket(socket, result.account, issueToken(Accounts, result.account), result.created);
+            })
+            .catch(err => {
+                console.log(`⚠️  Login failed: ${err.message}`);
+                socket.emit('loginFailed', { reason: 'Login is unavailable right now' });
+            })
+            .finally(() => {
+                socket.data.loggingIn = false;
+            });
+    });
+
+    socket.on('logout', (payload) => {
+        const data = readPayload(payload);
+        const account = getSocketAccount(socket);
+        if (account) {
+            revokeToken(Accounts, account, data.token);
+            console.log(`👤 ${account.name} logged out on ${socket.id}`);
+        }
+        socket.data.accountKey = null;
+        socket.emit('loggedOut');
+    });
+
+    /**
+     * SESSION RESUME HANDLER
+     * A reconnecting client presents the token it got on join; if its slot
+     * is still held the player continues on this socket, otherwise the
+     * client is told to go back to the lobby
+     */
+    socket.on('resumeSession', (payload) => {
+        const session = Sessions.get(readPayload(payload).token);
+        const room = session ? Rooms.get(session.roomId) : null;
+        const player = room ? room.players.get(session.playerId) : null;
+        if (!player) {
+            socket.emit('sessionExpired');
+            return;
+        }
+
+        leaveCurrentRoom(socket);
+        reattachPlayer(room, player, socket);
     });
 
     /**
      * GAME EVENT HANDLERS
      * Route incoming game actions to authoritative handlers
      */
-    socket.on('playerMove', handlePlayerMove);
-    socket.on('relicAttempt', handleRelicAttempt);
-    socket.on('baseAttempt', handleBaseAttempt);
+    socket.on('playerMove', (data) => queueInput(socket, 'move', data));
+    socket.on('relicAttempt', () => queueInput(socket, 'relic'));
+    socket.on('baseAttempt', () => queueInput(socket, 'base'));
+    socket.on('tackleAttempt', () => queueInput(socket, 'tackle'));
+    socket.on('dropAttempt', (data) => queueInput(socket, 'drop', data));
+    socket.on('snapshotAck', (data) => handleSnapshotAck(socket, data));
 
     /**
      * MAP EXPLORATION HANDLER
@@ -533,79 +1142,237 @@ io.on('connection', (socket) => {
      * 
      * DATA MINIMIZATION: Client sends array of newly explored tiles
      * Server merges into global set without re-broadcasting
-     * (Fog of war is client-side, no need to sync)
+     * (Fog of war is client-side, no need to sync) - except to teammates
+     * in team mode, who share exploration
      */
-    socket.on('mapExplored', (data) => {
-        if (data.tiles && Array.isArray(data.tiles)) {
-            data.tiles.forEach(tile => {
-                GlobalExploredTiles.add(`x:${tile.x},y:${tile.y}`);
+    socket.on('mapExplored', (payload) => {
+        const room = getSocketRoom(socket);
+        const player = getSocketPlayer(socket);
+        const data = readPayload(payload);
+        if (room && player && Array.isArray(data.tiles)) {
+            // Only whole tiles on this room's map count
+            const tileSize = room.map.tileSize;
+            const tiles = data.tiles
+                .filter(tile => tile && Number.isInteger(tile.x) && Number.isInteger(tile.y) &&
+                    tile.x >= 0 && tile.y >= 0 && tile.x * tileSize < room.map.width && tile.y * tileSize < room.map.height)
+                .map(tile => ({ x: tile.x, y: tile.y }));
+            tiles.forEach(tile => {
+                room.exploredTiles.add(`x:${tile.x},y:${tile.y}`);
             });
+
+            // Team mode: exploration is shared live with teammates only
+            if (isTeamMode(room)) {
+                if (!room.teamExploredTiles.has(player.baseId)) room.teamExploredTiles.set(player.baseId, new Set());
+                const teamTiles = room.teamExploredTiles.get(player.baseId);
+                tiles.forEach(tile => teamTiles.add(`x:${tile.x},y:${tile.y}`));
+                getTeammates(room, player).forEach(mate => {
+                    if (mate.id !== player.id && mate.socketId) {
+                        io.to(mate.socketId).emit('teamExplored', { tiles: tiles });
+                    }
+                });
+            }
             // Optional: Log exploration progress
-            // console.log(`🗺️  Map ${Math.floor(GlobalExploredTiles.size / 4)}% explored`);
+            // console.log(`🗺️  Map ${Math.floor(room.exploredTiles.size / 4)}% explored`);
         }
     });
 
     /**
      * CHAT HANDLER
-     * Relays chat messages to all players
+     * Relays chat messages to everyone in the sender's room (spectators too)
      * Note: Could add message sanitization/filtering here
      */
     socket.on('playerChat', (data) => {
-        const player = PlayerMap.get(data.id);
-        if (player) {
-            console.log(`💬 ${player.name}: ${data.message}`);
-            io.emit('playerChat', {
-                id: data.id,
-                message: data.message,
-                timestamp: data.timestamp
+        const room = getSocketRoom(socket);
+        const sender = getSocketViewer(socket);
+        if (sender && data && typeof data.message === 'string') {
+            const message = data.message.slice(0, MAX_CHAT_LENGTH);
+            console.log(`💬 ${sender.name}: ${message}`);
+            io.to(room.channel).emit('playerChat', {
+                id: sender.id,
+                name: sender.name,
+                spectator: !!sender.isSpectator,
+                message: message,
+                timestamp: Date.now()
             });
         }
     });
 
     /**
      * DISCONNECTION HANDLER
-     * Cleans up player state and notifies others
-     * 
-     * EDGE CASE: If disconnected player held relic, drop it at their position
+     * Holds the player's slot for the grace period (see markPlayerAway)
      */
     socket.on('disconnect', () => {
-        const player = PlayerMap.get(socket.id);
-        if (player) {
-            console.log(`🔌 ${player.name} disconnected`);
-            
-            // Handle relic drop if player was holding it
-            if (RelicState.holderId === socket.id) {
-                RelicState.holderId = null;
-                RelicState.isHeld = false;
-                RelicState.position = { x: player.x, y: player.y };
-
-                console.log(`📍 Relic dropped at (${Math.floor(player.x)}, ${Math.floor(player.y)})`);
-
-                io.emit('relicStatus', {
-                    isHeld: false,
-                    holderId: null,
-                    position: RelicState.position,
-                    timestamp: Date.now()
-                });
-            }
+        const room = getSocketRoom(socket);
+        const player = getSocketPlayer(socket);
+        if (room && player) {
+            console.log(`🔌 ${player.name} disconnected, holding slot for ${SESSION_GRACE_PERIOD / 1000}s`);
+            player.socketId = null;
+            markPlayerAway(room, player);
+        } else if (room) {
+            leaveCurrentRoom(socket); // Spectators hold nothing
+        }
+    });
+});
 
-            // Remove from game state
-            PlayerMap.delete(socket.id);
-            ScoreMap.delete(socket.id);
+// ============================================================================
+// MAP EDITOR API - Load, Validate and Save Map JSON
+// ============================================================================
 
-            // Notify remaining players
-            io.emit('playerDisconnected', {
-                id: socket.id,
-                timestamp: Date.now()
-            });
-        }
+/**
+ * REST endpoints used by the browser map editor (editor.html)
+ * - GET  /api/maps            -> [{ id, name, maxPlayers }]
+ * - GET  /api/maps/:id        -> map JSON exactly as stored in maps/
+ * - POST /api/maps/validate   -> { errors } for an unsaved map
+ * - PUT  /api/maps/:id        -> validate, write maps/<id>.json, load it
+ * Saved maps are available for new rooms immediately; rooms already
+ * running keep the version they started with
+ * 
+ * SAFETY:
+ * - Maps are only ever added: an id that exists (the maps shipped in
+ *   maps/ included) is refused with 409
+ * - Validating and saving are for this machine only, unless MAP_EDITOR_KEY
+ *   is set - then anyone sending it in the X-Map-Editor-Key header may
+ *   use them. Validating runs the reachability check, so it is not left
+ *   open to everyone either
+ * - Editor maps are capped at EDITOR_MAX_MAP_SIZE (and every map at
+ *   MAX_MAP_OBSTACLES), so validating one never stalls the rooms' ticks
+ */
+const MAP_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const LOCAL_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const NO_EDITOR_ACCESS = 'the map editor needs the editor key (or this machine)';
+
+/**
+ * May this request validate and save maps? (see SAFETY above)
+ */
+function canSaveMaps(req) {
+    if (!MAP_EDITOR_KEY) return LOCAL_ADDRESSES.includes(req.socket.remoteAddress);
+    const key = req.get('X-Map-Editor-Key');
+    if (typeof key !== 'string') return false;
+    // Compare digests so the check takes the same time for any key
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(key), digest(MAP_EDITOR_KEY));
+}
+
+/**
+ * Copy only the fields that belong in a map file
+ */
+function toMapFile(map) {
+    return {
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        tileSize: map.tileSize,
+        bases: map.bases,
+        obstacles: map.obstacles,
+        relicSpawns: map.relicSpawns
+    };
+}
+
+app.get('/editor', (req, res) => {
+    res.sendFile(__dirname + '/public/editor.html');
+});
+
+app.get('/api/maps', (req, res) => {
+    res.json(getMapList().filter(map => map.id !== GENERATED_MAP_ID));
+});
+
+app.get('/api/maps/:id', (req, res) => {
+    const map = Maps.get(req.params.id);
+    if (!map) return res.status(404).json({ errors: [`unknown map ${req.params.id}`] });
+    res.json(toMapFile(map));
+});
+
+app.post('/api/maps/validate', express.json({ limit: '1mb' }), (req, res) => {
+    if (!canSaveMaps(req)) return res.status(403).json({ errors: [NO_EDITOR_ACCESS] });
+    res.json({ errors: validateMap(req.body, EDITOR_MAX_MAP_SIZE) });
+});
+
+app.put('/api/maps/:id', express.json({ limit: '1mb' }), (req, res) => {
+    const mapId = req.params.id;
+    if (!MAP_ID_PATTERN.test(mapId) || mapId === GENERATED_MAP_ID) {
+        return res.status(400).json({ errors: ['map id must be 1-32 characters of a-z, 0-9, _ or -'] });
+    }
+    if (!canSaveMaps(req)) {
+        return res.status(403).json({ errors: [NO_EDITOR_ACCESS] });
+    }
+    const filePath = path.join(MAPS_DIR, `${mapId}.json`);
+    if (Maps.has(mapId) || fs.existsSync(filePath)) {
+        return res.status(409).json({ errors: [`map ${mapId} already exists - save under a new id`] });
+    }
+
+    const errors = validateMap(req.body, EDITOR_MAX_MAP_SIZE);
+    if (errors.length > 0) return res.status(400).json({ errors: errors });
+
+    const map = toMapFile(req.body);
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(map, null, 4) + '\n', { flag: 'wx' });
+    } catch (err) {
+        console.log(`⚠️  Could not save map ${mapId}: ${err.message}`);
+        return res.status(500).json({ errors: ['could not write map file'] });
+    }
+
+    Maps.set(mapId, { id: mapId, ...map });
+    console.log(`💾 Saved map ${mapId} (${map.name}, ${Object.keys(map.bases).length} bases)`);
+
+    // Let the lobby pick the new map right away
+    io.to(LOBBY_CHANNEL).emit('lobbyInfo', {
+        bases: getBaseList(Maps.get(DEFAULT_MAP)),
+        maps: getMapList(),
+        modes: getModeList()
     });
+    res.json({ id: mapId, errors: [] });
+});
+
+// ============================================================================
+// REPLAY API - Recorded Matches
+// ============================================================================
+
+/**
+ * REST endpoints used by the replay viewer (replay.html)
+ * - GET /api/replays      -> [{ id, room, map, mode, startedAt, duration }], newest first
+ * - GET /api/replays/:id  -> the match log (see recorder.js for the format)
+ * Only finished matches are listed and served
+ */
+app.get('/replay', (req, res) => {
+    res.sendFile(__dirname + '/public/replay.html');
+});
+
+app.get('/api/replays', (req, res) => {
+    res.json(listRecordings(RECORDINGS_DIR));
+});
+
+app.get('/api/replays/:id', (req, res) => {
+    const filePath = getRecordingPath(RECORDINGS_DIR, req.params.id);
+    if (!filePath) return res.status(404).json({ errors: [`unknown replay ${req.params.id}`] });
+    res.type('application/x-ndjson').sendFile(filePath);
+});
+
+// ============================================================================
+// LEADERBOARD API - Best Rated Accounts
+// ============================================================================
+
+/**
+ * GET /api/leaderboard?limit=20 -> [{ rank, name, rating, ratedMatches,
+ * matchesPlayed, wins }], best first (limit 1-100)
+ */
+app.get('/api/leaderboard', (req, res) => {
+    res.json(getLeaderboard(Accounts, req.query.limit));
 });
 
 // ============================================================================
 // SERVER INITIALIZATION
 // ============================================================================
 
+loadMaps();
+const defaultMap = Maps.get(DEFAULT_MAP);
+
+// Account changes are written with a short delay; don't lose them on Ctrl+C
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    saveAccounts(Accounts);
+    process.exit(0);
+}));
+
+
 server.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════════════╗
@@ -613,9 +1380,9 @@ server.listen(PORT, () => {
 ╠════════════════════════════════════════════════════════════════╣
 ║  Port: ${PORT.toString().padEnd(56)}║
 ║  Status: ONLINE                                                ║
-║  Max Players: 4                                                ║
-║  Map Size: 1000x1000                                           ║
-║  Win Condition: First to ${MAX_SCORE} captures                           ║
+║  Max Players: ${`${Object.keys(defaultMap.bases).length} per room (new rooms open automatically)`.padEnd(49)}║
+║  Map: ${`${defaultMap.name} (${defaultMap.width}x${defaultMap.height}), ${Maps.size} map(s) loaded`.padEnd(57)}║
+║  Win Condition: ${`First to ${DEFAULT_RULES.scoreLimit} captures (hosts can change rules)`.padEnd(47)}║
 ╠════════════════════════════════════════════════════════════════╣
 ║  🌐 Open http://localhost:${PORT} in your browser             ║
 ╚════════════════════════════════════════════════════════════════╝
@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * SNAPSHOT.JS - BINARY DELTA SNAPSHOTS
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * The wire format of the per-tick `snapshot` message: what one recipient
+ * may see this tick, written as a delta against a snapshot it has already
+ * acknowledged. server.js keeps each client's baselines and sends the
+ * buffers; sketch.js decodes them with the same constants.
+ */
+
+const {
+    POSITION_PRECISION, PICKUP_TYPE_IDS,
+    getVisiblePlayers, getVisibleRelics, getVisiblePickups
+} = require('./engine');
+
+/**
+ * SNAPSHOT LAYOUT (little-endian, decoded by decodeSnapshot in sketch.js)
+ *   u8   format version (SNAPSHOT_VERSION)
+ *   u32  tick
+ *   u32  baseline tick this delta applies to (0 = full snapshot)
+ *   f64  server time (ms)
+ *   u32  ack - last movement input of the recipient processed by the server
+ *   u8   player entry count, then per entry:
+ *          u8  netId
+ *          u8  flags (PLAYER_REMOVED | PLAYER_X | PLAYER_Y | PLAYER_HAS_RELIC | PLAYER_REVEALED)
+ *          u16 x * POSITION_PRECISION     (if PLAYER_X)
+ *          u16 y * POSITION_PRECISION     (if PLAYER_Y)
+ *   u8   relic count (rules.relicCount), then per relic in id order:
+ *          u8  flags (RELIC_CHANGED | RELIC_HELD | RELIC_KNOWN)
+ *          u8  holder netId, 0 = none      (if RELIC_CHANGED)
+ *          u16 x, u16 y                    (if RELIC_CHANGED and RELIC_KNOWN)
+ *   u8   pickup flags (PICKUPS_CHANGED), then if changed the full visible list:
+ *          u8  count, then per pickup: u8 id, u8 type (index in PICKUP_TYPE_IDS),
+ *          u16 x * POSITION_PRECISION, u16 y * POSITION_PRECISION
+ *   u16  events byte length, then a UTF-8 JSON array (events are rare)
+ *
+ * Only players whose visible state differs from the baseline are written,
+ * so an idle client costs ~25 bytes per tick instead of a JSON player list
+ */
+const SNAPSHOT_VERSION = 3;
+const PLAYER_REMOVED = 1;    // Left the recipient's vision since the baseline
+const PLAYER_X = 2;
+const PLAYER_Y = 4;
+const PLAYER_HAS_RELIC = 8;  // Value bit, sent with every written entry
+const PLAYER_REVEALED = 16;  // Value bit: only visible as a revealed carrier
+const RELIC_CHANGED = 1;
+const RELIC_HELD = 2;
+const RELIC_KNOWN = 4;       // Recipient can see the relic's position
+const PICKUPS_CHANGED = 1;   // Visible pickup list differs from the baseline
+
+/**
+ * Capture what a recipient can see this tick, keyed by netId
+ * Stored per tick as the baseline for future deltas
+ */
+function captureViewState(room, viewer) {
+    const players = new Map();
+    getVisiblePlayers(room, viewer).forEach(p => {
+        players.set(room.players.get(p.id).netId, { x: p.x, y: p.y, hasRelic: p.hasRelic, revealed: p.revealed });
+    });
+
+    const relics = getVisibleRelics(room, viewer).map(relic => {
+        const holder = relic.holderId ? room.players.get(relic.holderId) : null;
+        return {
+            isHeld: relic.isHeld,
+            holderNetId: holder ? holder.netId : 0,
+            known: relic.position !== null,
+            x: relic.position ? relic.position.x : 0,
+            y: relic.position ? relic.position.y : 0
+        };
+    });
+    return { players, relics, pickups: getVisiblePickups(room, viewer) };
+}
+
+function relicStateChanged(a, b) {
+    return a.isHeld !== b.isHeld || a.holderNetId !== b.holderNetId ||
+        a.known !== b.known || a.x !== b.x || a.y !== b.y;
+}
+
+function pickupsChanged(a, b) {
+    return a.length !== b.length ||
+        a.some((pickup, i) => pickup.id !== b[i].id || pickup.x !== b[i].x || pickup.y !== b[i].y);
+}
+
+/**
+ * Encode one recipient's snapshot as a delta against `baseline`
+ * A null baseline produces a full snapshot
+ */
+function encodeSnapshot(room, viewer, state, baseline, baselineTick, events, now) {
+    // Work out which player entries need writing
+    const entries = [];
+    state.players.forEach((current, netId) => {
+        const previous = baseline ? baseline.players.get(netId) : null;
+        let flags = current.hasRelic ? PLAYER_HAS_RELIC : 0;
+        if (current.revealed) flags |= PLAYER_REVEALED;
+        if (!previous || previous.x !== current.x) flags |= PLAYER_X;
+        if (!previous || previous.y !== current.y) flags |= PLAYER_Y;
+        if (!previous || (flags & (PLAYER_X | PLAYER_Y)) ||
+            previous.hasRelic !== current.hasRelic || previous.revealed !== current.revealed) {
+            entries.push({ netId, flags, x: current.x, y: current.y });
+        }
+    });
+    if (baseline) {
+        baseline.players.forEach((previous, netId) => {
+            if (!state.players.has(netId)) entries.push({ netId, flags: PLAYER_REMOVED });
+        });
+    }
+
+    const relicChanges = state.relics.map((relic, id) =>
+        !baseline || !baseline.relics[id] || relicStateChanged(relic, baseline.relics[id]));
+    const pickupChange = !baseline || pickupsChanged(state.pickups, baseline.pickups);
+    const eventBytes = events.length > 0 ? Buffer.from(JSON.stringify(events), 'utf8') : null;
+
+    // Size the buffer exactly
+    let size = 1 + 4 + 4 + 8 + 4 + 1 + 1 + 1 + 2;
+    entries.forEach(e => {
+        size += 2;
+        if (e.flags & PLAYER_X) size += 2;
+        if (e.flags & PLAYER_Y) size += 2;
+    });
+    state.relics.forEach((relic, id) => {
+        size += 1;
+        if (relicChanges[id]) size += 1 + (relic.known ? 4 : 0);
+    });
+    if (pickupChange) size += 1 + state.pickups.length * 6;
+    if (eventBytes) size += eventBytes.length;
+
+    const buffer = Buffer.alloc(size);
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 0;
+
+    view.setUint8(offset, SNAPSHOT_VERSION); offset += 1;
+    view.setUint32(offset, room.tick, true); offset += 4;
+    view.setUint32(offset, baseline ? baselineTick : 0, true); offset += 4;
+    view.setFloat64(offset, now, true); offset += 8;
+    view.setUint32(offset, viewer.lastProcessedSeq, true); offset += 4;
+
+    view.setUint8(offset, entries.length); offset += 1;
+    entries.forEach(e => {
+        view.setUint8(offset, e.netId); offset += 1;
+        view.setUint8(offset, e.flags); offset += 1;
+        if (e.flags & PLAYER_X) { view.setUint16(offset, Math.round(e.x * POSITION_PRECISION), true); offset += 2; }
+        if (e.flags & PLAYER_Y) { view.setUint16(offset, Math.round(e.y * POSITION_PRECISION), true); offset += 2; }
+    });
+
+    view.setUint8(offset, state.relics.length); offset += 1;
+    state.relics.forEach((relic, id) => {
+        let relicFlags = relicChanges[id] ? RELIC_CHANGED : 0;
+        if (relic.isHeld) relicFlags |= RELIC_HELD;
+        if (relic.known) relicFlags |= RELIC_KNOWN;
+        view.setUint8(offset, relicFlags); offset += 1;
+        if (relicChanges[id]) {
+            view.setUint8(offset, relic.holderNetId); offset += 1;
+            if (relic.known) {
+                view.setUint16(offset, Math.round(relic.x * POSITION_PRECISION), true); offset += 2;
+                view.setUint16(offset, Math.round(relic.y * POSITION_PRECISION), true); offset += 2;
+            }
+        }
+    });
+
+    view.setUint8(offset, pickupChange ? PICKUPS_CHANGED : 0); offset += 1;
+    if (pickupChange) {
+        view.setUint8(offset, state.pickups.length); offset += 1;
+        state.pickups.forEach(pickup => {
+            view.setUint8(offset, pickup.id); offset += 1;
+            view.setUint8(offset, PICKUP_TYPE_IDS.indexOf(pickup.type)); offset += 1;
+            view.setUint16(offset, Math.round(pickup.x * POSITION_PRECISION), true); offset += 2;
+            view.setUint16(offset, Math.round(pickup.y * POSITION_PRECISION), true); offset += 2;
+        });
+    }
+
+    view.setUint16(offset, eventBytes ? eventBytes.length : 0, true); offset += 2;
+    if (eventBytes) eventBytes.copy(buffer, offset);
+
+    return buffer;
+}
+
+module.exports = {
+    SNAPSHOT_VERSION, captureViewState, encodeSnapshot
+};
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * ACCOUNT TESTS - Logins, Tokens and Career Stats
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Works on a throwaway accounts file: registering on first login, password
+ * and token checks, stats that survive a reload and the leaderboard.
+ *
+ * Run with: node --test
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const accounts = require('../accounts');
+const { silenceLogs } = require('./helpers');
+
+let dir;
+let file;
+let store;
+
+silenceLogs();
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relic-accounts-'));
+    file = path.join(dir, 'accounts.json');
+    store = accounts.loadAccounts(file);
+});
+afterEach(() => {
+    clearTimeout(store.saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('login', () => {
+    it('registers an unknown name and checks the password afterwards', async () => {
+        const first = await accounts.login(store, 'Alice', 'secret1');
+        assert.strictEqual(first.created, true);
+        assert.strictEqual(first.account.name, 'Alice');
+        assert.notStrictEqual(first.account.passwordHash, 'secret1');
+
+        // Names are case-insensitive
+        const again = await accounts.login(store, 'alice', 'secret1');
+        assert.strictEqual(again.created, false);
+        assert.strictEqual(again.account, first.account);
+
+        assert.deepStrictEqual(await accounts.login(store, 'Alice', 'wrong-password'), { error: 'Wrong password' });
+    });
+
+    it('rejects bad names and passwords without creating anything', async () => {
+        assert.ok((await accounts.login(store, 'a b', 'secret1')).error);
+        assert.ok((await accounts.login(store, 'x'.repeat(17), 'secret1')).error);
+        assert.ok((await accounts.login(store, 'Alice', '12345')).error);
+        assert.ok((await accounts.login(store, 'Alice', undefined)).error);
+        assert.strictEqual(store.accounts.size, 0);
+    });
+});
+
+describe('tokens', () => {
+    it('finds the account by token until it is revoked', async () => {
+        const { account } = await accounts.login(store, 'Alice', 'secret1');
+        const token = accounts.issueToken(store, account);
+
+        assert.strictEqual(accounts.findAccountByToken(store, token), account);
+        assert.ok(!account.tokens.includes(token), 'only a hash is stored');
+        assert.strictEqual(accounts.findAccountByToken(store, 'not-a-token'), null);
+
+        accounts.revokeToken(store, account, token);
+        assert.strictEqual(accounts.findAccountByToken(store, token), null);
+    });
+
+    it('keeps only the newest MAX_TOKENS logins', async () => {
+        const { account } = await accounts.login(store, 'Alice', 'secret1');
+        const tokens = [];
+        for (let i = 0; i <= accounts.MAX_TOKENS; i++) tokens.push(accounts.issueToken(store, account));
+
+        assert.strictEqual(accounts.findAccountByToken(store, tokens[0]), null);
+        assert.strictEqual(accounts.findAccountByToken(store, tokens[tokens.length - 1]), account);
+    });
+});
+
+describe('stats', () => {
+    it('adds up matches and survives a reload', async () => {
+        const { account } = await accounts.login(store, 'Alice', 'secret1');
+        accounts.recordMatch(store, account, { won: true, stats: { captures: 3, steals: 1, carryTime: 4200 } });
+        accounts.recordMatch(store, account, { won: false, stats: { captures: 0, steals: 2, carryTime: 800 } });
+        accounts.saveAccounts(store);
+
+        const reloaded = accounts.getAccount(accounts.loadAccounts(file), 'ALICE');
+        assert.deepStrictEqual(accounts.getPublicProfile(reloaded), {
+            name: 'Alice',
+            rating: 1500,
+            stats: { matchesPlayed: 2, wins: 1, captures: 3, steals: 3, carryTime: 5000 }
+        });
+    });
+
+    it('lists rated accounts on the leaderboard, best first', async () => {
+        const alice = (await accounts.login(store, 'Alice', 'secret1')).account;
+        const bob = (await accounts.login(store, 'Bob', 'secret1')).account;
+        await accounts.login(store, 'Carol', 'secret1'); // Never rated
+        accounts.recordRating(store, alice, -12.34);
+        accounts.recordRating(store, bob, 20);
+
+        const board = accounts.getLeaderboard(store);
+        assert.deepStrictEqual(board.map(row => [row.rank, row.name, row.rating]), [[1, 'Bob', 1520], [2, 'Alice', 1488]]);
+        assert.strictEqual(alice.rating, 1487.7);
+        assert.strictEqual(accounts.getLeaderboard(store, 1).length, 1);
+    });
+});
+
+describe('damaged file', () => {
+    it('falls back to the backup of the last good write', async () => {
+        await accounts.login(store, 'Alice', 'secret1');
+        accounts.saveAccounts(store);
+        fs.writeFileSync(file, '{"version": 1, "accou');
+
+        const reloaded = accounts.loadAccounts(file);
+        assert.ok(accounts.getAccount(reloaded, 'Alice'));
+    });
+
+    it('refuses to load rather than start empty when nothing is usable', () => {
+        fs.writeFileSync(file, '{"version": 1, "accou');
+        assert.throws(() => accounts.loadAccounts(file), /damaged.*no usable backup/);
+    });
+});
@@ -0,0 +1,768 @@
+/**
+ * ============================================================================
+ * ENGINE TESTS - Game Rules Without a Server
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Drives engine.js directly with a fake clock and a sink that records
+ * every message, so timers run instantly and nothing touches the network.
+ *
+ * Run with: node --test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const engine = require('../engine');
+const { TEST_MAP, TEST_RULES, createTestRoom, joinPlayer, silenceLogs } = require('./helpers');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+let clock;
+let sink;
+let room;
+
+function setupRoom(rules = TEST_RULES, map = TEST_MAP) {
+    ({ room, clock, sink } = createTestRoom(rules, map));
+    return room;
+}
+
+/**
+ * Queue an input and run one tick; returns the tick's events
+ */
+function act(player, type, data) {
+    engine.queuePlayerInput(room, player, type, data);
+    return engine.advanceRoom(room);
+}
+
+function eventTypes(events) {
+    return events.map(event => event.type);
+}
+
+silenceLogs();
+
+// ============================================================================
+// COLLISIONS
+// ============================================================================
+
+describe('checkCollision', () => {
+    it('keeps players inside the map bounds', () => {
+        const r = engine.PLAYER_RADIUS;
+        assert.strictEqual(engine.checkCollision(TEST_MAP, r - 1, 200), true);
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 200, TEST_MAP.height - r + 1), true);
+        assert.strictEqual(engine.checkCollision(TEST_MAP, r, r), false);
+    });
+
+    it('blocks positions overlapping an obstacle', () => {
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 200, 100), true);
+        // Obstacle edge at x = 180, player radius reaches 1px into it
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 180 - engine.PLAYER_RADIUS + 1, 100), true);
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 180 - engine.PLAYER_RADIUS, 100), false);
+    });
+
+    it('allows free open ground', () => {
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 200, 300), false);
+    });
+});
+
+describe('handlePlayerMove', () => {
+    beforeEach(() => setupRoom());
+
+    it('applies a legal move and acknowledges it', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        act(player, 'move', { seq: 1, dx: 5, dy: 0 });
+        assert.strictEqual(player.x, 65);
+        assert.strictEqual(player.y, 200);
+        assert.strictEqual(player.lastProcessedSeq, 1);
+    });
+
+    it('rejects a move into an obstacle and reports it to the sender', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 200;
+        player.y = 100 + 20 + engine.PLAYER_RADIUS; // Touching the obstacle's bottom edge
+        act(player, 'move', { seq: 1, dx: 0, dy: -5 });
+
+        assert.strictEqual(player.y, 137);
+        const rejection = sink.sent.find(message => message.type === 'moveRejected');
+        assert.ok(rejection, 'moveRejected was sent');
+        assert.strictEqual(rejection.viewerId, 'a');
+        assert.strictEqual(rejection.data.reason, 'collision');
+    });
+
+    it('clamps a move longer than MAX_SPEED and corrects the sender', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        act(player, 'move', { seq: 1, dx: 50, dy: 0 });
+
+        assert.strictEqual(player.x, 60 + engine.MAX_SPEED);
+        const correction = sink.sent.find(message => message.type === 'correction');
+        assert.ok(correction, 'correction was sent');
+        assert.strictEqual(correction.data.reason, 'speed');
+    });
+
+    it('reports applied inputs to the sink with where they were applied', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        engine.queuePlayerInput(room, player, 'move', { seq: 1, dx: 5, dy: 0 });
+        engine.queuePlayerInput(room, player, 'relic');
+        engine.advanceRoom(room);
+
+        const { inputs } = sink.ticks[sink.ticks.length - 1];
+        assert.deepStrictEqual(inputs.map(input => [input.type, input.x, input.y]), [['move', 60, 200], ['relic', 65, 200]]);
+    });
+
+    it('rejects non-numeric deltas', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        act(player, 'move', { seq: 1, dx: 'far', dy: 0 });
+        assert.strictEqual(player.x, 60);
+        assert.strictEqual(sink.sent.find(message => message.type === 'moveRejected').data.reason, 'invalidInput');
+    });
+});
+
+// ============================================================================
+// RELIC GRAB RANGE
+// ============================================================================
+
+describe('handleRelicAttempt', () => {
+    beforeEach(() => setupRoom());
+
+    it('grabs the relic within grabRange', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 200 - TEST_RULES.grabRange;
+        const events = act(player, 'relic');
+
+        assert.deepStrictEqual(eventTypes(events), ['relicGrabbed']);
+        assert.strictEqual(player.hasRelic, true);
+        assert.strictEqual(room.relics[0].holderId, 'a');
+    });
+
+    it('ignores a grab from out of range', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 200 - TEST_RULES.grabRange - 1;
+        const events = act(player, 'relic');
+
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(player.hasRelic, false);
+        assert.strictEqual(room.relics[0].isHeld, false);
+    });
+
+    it('lets the first of two simultaneous grabs win', () => {
+        const first = joinPlayer(room, 'a', 'west');
+        const second = joinPlayer(room, 'b', 'east');
+        first.x = 150;
+        second.x = 250;
+        engine.queuePlayerInput(room, second, 'relic');
+        engine.queuePlayerInput(room, first, 'relic');
+        engine.advanceRoom(room);
+
+        assert.strictEqual(second.hasRelic, true);
+        assert.strictEqual(first.hasRelic, false);
+    });
+});
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Put the relic in a player's hands at their base
+ */
+function giveRelicAtBase(player) {
+    const base = TEST_MAP.bases[player.baseId];
+    player.x = 200;
+    act(player, 'relic');
+    player.x = base.x;
+    player.y = base.y;
+}
+
+describe('handleBaseAttempt', () => {
+    beforeEach(() => setupRoom());
+
+    it('scores the carried relic at your own base and respawns it later', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        giveRelicAtBase(player);
+        const events = act(player, 'base');
+
+        const score = events.find(event => event.type === 'score');
+        assert.ok(score, 'score event raised');
+        assert.deepStrictEqual(score.scoreMap, { a: 1 });
+        assert.strictEqual(score.winningPlayer, null);
+        assert.strictEqual(player.hasRelic, false);
+        assert.strictEqual(room.relics[0].isRespawning, true);
+
+        // Not back before the delay...
+        clock.time += TEST_RULES.relicRespawnDelay - 1;
+        assert.deepStrictEqual(engine.advanceRoom(room), []);
+        // ...and back on its spawn once it has passed
+        clock.time += 1;
+        assert.deepStrictEqual(eventTypes(engine.advanceRoom(room)), ['relicRespawned']);
+        assert.strictEqual(room.relics[0].isRespawning, false);
+        assert.deepStrictEqual(room.relics[0].position, TEST_MAP.relicSpawns[0]);
+    });
+
+    it('does not score at another base or out of captureRange', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        giveRelicAtBase(player);
+        player.x = TEST_MAP.bases.east.x;
+        assert.deepStrictEqual(act(player, 'base'), []);
+
+        player.x = TEST_MAP.bases.west.x + TEST_RULES.captureRange + 1;
+        assert.deepStrictEqual(act(player, 'base'), []);
+        assert.strictEqual(player.hasRelic, true);
+        assert.strictEqual(room.scores.get('a'), 0);
+    });
+
+    it('ignores a score attempt without a relic', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        assert.deepStrictEqual(act(player, 'base'), []);
+    });
+});
+
+// ============================================================================
+// WIN AND RESET
+// ============================================================================
+
+describe('win and reset', () => {
+    beforeEach(() => setupRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 0, scoreLimit: 1 } })));
+
+    it('declares the winner at scoreLimit and resets after resetDelay', () => {
+        const winner = joinPlayer(room, 'a', 'west');
+        const other = joinPlayer(room, 'b', 'east');
+        other.x = 300;
+        giveRelicAtBase(winner);
+        const events = act(winner, 'base');
+
+        assert.strictEqual(events.find(event => event.type === 'score').winningPlayer, 'a');
+        assert.strictEqual(room.resetAt, clock.time + room.rules.resetDelay);
+        assert.strictEqual(room.relics[0].respawnAt, null, 'no respawn once the match is won');
+
+        clock.time += room.rules.resetDelay;
+        sink.sent = [];
+        engine.advanceRoom(room);
+
+        assert.strictEqual(room.resetAt, null);
+        assert.deepStrictEqual(Object.fromEntries(room.scores), { a: 0, b: 0 });
+        assert.strictEqual(other.x, TEST_MAP.bases.east.x);
+        assert.strictEqual(room.relics[0].isRespawning, false);
+        assert.deepStrictEqual(room.relics[0].position, TEST_MAP.relicSpawns[0]);
+        const starts = sink.sent.filter(message => message.type === 'gameStart');
+        assert.deepStrictEqual(starts.map(message => message.viewerId).sort(), ['a', 'b']);
+        assert.strictEqual(sink.matchesStarted, 1);
+    });
+
+    it('reports every player\'s captures, steals and carry time to the sink', () => {
+        const carrier = joinPlayer(room, 'a', 'west');
+        const thief = joinPlayer(room, 'b', 'east');
+        carrier.x = 200;
+        act(carrier, 'relic');
+        clock.time += 500;
+
+        thief.x = carrier.x;
+        thief.y = carrier.y;
+        act(thief, 'tackle');
+        act(thief, 'relic');
+        clock.time += 300;
+        thief.x = TEST_MAP.bases.east.x;
+        thief.y = TEST_MAP.bases.east.y;
+        act(thief, 'base');
+
+        assert.strictEqual(sink.matchesEnded.length, 1);
+        const result = sink.matchesEnded[0];
+        assert.strictEqual(result.winner, 'b');
+        const byId = Object.fromEntries(result.players.map(entry => [entry.player.id, entry]));
+        assert.strictEqual(byId.a.won, false);
+        assert.strictEqual(byId.a.score, 0);
+        assert.strictEqual(byId.b.score, 1);
+        assert.deepStrictEqual(byId.a.stats, { captures: 0, steals: 0, carryTime: 500 });
+        assert.strictEqual(byId.b.won, true);
+        assert.deepStrictEqual(byId.b.stats, { captures: 1, steals: 1, carryTime: 300 });
+
+        // A new match starts from zero
+        clock.time += room.rules.resetDelay;
+        engine.advanceRoom(room);
+        assert.deepStrictEqual(carrier.matchStats, { captures: 0, steals: 0, carryTime: 0 });
+    });
+});
+
+// ============================================================================
+// DISCONNECT DROP
+// ============================================================================
+
+describe('disconnects', () => {
+    beforeEach(() => setupRoom());
+
+    it('drops the relic of a player who goes away and hands it back on resume', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 200;
+        act(player, 'relic');
+
+        engine.markPlayerAway(room, player);
+        assert.strictEqual(player.hasRelic, false);
+        assert.strictEqual(room.relics[0].isHeld, false);
+        assert.strictEqual(room.relics[0].droppedBy, 'a');
+        assert.deepStrictEqual(eventTypes(engine.advanceRoom(room)), ['relicDropped', 'playerAway']);
+
+        engine.resumePlayer(room, player);
+        assert.strictEqual(player.hasRelic, true);
+        assert.strictEqual(room.relics[0].holderId, 'a');
+        assert.strictEqual(player.awayUntil, null);
+    });
+
+    it('keeps a relic someone else picked up while its carrier was away', () => {
+        const away = joinPlayer(room, 'a', 'west');
+        const other = joinPlayer(room, 'b', 'east');
+        away.x = 200;
+        other.x = 250;
+        act(away, 'relic');
+        engine.markPlayerAway(room, away);
+        act(other, 'relic');
+
+        engine.resumePlayer(room, away);
+        assert.strictEqual(away.hasRelic, false);
+        assert.strictEqual(room.relics[0].holderId, 'b');
+    });
+
+    it('frees the slot once the grace period runs out', () => {
+        const host = joinPlayer(room, 'a', 'west');
+        joinPlayer(room, 'b', 'east');
+        engine.markPlayerAway(room, host);
+
+        clock.time += engine.SESSION_GRACE_PERIOD - 1;
+        engine.advanceRoom(room);
+        assert.ok(room.players.has('a'));
+
+        clock.time += 1;
+        const events = engine.advanceRoom(room);
+        assert.strictEqual(room.players.has('a'), false);
+        assert.deepStrictEqual(sink.removed, ['a']);
+        assert.ok(sink.broadcasts.some(message => message.type === 'playerDisconnected' && message.data.id === 'a'));
+        assert.strictEqual(room.hostId, 'b');
+        assert.ok(events.some(event => event.type === 'hostChanged'));
+    });
+});
+
+// ============================================================================
+// TACKLES AND THROWS
+// ============================================================================
+
+describe('handleTackleAttempt', () => {
+    let carrier;
+    let thief;
+
+    beforeEach(() => {
+        setupRoom();
+        carrier = joinPlayer(room, 'a', 'west');
+        thief = joinPlayer(room, 'b', 'east');
+        carrier.x = 200;
+        act(carrier, 'relic');
+        thief.x = 240;
+    });
+
+    it('knocks the relic loose where the holder stood and stuns the holder', () => {
+        const events = act(thief, 'tackle');
+
+        assert.deepStrictEqual(eventTypes(events), ['relicDropped', 'tackle']);
+        assert.strictEqual(carrier.hasRelic, false);
+        assert.deepStrictEqual(room.relics[0].position, { x: 200, y: 200 });
+        assert.strictEqual(thief.matchStats.steals, 1);
+
+        // Stunned: no grabbing it back or running off
+        assert.deepStrictEqual(act(carrier, 'relic'), []);
+        act(carrier, 'move', { seq: 1, dx: 5, dy: 0 });
+        assert.strictEqual(carrier.x, 200);
+        assert.strictEqual(sink.sent.find(message => message.type === 'moveRejected').data.reason, 'stunned');
+
+        clock.time += room.rules.stunDuration;
+        assert.deepStrictEqual(eventTypes(act(carrier, 'relic')), ['relicGrabbed']);
+    });
+
+    it('starts the cooldown on a miss', () => {
+        thief.x = 200 + room.rules.tackleRange + 1;
+        act(thief, 'tackle');
+        thief.x = 240;
+        assert.deepStrictEqual(act(thief, 'tackle'), [], 'still cooling down');
+        assert.strictEqual(carrier.hasRelic, true);
+
+        clock.time += room.rules.tackleCooldown;
+        act(thief, 'tackle');
+        assert.strictEqual(carrier.hasRelic, false);
+    });
+
+    it('is absorbed by a shield, which then wears off', () => {
+        carrier.effects.shield = clock.time + 15000;
+        assert.deepStrictEqual(eventTypes(act(thief, 'tackle')), ['tackleBlocked']);
+        assert.strictEqual(carrier.hasRelic, true);
+        assert.strictEqual(engine.isStunned(room, carrier), false);
+        assert.strictEqual(engine.hasEffect(room, carrier, 'shield'), false);
+
+        clock.time += room.rules.tackleCooldown;
+        act(thief, 'tackle');
+        assert.strictEqual(carrier.hasRelic, false);
+    });
+});
+
+describe('handleDropAttempt', () => {
+    let carrier;
+
+    beforeEach(() => {
+        setupRoom();
+        carrier = joinPlayer(room, 'a', 'west');
+        carrier.x = 200;
+        act(carrier, 'relic');
+    });
+
+    it('throws the relic throwDistance in the direction sent', () => {
+        carrier.y = 300;
+        assert.deepStrictEqual(eventTypes(act(carrier, 'drop', { dx: -3, dy: 0 })), ['relicDropped']);
+        assert.deepStrictEqual(room.relics[0].position, { x: 200 - TEST_RULES.throwDistance, y: 300 });
+        assert.strictEqual(carrier.hasRelic, false);
+    });
+
+    it('lands short of an obstacle in the way', () => {
+        act(carrier, 'drop', { dx: 0, dy: -1 });
+        // Obstacle bottom edge at y = 120; the last clear step is y = 140
+        assert.deepStrictEqual(room.relics[0].position, { x: 200, y: 140 });
+        assert.strictEqual(engine.checkCollision(TEST_MAP, 200, 135), true);
+    });
+
+    it('drops at the holder\'s feet without a direction', () => {
+        act(carrier, 'drop');
+        assert.deepStrictEqual(room.relics[0].position, { x: 200, y: 200 });
+    });
+});
+
+// ============================================================================
+// MULTIPLE RELICS
+// ============================================================================
+
+describe('multiple relics', () => {
+    const spawns = [{ x: 200, y: 200 }, { x: 120, y: 320 }, { x: 280, y: 320 }];
+    const map = { ...TEST_MAP, relicSpawns: spawns };
+    const huntRules = relicSpawn => engine.sanitizeRules({ mode: 'hunt', rules: { pickupCount: 0, relicSpawn } });
+
+    it('rests relic n on spawn point n and counts it n + 1 points', () => {
+        setupRoom(huntRules('fixed'), map);
+        assert.deepStrictEqual(room.relics.map(relic => relic.position), spawns);
+        assert.deepStrictEqual(room.relics.map(relic => relic.value), [1, 2, 3]);
+
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 280;
+        player.y = 320;
+        act(player, 'relic');
+        assert.strictEqual(room.relics[2].holderId, 'a');
+        player.x = TEST_MAP.bases.west.x;
+        player.y = TEST_MAP.bases.west.y;
+        act(player, 'base');
+        assert.strictEqual(room.scores.get('a'), 3);
+    });
+
+    it('respawns a relic on the next point no resting relic holds', () => {
+        setupRoom(huntRules('rotate'), map);
+        const holder = joinPlayer(room, 'a', 'west');
+        const scorer = joinPlayer(room, 'b', 'east');
+        holder.x = 200;
+        act(holder, 'relic');
+        scorer.x = 120;
+        scorer.y = 320;
+        act(scorer, 'relic');
+        scorer.x = TEST_MAP.bases.east.x;
+        scorer.y = TEST_MAP.bases.east.y;
+        act(scorer, 'base');
+
+        clock.time += room.rules.relicRespawnDelay;
+        engine.advanceRoom(room);
+        // Point 2 still holds relic 2; point 0 is free since relic 0 is carried
+        assert.deepStrictEqual(room.relics[1].position, spawns[0]);
+    });
+});
+
+// ============================================================================
+// TIME LIMIT
+// ============================================================================
+
+describe('time limit', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+        setupRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 0, timeLimit: 10 } }));
+        first = joinPlayer(room, 'a', 'west');
+        second = joinPlayer(room, 'b', 'east');
+    });
+
+    function lastMatchTimer() {
+        return sink.broadcasts.filter(message => message.type === 'matchTimer').pop().data;
+    }
+
+    it('counts down every second and gives the win to the leader', () => {
+        clock.time += 1000;
+        engine.advanceRoom(room);
+        assert.deepStrictEqual(lastMatchTimer(), { remaining: 9000, overtime: false });
+
+        giveRelicAtBase(first);
+        act(first, 'base');
+        clock.time += 9000;
+        const timeUp = engine.advanceRoom(room).find(event => event.type === 'timeUp');
+
+        assert.ok(timeUp, 'timeUp event raised');
+        assert.strictEqual(timeUp.winningPlayer, 'a');
+        assert.strictEqual(sink.matchesEnded[0].winner, 'a');
+        assert.strictEqual(room.resetAt, clock.time + room.rules.resetDelay);
+        assert.deepStrictEqual(lastMatchTimer(), { remaining: null, overtime: false });
+    });
+
+    it('goes to sudden-death overtime on a tie, where the next capture wins', () => {
+        clock.time += 10000;
+        const overtime = engine.advanceRoom(room).find(event => event.type === 'overtime');
+
+        assert.deepStrictEqual(overtime.playerIds, ['a', 'b']);
+        assert.strictEqual(room.overtime, true);
+        assert.deepStrictEqual(lastMatchTimer(), { remaining: null, overtime: true });
+
+        // The clock has stopped: nobody wins by waiting
+        clock.time += 60000;
+        assert.deepStrictEqual(engine.advanceRoom(room), []);
+
+        giveRelicAtBase(second);
+        const score = act(second, 'base').find(event => event.type === 'score');
+        assert.strictEqual(score.winningPlayer, 'b', 'one capture wins below scoreLimit');
+        assert.strictEqual(room.overtime, false);
+    });
+});
+
+// ============================================================================
+// TEAMS AND SLOTS
+// ============================================================================
+
+describe('teams', () => {
+    beforeEach(() => setupRoom(engine.sanitizeRules({ mode: 'teams', rules: { pickupCount: 0 } })));
+
+    it('counts a capture for the whole team', () => {
+        joinPlayer(room, 'a', 'west');
+        const mate = joinPlayer(room, 'b', 'west');
+        joinPlayer(room, 'c', 'east');
+        assert.deepStrictEqual(Object.fromEntries(room.scores), { west: 0, east: 0 });
+
+        giveRelicAtBase(mate);
+        const score = act(mate, 'base').find(event => event.type === 'score');
+        assert.deepStrictEqual(score.scoreMap, { west: 1, east: 0 });
+        assert.strictEqual(score.winningTeam, null);
+    });
+
+    it('shares vision within a team but not with the other one', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        const mate = joinPlayer(room, 'b', 'west');
+        const opponent = joinPlayer(room, 'c', 'east');
+        mate.x = 300;
+        mate.y = 300;
+
+        assert.strictEqual(engine.canSee(room, player, opponent), true, 'seen through a teammate');
+        assert.strictEqual(engine.canSee(room, opponent, player), false);
+        assert.deepStrictEqual(engine.getVisiblePlayers(room, player).map(p => p.id), ['a', 'b', 'c']);
+
+        mate.x = 60;
+        assert.strictEqual(engine.canSee(room, player, opponent), false);
+        assert.strictEqual(engine.canSee(room, player, mate), true, 'teammates are always visible');
+    });
+
+    it('does not let teammates tackle each other', () => {
+        const carrier = joinPlayer(room, 'a', 'west');
+        const mate = joinPlayer(room, 'b', 'west');
+        carrier.x = 200;
+        act(carrier, 'relic');
+        mate.x = 220;
+        mate.y = 200;
+
+        assert.deepStrictEqual(act(mate, 'tackle'), []);
+        assert.strictEqual(carrier.hasRelic, true);
+    });
+});
+
+describe('slot allocator', () => {
+    it('hands out the preferred base, else the emptiest, and nothing once full', () => {
+        setupRoom();
+        assert.strictEqual(engine.getRoomCapacity(room), 2);
+        assert.strictEqual(engine.allocateBaseSlot(room, 'east'), 'east');
+        joinPlayer(room, 'a', 'east');
+        assert.strictEqual(engine.allocateBaseSlot(room, 'east'), 'west');
+        joinPlayer(room, 'b', 'west');
+        assert.strictEqual(engine.allocateBaseSlot(room, 'east'), null);
+        assert.deepStrictEqual(engine.getFreeBaseIds(room), []);
+    });
+
+    it('fills the least-filled team first', () => {
+        setupRoom(engine.sanitizeRules({ mode: 'teams', rules: { pickupCount: 0 } }));
+        assert.strictEqual(engine.getRoomCapacity(room), 4);
+        joinPlayer(room, 'a', 'west');
+        assert.deepStrictEqual(engine.getFreeBaseIds(room), ['east', 'west']);
+        assert.strictEqual(engine.allocateBaseSlot(room), 'east');
+    });
+
+    it('lets bots fill empty slots and step aside for humans', () => {
+        setupRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 2 } }));
+        joinPlayer(room, 'a', 'west');
+        engine.fillBots(room);
+        const bot = Array.from(room.players.values()).find(p => p.isBot);
+        assert.strictEqual(bot.baseId, 'east');
+        assert.strictEqual(room.hostId, 'a', 'bots never host');
+        assert.deepStrictEqual(engine.getFreeBaseIds(room), []);
+        assert.deepStrictEqual(engine.getFreeBaseIds(room, true), ['east'], 'a bot slot is open to humans');
+
+        engine.makeRoomForHuman(room, 'east');
+        assert.deepStrictEqual(sink.removed, [bot.id]);
+        joinPlayer(room, 'b', 'east');
+        engine.fillBots(room);
+        assert.strictEqual(engine.getHumanCount(room), 2);
+        assert.strictEqual(room.players.size, 2);
+    });
+
+    it('removes surplus bots when botFill is lowered', () => {
+        setupRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 2 } }));
+        joinPlayer(room, 'a', 'west');
+        engine.fillBots(room);
+        assert.strictEqual(room.players.size, 2);
+
+        room.rules = { ...room.rules, botFill: 1 };
+        engine.fillBots(room);
+        assert.deepStrictEqual(Array.from(room.players.keys()), ['a']);
+    });
+});
+
+// ============================================================================
+// PICKUPS
+// ============================================================================
+
+describe('pickup spots', () => {
+    it('are only where every base can walk to', () => {
+        // A walled-off pocket in the top right corner
+        const map = {
+            ...TEST_MAP,
+            obstacles: [
+                { x: 340, y: 110, w: 120, h: 20 },
+                { x: 290, y: 50, w: 20, h: 120 }
+            ]
+        };
+        const spots = engine.getPickupSpots(map);
+
+        assert.ok(spots.length > 0);
+        assert.ok(spots.every(spot => !engine.checkCollision(map, spot.x, spot.y)));
+        assert.ok(!spots.some(spot => spot.x > 300 && spot.y < 100), 'nothing inside the pocket');
+        assert.strictEqual(engine.getPickupSpots(map), spots, 'worked out once per map');
+    });
+});
+
+describe('pickups', () => {
+    let player;
+
+    beforeEach(() => {
+        setupRoom(engine.sanitizeRules({ rules: { pickupCount: 1, botFill: 0 } }));
+        room.pickups = [{ id: 9, type: 'speed', x: 70, y: 200 }];
+        player = joinPlayer(room, 'a', 'west');
+        joinPlayer(room, 'b', 'east');
+    });
+
+    it('go to whoever walks onto them, and only their team hears of it', () => {
+        act(player, 'move', { seq: 1, dx: 5, dy: 0 });
+
+        assert.deepStrictEqual(room.pickups, []);
+        assert.strictEqual(engine.hasEffect(room, player, 'speed'), true);
+        const started = sink.sent.filter(message => message.type === 'effectStarted');
+        assert.deepStrictEqual(started.map(message => [message.viewerId, message.data.type]), [['a', 'speed']]);
+
+        // A new one appears after pickupRespawnDelay
+        assert.strictEqual(room.nextPickupAt, clock.time + room.rules.pickupRespawnDelay);
+        clock.time += room.rules.pickupRespawnDelay;
+        engine.advanceRoom(room);
+        assert.strictEqual(room.pickups.length, 1);
+    });
+
+    it('speed boost raises the move limit until it wears off', () => {
+        act(player, 'move', { seq: 1, dx: 5, dy: 0 });
+        act(player, 'move', { seq: 2, dx: 7, dy: 0 });
+        assert.strictEqual(player.x, 72);
+        assert.ok(!sink.sent.some(message => message.type === 'correction'));
+
+        clock.time += 6000;
+        act(player, 'move', { seq: 3, dx: 7, dy: 0 });
+        assert.strictEqual(player.x, 72 + engine.MAX_SPEED);
+    });
+
+    it('far sight widens vision and relic pulse shows every relic', () => {
+        const range = engine.getVisualRange(room, player);
+        player.effects.vision = clock.time + 8000;
+        assert.strictEqual(engine.getVisualRange(room, player), range * 1.5);
+
+        player.x = 200;
+        act(player, 'relic');
+        act(player, 'drop');
+        const viewer = room.players.get('b');
+        viewer.y = 380;
+        assert.strictEqual(engine.getVisibleRelics(room, viewer)[0].position, null);
+        viewer.effects.pulse = clock.time + 3000;
+        assert.deepStrictEqual(engine.getVisibleRelics(room, viewer)[0].position, { x: 200, y: 200 });
+    });
+});
+
+// ============================================================================
+// BOTS
+// ============================================================================
+
+describe('bots', () => {
+    beforeEach(() => setupRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 1 } })));
+
+    it('never steps faster than it may carry on the tick it grabs a relic', () => {
+        engine.fillBots(room);
+        const bot = Array.from(room.players.values()).find(p => p.isBot);
+        bot.x = 200 - room.rules.grabRange + 5;
+        bot.y = 200;
+        clock.time += 1000;
+        engine.advanceRoom(room);
+
+        assert.strictEqual(bot.hasRelic, true);
+        const carrierSpeed = engine.MAX_SPEED * room.rules.carrierSpeed / 100;
+        const { inputs } = sink.ticks[sink.ticks.length - 1];
+        inputs.filter(input => input.type === 'move').forEach(input => {
+            assert.ok(Math.hypot(input.data.dx, input.data.dy) <= carrierSpeed, 'move within the carrier speed');
+        });
+        assert.ok(!sink.sent.some(message => message.type === 'correction'));
+    });
+
+    it('walks to the relic, carries it home and scores', () => {
+        engine.fillBots(room);
+        const bot = Array.from(room.players.values()).find(p => p.isBot);
+        for (let tick = 0; tick < 600 && !room.scores.get(bot.id); tick++) {
+            clock.time += 33;
+            engine.advanceRoom(room);
+        }
+        assert.strictEqual(room.scores.get(bot.id), 1);
+        assert.strictEqual(bot.matchStats.captures, 1);
+    });
+});
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+describe('sanitizeRules', () => {
+    it('gives the default rules for anything but a request object', () => {
+        const defaults = engine.sanitizeRules({});
+        assert.strictEqual(defaults.mode, engine.DEFAULT_RULES.mode);
+        [null, undefined, 5, 'ffa', { mode: '__proto__' }, { mode: 'toString', rules: null }].forEach(data => {
+            assert.deepStrictEqual(engine.sanitizeRules(data), defaults);
+        });
+    });
+
+    it('starts from the mode preset, clamps overrides and ignores unknown rules', () => {
+        const rules = engine.sanitizeRules({
+            mode: 'blitz',
+            rules: { scoreLimit: 99, grabRange: '12', timeLimit: 30.6, relicSpawn: 'everywhere', bogus: 1 }
+        });
+        assert.strictEqual(rules.mode, 'blitz');
+        assert.strictEqual(rules.resetDelay, engine.GAME_MODES.blitz.rules.resetDelay);
+        assert.strictEqual(rules.scoreLimit, engine.RULE_LIMITS.scoreLimit[1]);
+        assert.strictEqual(rules.grabRange, engine.PLAYER_RADIUS * 2);
+        assert.strictEqual(rules.timeLimit, 31);
+        assert.strictEqual(rules.relicSpawn, 'fixed');
+        assert.ok(!('bogus' in rules));
+    });
+});
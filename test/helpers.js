@@ -0,0 +1,97 @@
+/**
+ * ============================================================================
+ * TEST HELPERS - Shared Fixtures
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * The arena, rules and room setup the test files share: a room from
+ * engine.js on a fake clock, with a sink that keeps everything the engine
+ * sends. node --test loads it like the test files, but it defines no
+ * tests of its own.
+ */
+
+const { before, after } = require('node:test');
+
+const engine = require('../engine');
+
+/**
+ * Small two-base arena: one obstacle between the bases and one relic
+ * spawn in the middle
+ */
+const TEST_MAP = {
+    name: 'Test Arena',
+    width: 400,
+    height: 400,
+    tileSize: 50,
+    bases: {
+        west: { x: 60, y: 200, w: 60, h: 60, color: '#3498db', name: 'WEST BASE' },
+        east: { x: 340, y: 200, w: 60, h: 60, color: '#e74c3c', name: 'EAST BASE' }
+    },
+    obstacles: [
+        { x: 200, y: 100, w: 40, h: 40 }
+    ],
+    relicSpawns: [
+        { x: 200, y: 200 }
+    ]
+};
+
+// No pickups or bots: nothing random lands on the map
+const TEST_RULES = engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 0 } });
+
+/**
+ * Sink that keeps everything the engine sends
+ */
+function createRecordingSink() {
+    return {
+        sent: [],
+        broadcasts: [],
+        removed: [],
+        ticks: [],
+        matchesStarted: 0,
+        matchesEnded: [],
+        send(room, viewer, type, data) { this.sent.push({ viewerId: viewer.id, type, data }); },
+        broadcast(room, type, data) { this.broadcasts.push({ type, data }); },
+        playerRemoved(room, player) { this.removed.push(player.id); },
+        ticked(room, inputs, events) { this.ticks.push({ inputs, events }); },
+        matchStarted() { this.matchesStarted++; },
+        matchEnded(room, result) { this.matchesEnded.push(result); }
+    };
+}
+
+/**
+ * Room (on TEST_MAP unless given another map) whose clock only moves when
+ * the test moves it
+ * Returns { room, clock, sink }; advance time with clock.time += ms
+ */
+function createTestRoom(rules = TEST_RULES, map = TEST_MAP) {
+    const clock = { time: 1000 };
+    const sink = createRecordingSink();
+    const room = engine.createRoom(1, 'Test Room', map, rules, { now: () => clock.time, sink });
+    return { room, clock, sink };
+}
+
+function joinPlayer(room, id, baseId) {
+    const player = engine.createPlayer(room, id, id, baseId);
+    engine.addPlayer(room, player);
+    return player;
+}
+
+/**
+ * The engine and stores log every decision; call at the top of a test
+ * file to keep its output readable
+ */
+function silenceLogs() {
+    let originalLog;
+    before(() => {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = originalLog;
+    });
+}
+
+module.exports = {
+    TEST_MAP, TEST_RULES,
+    createRecordingSink, createTestRoom, joinPlayer, silenceLogs
+};
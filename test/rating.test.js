@@ -0,0 +1,81 @@
+/**
+ * ============================================================================
+ * RATING TESTS - Elo for Free-for-All Matches
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Checks getRatingChanges on duels, 4-player placements and teams.
+ *
+ * Run with: node --test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const rating = require('../rating');
+
+/**
+ * Settled player (regular K factor) on their own side
+ */
+function entry(id, score, value = rating.DEFAULT_RATING, side = id) {
+    return { id, rating: value, ratedMatches: rating.PROVISIONAL_MATCHES, score, side };
+}
+
+describe('getRatingChanges', () => {
+    it('is plain Elo in a duel', () => {
+        const changes = rating.getRatingChanges([entry('a', 3), entry('b', 1)]);
+        assert.strictEqual(changes.get('a'), rating.K_FACTOR / 2);
+        assert.strictEqual(changes.get('b'), -rating.K_FACTOR / 2);
+
+        // An upset moves more than the expected result
+        const upset = rating.getRatingChanges([entry('a', 3, 1400), entry('b', 1, 1600)]);
+        assert.ok(upset.get('a') > rating.K_FACTOR / 2);
+        assert.strictEqual(rating.getRatingChanges([entry('a', 2), entry('b', 2)]).get('a'), 0);
+    });
+
+    it('ranks a 4-player match by placement', () => {
+        const changes = rating.getRatingChanges([entry('a', 3), entry('b', 2), entry('c', 1), entry('d', 0)]);
+        const [first, second, third, fourth] = ['a', 'b', 'c', 'd'].map(id => changes.get(id));
+
+        assert.ok(first > second && second > 0 && third < 0 && fourth < third);
+        assert.strictEqual(first, rating.K_FACTOR / 2, 'winning against everyone weighs like one duel');
+        assert.strictEqual(first + second + third + fourth, 0);
+    });
+
+    it('never rates teammates against each other, nor a match without opponents', () => {
+        const changes = rating.getRatingChanges([
+            entry('a', 2, 1500, 'west'), entry('b', 2, 1500, 'west'),
+            entry('c', 1, 1500, 'east'), entry('d', 1, 1500, 'east')
+        ]);
+        assert.strictEqual(changes.get('a'), changes.get('b'));
+        assert.strictEqual(changes.get('a'), rating.K_FACTOR / 2);
+
+        assert.strictEqual(rating.getRatingChanges([entry('a', 1, 1500, 'west'), entry('b', 0, 1500, 'west')]).size, 0);
+    });
+
+    it('moves new players faster', () => {
+        const newcomer = { ...entry('a', 1), ratedMatches: 0 };
+        const changes = rating.getRatingChanges([newcomer, entry('b', 0)]);
+        assert.strictEqual(changes.get('a'), rating.PROVISIONAL_K_FACTOR / 2);
+        assert.strictEqual(changes.get('b'), -rating.K_FACTOR / 2);
+    });
+});
+
+describe('getAbandonChanges', () => {
+    it('moves exactly what the leaver loses to the opponents still playing', () => {
+        const leaver = entry('a', 0, 1500, 'west');
+        const changes = rating.getAbandonChanges(leaver, [
+            entry('b', 0, 1500, 'east'), entry('c', 0, 1700, 'north'), entry('d', 0, 1500, 'west')
+        ]);
+
+        assert.ok(changes.get('a') < 0);
+        assert.ok(changes.get('b') > changes.get('c'), 'beating a stronger leaver is worth more');
+        assert.strictEqual(changes.has('d'), false, 'teammates are not rated against each other');
+        assert.strictEqual(changes.get('a'), -Math.round((changes.get('b') + changes.get('c')) * 10) / 10);
+    });
+
+    it('rates nothing without an opponent', () => {
+        assert.strictEqual(rating.getAbandonChanges(entry('a', 0), []).size, 0);
+        assert.strictEqual(rating.getAbandonChanges(entry('a', 0, 1500, 'west'), [entry('b', 0, 1500, 'west')]).size, 0);
+    });
+});
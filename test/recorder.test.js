@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * RECORDER TESTS - Match Log Frames and Files
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Runs a room from engine.js with a fake clock and checks what recorder.js
+ * makes of it: frames only carry changes, inputs keep the position they
+ * were handled at and whether they were accepted, and files can be listed
+ * and found again.
+ *
+ * Run with: node --test
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const engine = require('../engine');
+const recorder = require('../recorder');
+const { TEST_RULES, createTestRoom, joinPlayer, silenceLogs } = require('./helpers');
+
+const TICK_RATE = 30;
+
+let clock;
+let sink;
+let room;
+let recording;
+
+function setupRoom() {
+    ({ room, clock, sink } = createTestRoom());
+    recording = recorder.createRecording(room, TICK_RATE);
+}
+
+/**
+ * Run one tick and capture its frame, like the server's recorder hook
+ */
+function tick() {
+    clock.time += 1000 / TICK_RATE;
+    engine.advanceRoom(room);
+    const { inputs, events } = sink.ticks[sink.ticks.length - 1];
+    return recorder.captureFrame(recording, room, inputs, events);
+}
+
+silenceLogs();
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+describe('captureFrame', () => {
+    beforeEach(() => setupRoom());
+
+    it('starts with the roster, every position, the relics and the scores', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        const frame = tick();
+
+        assert.strictEqual(frame.k, room.tick);
+        assert.deepStrictEqual(frame.j, [[player.netId, 'a', 'a', 'west', '#3498db', false]]);
+        assert.deepStrictEqual(frame.p, [[player.netId, 600, 2000, 0, TEST_RULES.visualRange]]);
+        assert.deepStrictEqual(frame.r, [[2000, 2000, 0, recorder.RELIC_STATES.spawn]]);
+        assert.deepStrictEqual(frame.s, { a: 0 });
+    });
+
+    it('writes nothing for a tick in which nothing changed', () => {
+        joinPlayer(room, 'a', 'west');
+        tick();
+        assert.strictEqual(tick(), null);
+    });
+
+    it('only lists the players who changed', () => {
+        const mover = joinPlayer(room, 'a', 'west');
+        joinPlayer(room, 'b', 'east');
+        tick();
+
+        engine.queuePlayerInput(room, mover, 'move', { seq: 1, dx: 5, dy: 0 });
+        const frame = tick();
+        assert.deepStrictEqual(frame.p, [[mover.netId, 650, 2000, 0, TEST_RULES.visualRange]]);
+        assert.deepStrictEqual(frame.i, [[mover.netId, 'move', 600, 2000, 1, 1, 50, 0]]);
+    });
+
+    it('records inputs where they were handled, with their events', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        player.x = 150;
+        tick();
+
+        engine.queuePlayerInput(room, player, 'relic');
+        const frame = tick();
+        assert.deepStrictEqual(frame.i, [[player.netId, 'relic', 1500, 2000, 1]]);
+        assert.deepStrictEqual(frame.e.map(event => event.type), ['relicGrabbed']);
+        assert.deepStrictEqual(frame.r, [[2000, 2000, player.netId, recorder.RELIC_STATES.held]]);
+        assert.strictEqual(frame.p[0][3] & recorder.PLAYER_FLAGS.hasRelic, recorder.PLAYER_FLAGS.hasRelic);
+    });
+
+    it('records rejected inputs too, marked as not accepted', () => {
+        const player = joinPlayer(room, 'a', 'west');
+        tick();
+
+        engine.queuePlayerInput(room, player, 'relic'); // Out of reach
+        engine.queuePlayerInput(room, player, 'move', { seq: 1, dx: 0, dy: 0 });
+        const frame = tick();
+        assert.deepStrictEqual(frame.i, [
+            [player.netId, 'relic', 600, 2000, 0],
+            [player.netId, 'move', 600, 2000, 0, 1, 0, 0]
+        ]);
+        assert.strictEqual(frame.e, undefined);
+    });
+
+    it('records players leaving', () => {
+        joinPlayer(room, 'a', 'west');
+        const leaver = joinPlayer(room, 'b', 'east');
+        tick();
+
+        engine.removePlayer(room, leaver);
+        const frame = tick();
+        assert.deepStrictEqual(frame.l, [leaver.netId]);
+        assert.deepStrictEqual(frame.s, { a: 0 });
+    });
+});
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+describe('recording files', () => {
+    let dir;
+    beforeEach(() => {
+        setupRoom();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relic-recordings-'));
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('writes a header, frames and an end line that can be listed and found again', async () => {
+        const file = recorder.startRecording(room, dir, TICK_RATE);
+        const player = joinPlayer(room, 'a', 'west');
+        clock.time += 1000 / TICK_RATE;
+        engine.advanceRoom(room);
+        recorder.recordTick(file, room, sink.ticks[0].inputs, sink.ticks[0].events);
+        clock.time += recorder.MIN_KEPT_DURATION;
+        const finished = once(file.stream, 'finish');
+        recorder.stopRecording(file, room);
+        await finished;
+
+        const filePath = recorder.getRecordingPath(dir, file.id);
+        assert.ok(filePath, 'recording can be found by id');
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(lines[0].version, recorder.RECORDING_VERSION);
+        assert.strictEqual(lines[0].map.name, 'Test Arena');
+        assert.deepStrictEqual(lines[1].j[0].slice(0, 2), [player.netId, 'a']);
+        assert.strictEqual(lines[2].end, true);
+
+        const list = recorder.listRecordings(dir);
+        assert.deepStrictEqual(list.map(entry => [entry.id, entry.room, entry.map]), [[file.id, 'Test Room', 'Test Arena']]);
+    });
+
+    it('neither lists nor serves a match that is still being played', async () => {
+        const file = recorder.startRecording(room, dir, TICK_RATE);
+        joinPlayer(room, 'a', 'west');
+        clock.time += 1000 / TICK_RATE;
+        engine.advanceRoom(room);
+        recorder.recordTick(file, room, sink.ticks[0].inputs, sink.ticks[0].events);
+        // Let the stream flush without ending it
+        await new Promise(resolve => file.stream.write('', resolve));
+
+        assert.ok(fs.existsSync(path.join(dir, `${file.id}.jsonl`)));
+        assert.deepStrictEqual(recorder.listRecordings(dir), []);
+        assert.strictEqual(recorder.getRecordingPath(dir, file.id), null);
+
+        clock.time += recorder.MIN_KEPT_DURATION;
+        const finished = once(file.stream, 'finish');
+        recorder.stopRecording(file, room);
+        await finished;
+        assert.strictEqual(recorder.listRecordings(dir).length, 1);
+    });
+
+    it('deletes a short undecided match but keeps a short decided one', async () => {
+        const dropped = recorder.startRecording(room, dir, TICK_RATE);
+        const closed = once(dropped.stream, 'close');
+        clock.time += recorder.MIN_KEPT_DURATION - 1;
+        recorder.stopRecording(dropped, room);
+        await closed;
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+        const kept = recorder.startRecording(room, dir, TICK_RATE);
+        recorder.recordTick(kept, room, [], [{ type: 'timeUp', scoreMap: {}, winningPlayer: 'a', winningTeam: null }]);
+        const finished = once(kept.stream, 'finish');
+        recorder.stopRecording(kept, room);
+        await finished;
+        assert.deepStrictEqual(recorder.listRecordings(dir).map(entry => entry.id), [kept.id]);
+        assert.notStrictEqual(kept.id, dropped.id);
+    });
+
+    it('prunes by age and keeps at most MAX_RECORDINGS finished matches, never one in progress', () => {
+        const now = Date.now();
+        const write = (time, number, finished) => {
+            const file = path.join(dir, `${time}-1-${number}.jsonl`);
+            fs.writeFileSync(file, '{"version":2}\n' + (finished ? '{"t":1,"end":true}\n' : ''));
+            return file;
+        };
+        const expired = write(now - recorder.MAX_RECORDING_AGE - 1, 1, true);
+        const playing = write(now - 3600000, 2, false);
+        const finished = [];
+        for (let i = 0; i < recorder.MAX_RECORDINGS; i++) finished.push(write(now - 60000 + i, i + 3, true));
+
+        recorder.pruneRecordings(dir, now);
+        assert.strictEqual(fs.existsSync(expired), false);
+        assert.strictEqual(fs.existsSync(playing), true);
+        assert.strictEqual(fs.existsSync(finished[0]), false, 'oldest finished match makes room');
+        assert.ok(finished.slice(1).every(file => fs.existsSync(file)));
+    });
+
+    it('refuses ids that are not recording ids', () => {
+        assert.strictEqual(recorder.getRecordingPath(dir, '../server'), null);
+        assert.strictEqual(recorder.getRecordingPath(dir, '123-4-5'), null);
+    });
+});
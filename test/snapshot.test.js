@@ -0,0 +1,145 @@
+/**
+ * ============================================================================
+ * SNAPSHOT TESTS - Wire Format Round Trips
+ * Shadows of the Forgotten Relic
+ * ============================================================================
+ *
+ * Encodes snapshots with snapshot.js and decodes them with the browser
+ * client's own decodeSnapshot (Public/sketch.js, loaded into a sandbox),
+ * so the two sides of the wire format can't drift apart unnoticed.
+ *
+ * Run with: node --test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const engine = require('../engine');
+const { captureViewState, encodeSnapshot } = require('../snapshot');
+const { createTestRoom, joinPlayer, silenceLogs } = require('./helpers');
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const CLIENT_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'Public', 'sketch.js'), 'utf8');
+
+let room;
+let clock;
+let client;
+let baseline;
+let baselineTick;
+
+/**
+ * A fresh copy of the client's decoder and the state it keeps between
+ * snapshots (sketch.js is a plain browser script: its top level only
+ * declares things, and p5 calls setup() later)
+ */
+function loadClient() {
+    const sandbox = vm.createContext({ console, TextDecoder });
+    return vm.runInContext(`${CLIENT_SOURCE}\n;({ decodeSnapshot, playerIdsByNetId })`, sandbox);
+}
+
+/**
+ * Encode viewer's snapshot for this tick against the previous one (as
+ * server.js does once the client has acked it) and decode it again
+ * Returns { buffer, snapshot }; the snapshot is copied out of the sandbox
+ * so deepStrictEqual compares plain values
+ */
+function roundTrip(viewer, events = []) {
+    const state = captureViewState(room, viewer);
+    const buffer = encodeSnapshot(room, viewer, state, baseline, baselineTick, events, clock.time);
+    baseline = state;
+    baselineTick = room.tick;
+
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    const snapshot = JSON.parse(JSON.stringify(client.decodeSnapshot(arrayBuffer)));
+    return { buffer, snapshot };
+}
+
+function join(id, baseId) {
+    const player = joinPlayer(room, id, baseId);
+    client.playerIdsByNetId.set(player.netId, player.id);
+    return player;
+}
+
+silenceLogs();
+
+beforeEach(() => {
+    ({ room, clock } = createTestRoom(engine.sanitizeRules({ rules: { pickupCount: 0, botFill: 0, relicCount: 2 } })));
+    client = loadClient();
+    baseline = null;
+    baselineTick = 0;
+});
+
+// ============================================================================
+// ROUND TRIPS
+// ============================================================================
+
+describe('snapshots', () => {
+    it('carry what the viewer may see, and nothing else', () => {
+        const viewer = join('a', 'west');
+        join('b', 'east');
+        viewer.lastProcessedSeq = 42;
+        engine.advanceRoom(room);
+
+        const events = [{ type: 'relicGrabbed', playerId: 'b', relicId: 1 }];
+        const { snapshot } = roundTrip(viewer, events);
+
+        assert.strictEqual(snapshot.tick, room.tick);
+        assert.strictEqual(snapshot.serverTime, clock.time);
+        assert.strictEqual(snapshot.ack, 42);
+        assert.deepStrictEqual(snapshot.players, [{ id: 'a', x: 60, y: 200, hasRelic: false, revealed: false }]);
+        // Both relics rest on the one spawn point, which everyone knows
+        assert.deepStrictEqual(snapshot.relics, [
+            { isHeld: false, holderId: null, position: { x: 200, y: 200 } },
+            { isHeld: false, holderId: null, position: { x: 200, y: 200 } }
+        ]);
+        assert.deepStrictEqual(snapshot.pickups, []);
+        assert.deepStrictEqual(snapshot.events, events);
+    });
+
+    it('send only what changed since the baseline', () => {
+        const viewer = join('a', 'west');
+        const other = join('b', 'east');
+        engine.advanceRoom(room);
+        const full = roundTrip(viewer);
+
+        engine.advanceRoom(room);
+        const idle = roundTrip(viewer);
+        assert.ok(idle.buffer.length < full.buffer.length);
+        assert.deepStrictEqual(idle.snapshot.players, full.snapshot.players);
+        assert.deepStrictEqual(idle.snapshot.relics, full.snapshot.relics);
+
+        // Walks into view at a sub-pixel position...
+        other.x = 120.5;
+        engine.advanceRoom(room);
+        const seen = roundTrip(viewer).snapshot;
+        assert.deepStrictEqual(seen.players.map(p => [p.id, p.x, p.y]), [['a', 60, 200], ['b', 120.5, 200]]);
+
+        // ...grabs a relic, which follows its holder...
+        engine.queuePlayerInput(room, other, 'relic');
+        engine.advanceRoom(room);
+        const held = roundTrip(viewer).snapshot;
+        assert.strictEqual(held.players.find(p => p.id === 'b').hasRelic, true);
+        assert.deepStrictEqual(held.relics[0], { isHeld: true, holderId: 'b', position: { x: 120, y: 200 } });
+
+        // ...and walks out of it again
+        other.x = 340;
+        engine.advanceRoom(room);
+        const gone = roundTrip(viewer).snapshot;
+        assert.deepStrictEqual(gone.players.map(p => p.id), ['a']);
+        assert.deepStrictEqual(gone.relics[0], { isHeld: true, holderId: 'b', position: null });
+    });
+
+    it('list the pickups in view with their type', () => {
+        const viewer = join('a', 'west');
+        room.pickups = [{ id: 7, type: 'shield', x: 100.5, y: 220 }, { id: 8, type: 'speed', x: 300, y: 300 }];
+        engine.advanceRoom(room);
+
+        assert.deepStrictEqual(roundTrip(viewer).snapshot.pickups, [{ id: 7, type: 'shield', x: 100.5, y: 220 }]);
+    });
+});